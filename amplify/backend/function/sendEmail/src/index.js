@@ -1,18 +1,79 @@
 // AWS Lambda function handler for email API (Amplify)
 // This replaces the Express server for Amplify deployment
 
+const http = require('http');
 const https = require('https');
+// Shared modules, copied from the repository's lib/ by `npm run amplify:sendEmail`
+const Providers = require('./lib/providers');
+const ProviderHelpers = require('./lib/providers/helpers');
+const Attachments = require('./lib/providers/attachments');
+const Addresses = require('./lib/providers/addresses');
+const Senders = require('./lib/providers/senders');
+const Webhooks = require('./lib/providers/webhooks');
+const Auth = require('./lib/auth');
+const Limits = require('./lib/limits');
 
 // Email API Configuration from environment variables
-const API_KEY = process.env.EMAIL_API_KEY || process.env.SENDGRID_API_KEY || process.env.BREVO_API_KEY;
 const FROM_EMAIL = process.env.FROM_EMAIL || 'info@theexcellenceservices.site';
 const FROM_NAME = process.env.FROM_NAME || 'The Excellence Services';
 
-// Detect API provider
-const isBrevoKey = API_KEY && API_KEY.startsWith('xkeysib-');
-const API_URL = isBrevoKey 
-    ? 'https://api.brevo.com/v3/smtp/email'
-    : (process.env.EMAIL_API_URL || process.env.SENDGRID_API_URL || 'https://api.sendgrid.com/v3/mail/send');
+// Email provider (EMAIL_PROVIDER: sendgrid, brevo, mailgun, postmark or ses)
+const EMAIL = {
+    ...Providers.fromEnv(process.env),
+    fromEmail: FROM_EMAIL,
+    fromName: FROM_NAME
+};
+
+// Sender identities a request may choose with `from` (SENDERS); FROM_EMAIL/FROM_NAME is the default
+const SENDERS = Senders.parse(process.env.SENDERS, { email: FROM_EMAIL, name: FROM_NAME });
+const PROVIDER_ERROR = Providers.validate(EMAIL) || SENDERS.error;
+
+// Logins and session tokens (AUTH_USERS, AUTH_SECRET): every route except health, login and the webhooks needs a token
+const AUTH = Auth.fromEnv(process.env);
+
+// Sites allowed to call the function from a browser (CORS_ORIGINS), e.g. the Amplify app's URL
+const CORS_ORIGINS = Auth.parseOrigins(process.env.CORS_ORIGINS);
+
+// Rate limits and sending quotas (RATE_LIMIT_*, QUOTA_*). The function has no storage, so each warm
+// instance counts on its own and starts over when it is recycled: a best-effort guard. Run server.js
+// for quotas that hold across restarts.
+Limits.init(Limits.fromEnv(process.env));
+
+// Take a request from a rate limit bucket, adding the X-RateLimit headers to the response headers
+// Returns a 429 response when the bucket is empty, otherwise null
+function checkRateLimit(headers, key, perMinute) {
+    const rate = Limits.take(key, perMinute);
+    if (rate.limit) {
+        headers['X-RateLimit-Limit'] = String(rate.limit);
+        headers['X-RateLimit-Remaining'] = String(rate.remaining);
+    }
+    if (rate.allowed) return null;
+
+    return {
+        statusCode: 429,
+        headers: { ...headers, 'Retry-After': String(rate.retryAfter) },
+        body: JSON.stringify({
+            success: false,
+            error: `Too many requests; try again in ${rate.retryAfter} second(s)`,
+            errorCode: 'RATE_LIMITED'
+        })
+    };
+}
+
+// Largest total size of the attachments of one email (decoded).
+// API Gateway and Lambda also limit the whole request to a few MB.
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 10 * 1024 * 1024;
+
+// Check a list of attachments, including the total size per email
+// Returns { error } or { attachments }
+function checkAttachments(list) {
+    const normalized = Attachments.normalize(list);
+    if (normalized.error) {
+        return normalized;
+    }
+    const sizeError = Attachments.checkSize(normalized.attachments, ATTACHMENT_MAX_BYTES);
+    return sizeError ? { error: sizeError } : normalized;
+}
 
 // Helper function to make HTTP requests
 function makeRequest(url, options, data) {
@@ -20,12 +81,15 @@ function makeRequest(url, options, data) {
         const urlObj = new URL(url);
         const requestOptions = {
             hostname: urlObj.hostname,
-            path: urlObj.pathname,
+            port: urlObj.port || undefined,
+            path: urlObj.pathname + urlObj.search,
             method: options.method || 'POST',
             headers: options.headers || {}
         };
 
-        const req = https.request(requestOptions, (res) => {
+        // Plain http is only used for local mock servers during development
+        const client = urlObj.protocol === 'http:' ? http : https;
+        const req = client.request(requestOptions, (res) => {
             let body = '';
             res.on('data', (chunk) => body += chunk);
             res.on('end', () => {
@@ -39,24 +103,133 @@ function makeRequest(url, options, data) {
 
         req.on('error', reject);
         if (data) {
-            req.write(JSON.stringify(data));
+            req.write(typeof data === 'string' || Buffer.isBuffer(data) ? data : JSON.stringify(data));
         }
         req.end();
     });
 }
 
+// Retry settings for temporary provider failures (EMAIL_RETRY_*), see ProviderHelpers.retryDelay
+const RETRY = ProviderHelpers.retrySettings(process.env);
+
+// makeRequest that retries 429 and 5xx responses
+// Resolves to the response with an added `attempts` count
+async function makeRequestWithRetry(url, options, data) {
+    let attempts = 0;
+    while (true) {
+        attempts++;
+        const response = await makeRequest(url, options, data);
+        response.attempts = attempts;
+
+        const delay = ProviderHelpers.retryDelay(response.status, response.headers['retry-after'], attempts, RETRY);
+        if (delay === null) {
+            return response;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+}
+
+// Transport for the provider adapters: send one request with retries
+function sendProviderRequest(request) {
+    return makeRequestWithRetry(request.url, {
+        method: request.method,
+        headers: request.headers
+    }, request.body);
+}
+
+// Dry run (DRY_RUN=true, or dryRun in the request) uses the provider's sandbox/test mode.
+// Writing .eml files needs the Express server.
+const DRY_RUN = process.env.DRY_RUN === 'true';
+const DRY_RUN_NOT_SUPPORTED = `${EMAIL.provider} has no sandbox mode, so this function cannot do a dry run; use the Express server (server.js) instead`;
+
+// Send messages from the sender ({ fromEmail, fromName }), in sandbox mode for a dry run;
+// one result per message, with the sender address as `from`
+async function sendMessages(messages, dryRun, sender) {
+    const config = { ...EMAIL, ...sender };
+    const results = await Providers.send(dryRun ? { ...config, sandbox: true } : config, messages, sendProviderRequest);
+    return results.map(result => ({ ...result, ...(dryRun ? { dryRun: true } : {}), from: config.fromEmail }));
+}
+
+// sendMessages within the sending quotas of a user (undefined when logins are off): every To, CC and BCC
+// copy is reserved first and what was not sent is given back. Dry runs do not count.
+// Returns { results } or { error, remaining, retryAfter } when the emails do not fit (nothing is sent then)
+async function sendWithinQuota(messages, dryRun, sender, user) {
+    const counts = messages.map(message => (dryRun ? 0 : 1 + (message.cc || []).length + (message.bcc || []).length));
+    const total = counts.reduce((sum, count) => sum + count, 0);
+
+    const reservation = Limits.reserve(user, total);
+    if (reservation.error) return reservation;
+
+    let results;
+    try {
+        results = await sendMessages(messages, dryRun, sender);
+    } catch (error) {
+        Limits.release(user, total);
+        throw error;
+    }
+    Limits.release(user, results.reduce((sum, result, i) => (result.success ? sum : sum + counts[i]), 0));
+    return { results: results };
+}
+
+// Add what is left of the user's sending quota to the response headers (when a quota applies)
+function addQuotaHeader(headers, user) {
+    const remaining = Limits.getQuota(user).remaining;
+    if (remaining !== null) {
+        headers['X-Quota-Remaining'] = String(remaining);
+    }
+}
+
+// 429 response for a send that does not fit in the sending quotas (from sendWithinQuota)
+function quotaExceeded(headers, reservation) {
+    const quotaHeaders = { ...headers, 'Retry-After': String(reservation.retryAfter) };
+    if (reservation.remaining !== null) {
+        quotaHeaders['X-Quota-Remaining'] = String(reservation.remaining);
+    }
+    return {
+        statusCode: 429,
+        headers: quotaHeaders,
+        body: JSON.stringify({
+            success: false,
+            error: reservation.error,
+            errorMessage: reservation.error,
+            errorCode: 'QUOTA_EXCEEDED',
+            quotaRemaining: reservation.remaining
+        })
+    };
+}
+
+// Unsubscribe links need the Express server's signed tokens and suppression list
+const UNSUBSCRIBE_PLACEHOLDER = '{{unsubscribe_url}}';
+const UNSUBSCRIBE_NOT_SUPPORTED = `${UNSUBSCRIBE_PLACEHOLDER} is not supported by this function; send through the Express server (server.js) instead`;
+
 // Main Lambda handler for Amplify
 exports.handler = async (event) => {
-    // Handle CORS
+    const requestHeaders = {};
+    Object.keys(event.headers || {}).forEach(name => {
+        requestHeaders[name.toLowerCase()] = event.headers[name];
+    });
+
+    // Handle CORS: only origins in CORS_ORIGINS get the Access-Control-Allow-Origin header
     const headers = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
         'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
-        'Content-Type': 'application/json'
+        'Access-Control-Expose-Headers': 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-Quota-Remaining',
+        'Content-Type': 'application/json',
+        'Vary': 'Origin'
     };
+    if (Auth.isAllowedOrigin(CORS_ORIGINS, requestHeaders.origin)) {
+        headers['Access-Control-Allow-Origin'] = requestHeaders.origin;
+    }
+
+    // Handle both Amplify and API Gateway event formats
+    const path = (event.requestContext && event.requestContext.http && event.requestContext.http.path) 
+        || (event.path || '');
+    const method = (event.requestContext && event.requestContext.http && event.requestContext.http.method)
+        || (event.httpMethod || 'GET');
 
     // Handle preflight requests
-    if (event.requestContext && event.requestContext.http && event.requestContext.http.method === 'OPTIONS') {
+    if (method === 'OPTIONS') {
         return {
             statusCode: 200,
             headers,
@@ -64,37 +237,186 @@ exports.handler = async (event) => {
         };
     }
 
-    // Handle both Amplify and API Gateway event formats
-    const path = (event.requestContext && event.requestContext.http && event.requestContext.http.path) 
-        || (event.path || '');
-    const method = (event.requestContext && event.requestContext.http && event.requestContext.http.method)
-        || (event.httpMethod || 'GET');
-    const body = event.body ? (typeof event.body === 'string' ? JSON.parse(event.body) : event.body) : {};
+    // Webhook signatures are computed over the body exactly as received
+    const rawBody = event.body && event.isBase64Encoded
+        ? Buffer.from(event.body, 'base64').toString('utf8')
+        : event.body;
+    const body = rawBody ? (typeof rawBody === 'string' ? JSON.parse(rawBody) : rawBody) : {};
 
     // Health check endpoint
     if ((path === '/api/health' || path === '/health') && method === 'GET') {
         return {
             statusCode: 200,
             headers,
-            body: JSON.stringify({ status: 'ok', message: 'Email service is running' })
+            body: JSON.stringify({ status: 'ok', message: 'Email service is running', dryRun: DRY_RUN })
+        };
+    }
+
+    // Per-IP rate limit before the login check, so password guessing is limited too
+    // (provider webhooks can arrive in large bursts and are not limited)
+    const isWebhook = path.startsWith('/api/webhooks/') || path.startsWith('/webhooks/');
+    const sourceIp = (event.requestContext && event.requestContext.http && event.requestContext.http.sourceIp)
+        || (event.requestContext && event.requestContext.identity && event.requestContext.identity.sourceIp);
+    const ipLimited = isWebhook ? null : checkRateLimit(headers, `ip:${sourceIp || 'unknown'}`, Limits.settings.ipPerMinute);
+    if (ipLimited) {
+        return ipLimited;
+    }
+
+    // Log in with a username and password from AUTH_USERS
+    if ((path === '/api/auth/login' || path === '/auth/login') && method === 'POST') {
+        if (AUTH.error) {
+            return {
+                statusCode: 500,
+                headers,
+                body: JSON.stringify({ success: false, error: `Authentication not configured: ${AUTH.error}` })
+            };
+        }
+        if (AUTH.disabled) {
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify({ success: true, authDisabled: true })
+            };
+        }
+
+        const session = Auth.login(AUTH, body.username, body.password);
+        return {
+            statusCode: session ? 200 : 401,
+            headers,
+            body: JSON.stringify(session
+                ? { success: true, ...session }
+                : { success: false, error: 'Wrong username or password' })
+        };
+    }
+
+    // Everything below needs a logged-in user, except the provider webhooks (they check their own signature or token)
+    const user = AUTH.disabled || AUTH.error ? null : Auth.authenticate(AUTH, requestHeaders.authorization);
+    if (!isWebhook && !AUTH.disabled) {
+        if (AUTH.error) {
+            return {
+                statusCode: 500,
+                headers,
+                body: JSON.stringify({ success: false, error: `Authentication not configured: ${AUTH.error}` })
+            };
+        }
+        if (!user) {
+            return {
+                statusCode: 401,
+                headers,
+                body: JSON.stringify({ success: false, error: 'Login required' })
+            };
+        }
+    }
+    const username = user ? user.username : undefined;
+    const userLimited = user ? checkRateLimit(headers, `user:${username}`, Limits.settings.userPerMinute) : null;
+    if (userLimited) {
+        return userLimited;
+    }
+
+    // The logged-in user
+    if ((path === '/api/auth/me' || path === '/auth/me') && method === 'GET') {
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({ success: true, authDisabled: AUTH.disabled, user: user })
+        };
+    }
+
+    // Sending quotas of the logged-in user and what is left of them
+    if ((path === '/api/quota' || path === '/quota') && method === 'GET') {
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({ success: true, quota: Limits.getQuota(username) })
+        };
+    }
+
+    // Sender identities the browser can choose from (the first is the default)
+    if ((path === '/api/senders' || path === '/senders') && method === 'GET') {
+        return {
+            statusCode: PROVIDER_ERROR ? 500 : 200,
+            headers,
+            body: JSON.stringify(PROVIDER_ERROR
+                ? { success: false, error: `Email provider not configured: ${PROVIDER_ERROR}` }
+                : { success: true, senders: SENDERS.senders })
+        };
+    }
+
+    // Provider event webhooks. The Lambda has no storage, so verified events are only logged
+    // (to CloudWatch); run server.js to keep them and show delivery status in the reports.
+    if ((path === '/api/webhooks/sendgrid' || path === '/webhooks/sendgrid') && method === 'POST') {
+        const publicKey = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+        if (!publicKey) {
+            return {
+                statusCode: 503,
+                headers,
+                body: JSON.stringify({ success: false, error: 'SENDGRID_WEBHOOK_PUBLIC_KEY is not set' })
+            };
+        }
+
+        const verified = Webhooks.verifySendGrid(publicKey,
+            requestHeaders['x-twilio-email-event-webhook-signature'],
+            requestHeaders['x-twilio-email-event-webhook-timestamp'],
+            typeof rawBody === 'string' ? rawBody : JSON.stringify(rawBody));
+        if (!verified) {
+            return {
+                statusCode: 401,
+                headers,
+                body: JSON.stringify({ success: false, error: 'Invalid webhook signature' })
+            };
+        }
+
+        const events = Webhooks.parseSendGrid(body);
+        events.forEach(deliveryEvent => console.log('Delivery event:', JSON.stringify(deliveryEvent)));
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({ success: true, received: events.length })
+        };
+    }
+
+    if ((path === '/api/webhooks/brevo' || path === '/webhooks/brevo') && method === 'POST') {
+        const token = process.env.BREVO_WEBHOOK_TOKEN;
+        if (!token) {
+            return {
+                statusCode: 503,
+                headers,
+                body: JSON.stringify({ success: false, error: 'BREVO_WEBHOOK_TOKEN is not set' })
+            };
+        }
+        if (!Webhooks.verifyBrevo(token, requestHeaders.authorization)) {
+            return {
+                statusCode: 401,
+                headers,
+                body: JSON.stringify({ success: false, error: 'Invalid webhook credentials' })
+            };
+        }
+
+        const events = Webhooks.parseBrevo(body);
+        events.forEach(deliveryEvent => console.log('Delivery event:', JSON.stringify(deliveryEvent)));
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({ success: true, received: events.length })
         };
     }
 
     // Send email endpoint
     if ((path === '/api/send-email' || path === '/send-email') && method === 'POST') {
         try {
-            if (!API_KEY) {
+            if (PROVIDER_ERROR) {
                 return {
                     statusCode: 500,
                     headers,
                     body: JSON.stringify({
                         success: false,
-                        error: 'Email API key not configured. Please set EMAIL_API_KEY, SENDGRID_API_KEY, or BREVO_API_KEY environment variable.'
+                        error: `Email provider not configured: ${PROVIDER_ERROR}`
                     })
                 };
             }
 
             const { toEmail, subject, body: emailBody } = body;
+            const dryRun = DRY_RUN || body.dryRun === true;
 
             // Validate input
             if (!toEmail || !subject || !emailBody) {
@@ -107,92 +429,66 @@ exports.handler = async (event) => {
                     })
                 };
             }
-
-            let emailData;
-            let requestHeaders;
-
-            if (isBrevoKey) {
-                // Brevo API format
-                emailData = {
-                    sender: {
-                        email: FROM_EMAIL,
-                        name: FROM_NAME
-                    },
-                    to: [{
-                        email: toEmail
-                    }],
-                    subject: subject,
-                    htmlContent: emailBody
-                };
-                requestHeaders = {
-                    'api-key': API_KEY,
-                    'Content-Type': 'application/json'
-                };
-            } else {
-                // SendGrid API format
-                emailData = {
-                    personalizations: [{
-                        to: [{ email: toEmail }]
-                    }],
-                    from: {
-                        email: FROM_EMAIL,
-                        name: FROM_NAME
-                    },
-                    subject: subject,
-                    content: [{
-                        type: 'text/html',
-                        value: emailBody
-                    }]
+            if (![toEmail, subject, emailBody].every(value => typeof value === 'string')) {
+                return {
+                    statusCode: 400,
+                    headers,
+                    body: JSON.stringify({
+                        success: false,
+                        error: 'Invalid fields: toEmail, subject, and body must be strings'
+                    })
                 };
-                requestHeaders = {
-                    'Authorization': `Bearer ${API_KEY}`,
-                    'Content-Type': 'application/json'
+            }
+
+            if (subject.includes(UNSUBSCRIBE_PLACEHOLDER) || emailBody.includes(UNSUBSCRIBE_PLACEHOLDER)) {
+                return {
+                    statusCode: 400,
+                    headers,
+                    body: JSON.stringify({ success: false, error: UNSUBSCRIBE_NOT_SUPPORTED })
                 };
             }
 
-            // Send email via API
-            const response = await makeRequest(API_URL, {
-                method: 'POST',
-                headers: requestHeaders
-            }, emailData);
-
-            if (response.status >= 200 && response.status < 300) {
-                const responseData = JSON.parse(response.body || '{}');
-                const messageId = response.headers['x-message-id'] 
-                    || responseData.messageId 
-                    || `${isBrevoKey ? 'brevo' : 'sg'}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-                
+            if (dryRun && !Providers.supportsSandbox(EMAIL.provider)) {
                 return {
-                    statusCode: 200,
+                    statusCode: 400,
                     headers,
-                    body: JSON.stringify({
-                        success: true,
-                        email: toEmail,
-                        subject: subject,
-                        sentAt: new Date().toISOString(),
-                        messageId: messageId
-                    })
+                    body: JSON.stringify({ success: false, error: DRY_RUN_NOT_SUPPORTED })
                 };
-            } else {
-                const errorData = JSON.parse(response.body || '{}');
-                const errorMessage = errorData.message 
-                    || errorData.errors?.[0]?.message 
-                    || errorData.error 
-                    || `HTTP ${response.status}`;
-                
+            }
+
+            const sender = Senders.resolve(SENDERS.senders, body.from);
+            const attachments = checkAttachments(body.attachments);
+            const copies = Addresses.normalize(body);
+            if (sender.error || attachments.error || copies.error) {
                 return {
-                    statusCode: response.status,
+                    statusCode: 400,
                     headers,
-                    body: JSON.stringify({
-                        success: false,
-                        email: toEmail,
-                        subject: subject,
-                        attemptedAt: new Date().toISOString(),
-                        errorMessage: errorMessage,
-                        errorCode: response.status.toString()
-                    })
+                    body: JSON.stringify({ success: false, error: sender.error || attachments.error || copies.error })
                 };
             }
+
+            const message = { toEmail, subject, body: emailBody, ...Addresses.combine(toEmail, copies, {}) };
+            const toName = Addresses.normalizeName(body.toName);
+            if (toName) {
+                message.toName = toName;
+            }
+            if (attachments.attachments.length > 0) {
+                message.attachments = attachments.attachments;
+            }
+            const sent = await sendWithinQuota([message], dryRun, sender, username);
+            if (sent.error) {
+                return quotaExceeded(headers, sent);
+            }
+            const [result] = sent.results;
+            addQuotaHeader(headers, username);
+
+            // Pass the provider's HTTP status through; transport errors are a 500
+            const status = parseInt(result.errorCode, 10);
+            return {
+                statusCode: result.success ? 200 : (status >= 400 && status < 600 ? status : 500),
+                headers,
+                body: JSON.stringify(result)
+            };
         } catch (error) {
             console.error('Error sending email:', error);
             return {
@@ -210,6 +506,141 @@ exports.handler = async (event) => {
         }
     }
 
+    // Bulk email endpoint
+    // Body: { subject, body, from?, attachments?, cc?, bcc?, replyTo?,
+    //         recipients: [{ toEmail, toName?, subject?, body?, attachments?, cc?, bcc?, replyTo? }] }
+    // Recipient subject/body/replyTo override the shared ones (e.g. after mail merge);
+    // recipient attachments, cc and bcc are sent in addition to the shared ones
+    if ((path === '/api/send-bulk' || path === '/send-bulk') && method === 'POST') {
+        if (PROVIDER_ERROR) {
+            return {
+                statusCode: 500,
+                headers,
+                body: JSON.stringify({
+                    success: false,
+                    error: `Email provider not configured: ${PROVIDER_ERROR}`
+                })
+            };
+        }
+
+        const { subject, body: emailBody, recipients } = body;
+        const dryRun = DRY_RUN || body.dryRun === true;
+
+        // Validate input
+        if (!Array.isArray(recipients) || recipients.length === 0) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    success: false,
+                    error: 'Missing required field: recipients must be a non-empty array'
+                })
+            };
+        }
+        if (![subject || '', emailBody || ''].every(value => typeof value === 'string')) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, error: 'Invalid fields: subject and body must be strings' })
+            };
+        }
+
+        const normalized = recipients.map(recipient => ({
+            toEmail: typeof recipient === 'string' ? recipient : recipient && recipient.toEmail,
+            toName: Addresses.normalizeName(recipient && recipient.toName),
+            subject: (recipient && recipient.subject) || subject,
+            body: (recipient && recipient.body) || emailBody
+        }));
+
+        if (normalized.some(recipient => !recipient.toEmail || !recipient.subject || !recipient.body)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    success: false,
+                    error: 'Missing required fields: every recipient needs toEmail, subject, and body'
+                })
+            };
+        }
+        if (normalized.some(recipient => ![recipient.toEmail, recipient.subject, recipient.body].every(value => typeof value === 'string'))) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    success: false,
+                    error: 'Invalid fields: every recipient\'s toEmail, subject, and body must be strings'
+                })
+            };
+        }
+
+        if (normalized.some(recipient => recipient.subject.includes(UNSUBSCRIBE_PLACEHOLDER) || recipient.body.includes(UNSUBSCRIBE_PLACEHOLDER))) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, error: UNSUBSCRIBE_NOT_SUPPORTED })
+            };
+        }
+
+        if (dryRun && !Providers.supportsSandbox(EMAIL.provider)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, error: DRY_RUN_NOT_SUPPORTED })
+            };
+        }
+
+        // Each email carries the shared attachments and copies plus the recipient's own
+        const sender = Senders.resolve(SENDERS.senders, body.from);
+        const shared = Attachments.normalize(body.attachments);
+        const copies = Addresses.normalize(body);
+        if (sender.error || shared.error || copies.error) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ success: false, error: sender.error || shared.error || copies.error })
+            };
+        }
+        for (const [index, recipient] of normalized.entries()) {
+            const fields = typeof recipients[index] === 'object' ? recipients[index] : {};
+            const own = Attachments.normalize(fields.attachments);
+            const ownCopies = Addresses.normalize(fields);
+            const error = own.error || ownCopies.error ||
+                Attachments.checkSize([...shared.attachments, ...own.attachments], ATTACHMENT_MAX_BYTES);
+            if (error) {
+                return {
+                    statusCode: 400,
+                    headers,
+                    body: JSON.stringify({ success: false, error: `${recipient.toEmail}: ${error}` })
+                };
+            }
+            const attachments = [...shared.attachments, ...own.attachments];
+            if (attachments.length > 0) {
+                recipient.attachments = attachments;
+            }
+            Object.assign(recipient, Addresses.combine(recipient.toEmail, copies, ownCopies));
+        }
+
+        // Results are returned in the order the recipients were submitted
+        const sent = await sendWithinQuota(normalized, dryRun, sender, username);
+        if (sent.error) {
+            return quotaExceeded(headers, sent);
+        }
+        const results = sent.results;
+        addQuotaHeader(headers, username);
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                total: results.length,
+                successCount: results.filter(result => result.success).length,
+                failureCount: results.filter(result => !result.success).length,
+                results: results
+            })
+        };
+    }
+
     // 404 for unknown routes
     return {
         statusCode: 404,
@@ -11,6 +11,156 @@ const App = {
         this.setupEventListeners();
         FormManager.init();
         this.showToast('Application loaded successfully', 'success');
+        this.checkSavedSession();
+        this.loadSenders();
+    },
+    
+    /**
+     * Load the allowed senders from the server into the sender picker
+     */
+    async loadSenders() {
+        await EmailService.loadSenders();
+        this.renderSenderOptions();
+    },
+    
+    /**
+     * Fill the sender picker, keeping the chosen sender if it is still allowed
+     */
+    renderSenderOptions() {
+        const select = document.getElementById('senderSelect');
+        if (!select) return;
+        
+        // Without the list from the server, the server's default sender is used
+        const senders = EmailService.senders;
+        select.innerHTML = senders.length === 0 ? '<option value="">Server default sender</option>' : '';
+        senders.forEach(sender => {
+            const option = document.createElement('option');
+            option.value = sender.email;
+            option.textContent = sender.name ? `${sender.name} <${sender.email}>` : sender.email;
+            select.appendChild(option);
+        });
+        
+        const chosen = FormManager.getData('sender');
+        if (senders.some(sender => sender.email === chosen)) {
+            select.value = chosen;
+        }
+        EmailService.sender = select.value;
+    },
+    
+    /**
+     * Offer to restore a saved draft or resume an unfinished send
+     */
+    async checkSavedSession() {
+        let draft;
+        let send;
+        try {
+            [draft, send] = await Promise.all([SessionStore.loadDraft(), SessionStore.loadSend()]);
+        } catch (error) {
+            console.warn('Could not load saved session:', error);
+            return;
+        }
+        
+        // A campaign can only be resumed once the server has given it an ID
+        const resumable = send && (send.mode === 'browser' || (send.progress && send.progress.campaignId));
+        const restorable = draft && draft.sheetData;
+        if (!resumable && !restorable) {
+            return;
+        }
+        
+        const messages = [];
+        if (resumable) {
+            const processed = send.progress && send.progress.results
+                ? send.progress.results.success.length + send.progress.results.failure.length
+                : 0;
+            messages.push(send.mode === 'campaign'
+                ? `An unfinished campaign "${send.subject}" to ${send.recipients.length} recipients is still on the server.`
+                : `An unfinished send "${send.subject}" stopped after ${processed} of ${send.recipients.length} emails.`);
+        }
+        if (restorable) {
+            messages.push(`A draft from ${ReportGenerator.formatTimestamp(draft.savedAt)} (${draft.fileName || 'uploaded sheet'}) was saved.`);
+        }
+        
+        const banner = document.getElementById('restoreBanner');
+        document.getElementById('restoreText').textContent = messages.join(' ');
+        document.getElementById('resumeSession').classList.toggle('d-none', !resumable);
+        document.getElementById('restoreDraft').classList.toggle('d-none', !restorable);
+        banner.classList.remove('d-none');
+        
+        document.getElementById('resumeSession').onclick = () => {
+            this.hideRestoreBanner();
+            if (restorable) {
+                this.restoreDraft(draft);
+            }
+            this.runSend(send.recipients.length, progressCallback => EmailService.resumeSend(send, progressCallback));
+        };
+        
+        document.getElementById('restoreDraft').onclick = () => {
+            this.hideRestoreBanner();
+            this.restoreDraft(draft);
+            this.showToast('Draft restored', 'success');
+        };
+        
+        document.getElementById('discardSession').onclick = () => {
+            this.hideRestoreBanner();
+            SessionStore.clear().catch(e => {
+                console.warn('Could not clear saved session:', e);
+            });
+        };
+    },
+    
+    /**
+     * Hide the restore banner
+     */
+    hideRestoreBanner() {
+        document.getElementById('restoreBanner')?.classList.add('d-none');
+    },
+    
+    /**
+     * Restore a saved draft: sheet, email column, subject and body
+     * @param {Object} draft - Draft from SessionStore
+     */
+    restoreDraft(draft) {
+        ExcelParser.sheetData = draft.sheetData;
+        ExcelParser.sheetLinks = draft.sheetLinks || {};
+        ExcelParser.currentSheet = draft.selectedSheet;
+        
+        FormManager.storeData('fileName', draft.fileName);
+        FormManager.storeData('fileSize', draft.fileSize);
+        FormManager.storeData('selectedSheet', draft.selectedSheet);
+        
+        document.getElementById('fileName').textContent = draft.fileName || '';
+        document.getElementById('fileSize').textContent = this.formatFileSize(draft.fileSize || 0);
+        document.getElementById('fileInfo').classList.remove('d-none');
+        
+        this.renderColumnList(ExcelParser.getColumns(draft.sheetData));
+        if (draft.selectedColumn) {
+            this.handleColumnSelect(draft.selectedColumn, draft.emailReview || {});
+        }
+        
+        document.getElementById('emailSubject').value = draft.subject || '';
+        FormManager.storeData('subject', draft.subject || '');
+        FormManager.storeData('sender', draft.sender || '');
+        this.renderSenderOptions();
+        if (draft.delta) {
+            this.emailEditor.setContents(draft.delta);
+        }
+        
+        CopyAddresses.restore(draft.copies);
+        
+        if (FormManager.validateStep(2)) {
+            FormManager.showStep(3);
+            this.updateRecipientCount();
+            this.renderPlaceholderList();
+            this.renderTestRowOptions();
+            this.updateMergeWarnings();
+            AttachmentManager.renderColumnOptions(ExcelParser.getColumns(ExcelParser.sheetData));
+            AttachmentManager.render();
+            CopyAddresses.renderColumnOptions(ExcelParser.getColumns(ExcelParser.sheetData));
+            CopyAddresses.render();
+            PreviewPane.render();
+        } else {
+            FormManager.showStep(2);
+        }
     },
     
     /**
@@ -66,6 +216,14 @@ const App = {
             if (FormManager.validateStep(2)) {
                 FormManager.showStep(3);
                 this.updateRecipientCount();
+                this.renderPlaceholderList();
+                this.renderTestRowOptions();
+                this.updateMergeWarnings();
+                AttachmentManager.renderColumnOptions(ExcelParser.getColumns(ExcelParser.sheetData));
+                AttachmentManager.render();
+                CopyAddresses.renderColumnOptions(ExcelParser.getColumns(ExcelParser.sheetData));
+                CopyAddresses.render();
+                PreviewPane.render();
             }
         });
         
@@ -82,6 +240,48 @@ const App = {
             this.handleSendEmails();
         });
         
+        document.getElementById('sendTest')?.addEventListener('click', () => {
+            this.handleSendTest();
+        });
+        
+        // Test sends and full sends both go out from the chosen sender
+        document.getElementById('senderSelect')?.addEventListener('change', (e) => {
+            FormManager.storeData('sender', e.target.value);
+            EmailService.sender = e.target.value;
+        });
+        
+        // Keep the draft saved and mail merge warnings current as subject and body are edited
+        document.getElementById('emailSubject')?.addEventListener('input', (e) => {
+            FormManager.storeData('subject', e.target.value);
+            this.updateMergeWarnings();
+            PreviewPane.scheduleRender();
+        });
+        
+        this.emailEditor.on('text-change', () => {
+            FormManager.storeData('delta', { ops: this.emailEditor.getContents().ops });
+            this.updateMergeWarnings();
+            PreviewPane.scheduleRender();
+        });
+        
+        AttachmentManager.init();
+        CopyAddresses.init();
+        RecipientReview.init(review => {
+            FormManager.storeData('emailReview', review);
+            this.applyEmailValidation();
+        });
+        ScheduledCampaigns.init();
+        CampaignHistory.init();
+        
+        // Preview the message as each recipient row will receive it
+        PreviewPane.init(() => ({
+            subject: document.getElementById('emailSubject').value,
+            body: this.emailEditor.root.innerHTML
+        }));
+        
+        document.getElementById('downloadMissingData')?.addEventListener('click', () => {
+            ReportGenerator.downloadMissingDataReport(this.getMissingMergeValues());
+        });
+        
         // Sheet selection
         document.getElementById('sheetSelect')?.addEventListener('change', (e) => {
             this.handleSheetSelect(e.target.value);
@@ -91,18 +291,72 @@ const App = {
         document.getElementById('startOver')?.addEventListener('click', () => {
             FormManager.resetForm();
             EmailService.reset();
+            AttachmentManager.reset();
+            CopyAddresses.reset();
             this.showToast('Form reset. You can start a new batch.', 'info');
         });
         
         // Download reports
-        document.getElementById('downloadSuccess')?.addEventListener('click', () => {
+        document.getElementById('downloadSuccess')?.addEventListener('click', async (e) => {
+            const button = e.currentTarget;
             const successList = EmailService.getSuccessList();
-            ReportGenerator.downloadSuccessReport(successList);
+            
+            // Pick up the latest delivered/bounced/opened events before building the report
+            button.disabled = true;
+            await EmailService.loadDeliveryStatus(successList);
+            button.disabled = false;
+            ReportGenerator.downloadSuccessReport(successList, this.getReportSource());
         });
         
         document.getElementById('downloadFailure')?.addEventListener('click', () => {
             const failureList = EmailService.getFailureList();
-            ReportGenerator.downloadFailureReport(failureList);
+            ReportGenerator.downloadFailureReport(failureList, this.getReportSource());
+        });
+        
+        document.getElementById('downloadNotSent')?.addEventListener('click', () => {
+            const notSentList = EmailService.getNotSentList();
+            ReportGenerator.downloadNotSentReport(notSentList, this.getReportSource());
+        });
+        
+        document.getElementById('downloadFullReport')?.addEventListener('click', async (e) => {
+            const button = e.currentTarget;
+            const results = FormManager.getData('emailResults');
+            
+            button.disabled = true;
+            await EmailService.loadDeliveryStatus(results.success);
+            button.disabled = false;
+            ReportGenerator.downloadFullReport(results, {
+                summary: EmailService.getSummary(results),
+                subject: results.subject,
+                from: results.from,
+                startedAt: results.startedAt,
+                finishedAt: results.finishedAt,
+                dryRun: results.dryRun,
+                campaignId: EmailService.campaignId,
+                skippedRows: this.getSkippedRows(),
+                source: this.getReportSource()
+            });
+        });
+        
+        ['downloadSkipped', 'downloadSkippedResults'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', () => {
+                ReportGenerator.downloadSkippedReport(this.getSkippedRows(), this.getReportSource());
+            });
+        });
+        
+        // Pause / resume / cancel an in-flight send
+        document.getElementById('pauseSending')?.addEventListener('click', () => {
+            this.handleSendControl('pause');
+        });
+        
+        document.getElementById('resumeSending')?.addEventListener('click', () => {
+            this.handleSendControl('resume');
+        });
+        
+        document.getElementById('cancelSending')?.addEventListener('click', () => {
+            if (confirm('Cancel sending? Emails already sent cannot be recalled; the rest will not be sent.')) {
+                this.handleSendControl('cancel');
+            }
         });
     },
     
@@ -120,6 +374,7 @@ const App = {
         
         try {
             this.showToast('Parsing Excel file...', 'info');
+            this.hideRestoreBanner();
             
             // Store file info
             FormManager.storeData('file', file);
@@ -198,6 +453,7 @@ const App = {
         
         FormManager.storeData('selectedSheet', sheetName);
         const sheetData = ExcelParser.getSheetData(sheetName);
+        FormManager.saveSheet();
         
         if (!sheetData || sheetData.length === 0) {
             this.showToast('Selected sheet is empty', 'error');
@@ -206,8 +462,14 @@ const App = {
         
         // Get columns
         const columns = ExcelParser.getColumns(sheetData);
-        
-        // Display columns
+        this.renderColumnList(columns);
+    },
+    
+    /**
+     * Display the column list for email column selection
+     * @param {Array<string>} columns - Column headers
+     */
+    renderColumnList(columns) {
         const columnList = document.getElementById('columnList');
         columnList.innerHTML = '';
         
@@ -227,8 +489,10 @@ const App = {
     
     /**
      * Handle column selection
+     * @param {string} columnName - Column with the email addresses
+     * @param {Object} review - Fixes and accepts of flagged addresses to keep (from a restored draft)
      */
-    handleColumnSelect(columnName) {
+    handleColumnSelect(columnName, review = {}) {
         // Remove previous selection
         document.querySelectorAll('#columnList .list-group-item').forEach(item => {
             item.classList.remove('selected');
@@ -238,15 +502,42 @@ const App = {
         });
         
         FormManager.storeData('selectedColumn', columnName);
+        FormManager.storeData('emailReview', review);
         
-        // Get column data
-        const columnData = ExcelParser.getColumnData(columnName);
+        const validation = this.applyEmailValidation();
+        const skipped = validation.invalidCount + validation.flaggedCount;
+        if (validation.validCount > 0 && skipped > 0) {
+            this.showToast(`${skipped} address${skipped !== 1 ? 'es need' : ' needs'} review and will be skipped until fixed or accepted`, 'warning');
+        } else if (validation.validCount === 0) {
+            this.showToast(skipped > 0
+                ? 'No valid email addresses found yet: fix or accept the addresses below'
+                : 'No valid email addresses found in selected column', 'error');
+        }
+    },
+    
+    /**
+     * Validate the selected column with the review decisions and update the recipients and step 2
+     * @returns {Object} Validation result from ExcelParser.validateEmails
+     */
+    applyEmailValidation() {
+        // Get the addresses of the column with their row numbers and display names
+        const columnData = ExcelParser.getRecipientEntries(FormManager.getData('selectedColumn'));
         
         // Validate emails
-        const validation = ExcelParser.validateEmails(columnData);
+        const validation = ExcelParser.validateEmails(columnData, FormManager.getData('emailReview') || {});
         FormManager.storeData('emailList', validation.valid);
         FormManager.storeData('emailValidation', validation);
         
+        // Keep each recipient's full row for mail-merge placeholders
+        const recipients = validation.recipients.map(recipient => ({
+            email: recipient.email,
+            ...(recipient.name ? { name: recipient.name } : {}),
+            row: recipient.row,
+            data: ExcelParser.getRowData(recipient.row)
+        }));
+        FormManager.storeData('recipients', recipients);
+        PreviewPane.reset();
+        
         // Display validation results
         const emailPreview = document.getElementById('emailPreview');
         const emailCount = document.getElementById('emailCount');
@@ -259,15 +550,38 @@ const App = {
                 (validation.valid.length > 10 ? ` ... and ${validation.valid.length - 10} more` : '');
             emailPreview.classList.remove('d-none');
             nextButton.disabled = false;
-            
-            if (validation.invalidCount > 0) {
-                this.showToast(`${validation.invalidCount} invalid email${validation.invalidCount !== 1 ? 's' : ''} will be skipped`, 'warning');
-            }
         } else {
             emailPreview.classList.add('d-none');
             nextButton.disabled = true;
-            this.showToast('No valid email addresses found in selected column', 'error');
         }
+        
+        // Everything else in the sheet is skipped: say how much, and why in the report
+        const skippedRows = this.getSkippedRows();
+        const duplicates = validation.duplicateCount > 0
+            ? ` (${validation.duplicateCount} duplicate address${validation.duplicateCount !== 1 ? 'es' : ''})`
+            : '';
+        document.getElementById('skippedSummary').textContent =
+            `${skippedRows.length} address${skippedRows.length !== 1 ? 'es or empty rows' : ' or empty row'} will be skipped${duplicates}.`;
+        document.getElementById('skippedInfo').classList.toggle('d-none', skippedRows.length === 0);
+        
+        RecipientReview.render(validation);
+        return validation;
+    },
+    
+    /**
+     * Get the rows of the selected column that are not sent to
+     * @returns {Array<Object>} Skipped rows from ExcelParser.getSkippedRows
+     */
+    getSkippedRows() {
+        return ExcelParser.getSkippedRows(FormManager.getData('emailValidation'), FormManager.getData('selectedColumn'));
+    },
+    
+    /**
+     * Get the uploaded sheet for the report columns it adds
+     * @returns {Object|null} Source from ExcelParser.getReportSource
+     */
+    getReportSource() {
+        return ExcelParser.getReportSource(FormManager.getData('recipients'));
     },
     
     /**
@@ -277,6 +591,197 @@ const App = {
         const emailList = FormManager.getData('emailList');
         const count = emailList ? emailList.length : 0;
         document.getElementById('recipientCount').textContent = count;
+        this.updateQuotaInfo();
+    },
+    
+    /**
+     * Show how many emails the sending quota still allows (hidden when nothing is limited)
+     * @returns {Promise<void>}
+     */
+    async updateQuotaInfo() {
+        const info = document.getElementById('quotaInfo');
+        const quota = await EmailService.loadQuota();
+        if (!quota || quota.remaining === null) {
+            info.classList.add('d-none');
+            return;
+        }
+        
+        const labels = { userDaily: 'you today', userMonthly: 'you this month', daily: 'today', monthly: 'this month' };
+        const parts = Object.keys(labels)
+            .filter(name => quota[name])
+            .map(name => `${quota[name].remaining} of ${quota[name].limit} left for ${labels[name]}`);
+        info.textContent = `Sending quota: ${parts.join(', ')}. Every CC and BCC copy counts as an email.`;
+        info.classList.remove('d-none');
+    },
+    
+    /**
+     * Show a button for each spreadsheet column that inserts its placeholder
+     */
+    renderPlaceholderList() {
+        const placeholderList = document.getElementById('placeholderList');
+        if (!placeholderList) return;
+        
+        placeholderList.innerHTML = '';
+        ExcelParser.getColumns(ExcelParser.sheetData).forEach(column => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-outline-secondary btn-sm';
+            button.textContent = `{{${column}}}`;
+            button.addEventListener('click', () => this.insertPlaceholder(column));
+            placeholderList.appendChild(button);
+        });
+        
+        // Unsubscribe link, filled in per recipient by the server
+        const unsubscribeButton = document.createElement('button');
+        unsubscribeButton.type = 'button';
+        unsubscribeButton.className = 'btn btn-outline-danger btn-sm';
+        unsubscribeButton.innerHTML = '<i class="fas fa-user-slash"></i> Unsubscribe link';
+        unsubscribeButton.addEventListener('click', () => this.insertUnsubscribeLink());
+        placeholderList.appendChild(unsubscribeButton);
+    },
+    
+    /**
+     * Insert an "Unsubscribe" link pointing at the {{unsubscribe_url}} placeholder
+     */
+    insertUnsubscribeLink() {
+        const range = this.emailEditor.getSelection(true);
+        const index = range ? range.index : this.emailEditor.getLength() - 1;
+        this.emailEditor.insertText(index, 'Unsubscribe', 'link', '{{unsubscribe_url}}', 'user');
+        this.emailEditor.setSelection(index + 'Unsubscribe'.length, 0);
+    },
+    
+    /**
+     * Insert a placeholder at the editor cursor
+     * @param {string} column - Column name
+     */
+    insertPlaceholder(column) {
+        const range = this.emailEditor.getSelection(true);
+        const index = range ? range.index : this.emailEditor.getLength() - 1;
+        const placeholder = `{{${column}}}`;
+        this.emailEditor.insertText(index, placeholder, 'user');
+        this.emailEditor.setSelection(index + placeholder.length, 0);
+    },
+    
+    /**
+     * Get recipients whose row has no value for a placeholder without a fallback
+     * @returns {Array} Array of { email, row, placeholders } objects
+     */
+    getMissingMergeValues() {
+        const recipients = FormManager.getData('recipients') || [];
+        const subject = document.getElementById('emailSubject').value;
+        const body = this.emailEditor.root.innerHTML;
+        return MailMerge.findMissingValues(recipients, subject, body);
+    },
+    
+    /**
+     * Update the mail merge warning shown under the editor
+     */
+    updateMergeWarnings() {
+        const mergeWarnings = document.getElementById('mergeWarnings');
+        const mergeWarningText = document.getElementById('mergeWarningText');
+        if (!mergeWarnings || FormManager.currentStep !== 3) return;
+        
+        const subject = document.getElementById('emailSubject').value;
+        const body = this.emailEditor.root.innerHTML;
+        const columns = ExcelParser.getColumns(ExcelParser.sheetData);
+        const unknown = MailMerge.findUnknownPlaceholders(columns, subject, body);
+        const missing = this.getMissingMergeValues();
+        
+        const messages = [];
+        if (unknown.length > 0) {
+            messages.push(`Unknown placeholder${unknown.length !== 1 ? 's' : ''}: ${unknown.map(name => `{{${name}}}`).join(', ')}.`);
+        }
+        if (missing.length > 0) {
+            messages.push(`${missing.length} row${missing.length !== 1 ? 's have' : ' has'} empty values for placeholders without a fallback.`);
+        }
+        
+        mergeWarningText.textContent = messages.join(' ');
+        mergeWarnings.classList.toggle('d-none', messages.length === 0);
+        document.getElementById('downloadMissingData').classList.toggle('d-none', missing.length === 0);
+    },
+    
+    /**
+     * Fill the test row picker with the recipient rows
+     */
+    renderTestRowOptions() {
+        const testRow = document.getElementById('testRow');
+        if (!testRow) return;
+        
+        const recipients = FormManager.getData('recipients') || [];
+        testRow.innerHTML = '';
+        recipients.forEach((recipient, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `Row ${recipient.row}: ${recipient.email}`;
+            testRow.appendChild(option);
+        });
+    },
+    
+    /**
+     * Send the personalized message to the test addresses and show the outcome under the form
+     */
+    async handleSendTest() {
+        const subject = document.getElementById('emailSubject').value.trim();
+        const body = this.emailEditor.root.innerHTML;
+        const recipients = FormManager.getData('recipients') || [];
+        const recipient = recipients[document.getElementById('testRow').value];
+        
+        if (!subject || !body || body === '<p><br></p>') {
+            this.showToast('Please enter a subject and body before sending a test', 'error');
+            return;
+        }
+        
+        if (!recipient) {
+            this.showToast('Please choose a row for the test', 'error');
+            return;
+        }
+        
+        // Addresses can be separated by commas, semicolons or spaces
+        // Role accounts and the like are fine for a test; only invalid addresses are refused
+        const entered = document.getElementById('testEmails').value.split(/[\s,;]+/).filter(Boolean).map(email => EmailValidator.check(email));
+        const invalid = entered.filter(result => result.status === 'invalid');
+        if (entered.length === 0 || invalid.length > 0) {
+            this.showToast(invalid.length > 0
+                ? `Invalid test address: ${invalid.map(result => `${result.input} (${EmailValidator.describe(result)})`).join(', ')}`
+                : 'Please enter a test email address', 'error');
+            return;
+        }
+        const testAddresses = [...new Set(entered.map(result => result.email))];
+        
+        const maxTestRecipients = Config.email.maxTestRecipients || 5;
+        if (testAddresses.length > maxTestRecipients) {
+            this.showToast(`A test can be sent to at most ${maxTestRecipients} addresses`, 'error');
+            return;
+        }
+        
+        const sendTest = document.getElementById('sendTest');
+        const testResult = document.getElementById('testResult');
+        sendTest.disabled = true;
+        testResult.className = 'small mt-2 text-muted';
+        testResult.textContent = 'Sending test...';
+        
+        try {
+            const replyTo = CopyAddresses.forRecipient(recipient).replyTo || CopyAddresses.getShared().replyTo;
+            const results = await EmailService.sendTest(testAddresses, recipient, subject, body, AttachmentManager.getAll(recipient),
+                replyTo && CopyAddresses.normalize(replyTo));
+            
+            testResult.innerHTML = '';
+            results.forEach(result => {
+                const line = document.createElement('div');
+                line.className = result.success ? 'text-success' : 'text-danger';
+                if (result.success) {
+                    const note = result.dryRun ? ' (dry run, not delivered)' : '';
+                    line.innerHTML = `<i class="fas fa-check-circle"></i> Sent to ${MailMerge.escapeHtml(result.email)}${note}`;
+                } else {
+                    const code = result.errorCode ? ` (${result.errorCode})` : '';
+                    line.innerHTML = `<i class="fas fa-times-circle"></i> ${MailMerge.escapeHtml(result.email)}: ${MailMerge.escapeHtml(result.errorMessage || 'Failed')}${code}`;
+                }
+                testResult.appendChild(line);
+            });
+            testResult.className = 'small mt-2';
+        } finally {
+            sendTest.disabled = false;
+        }
     },
     
     /**
@@ -301,24 +806,142 @@ const App = {
         FormManager.storeData('subject', subject);
         FormManager.storeData('body', body);
         
-        // Get email list
-        const emailList = FormManager.getData('emailList');
+        // Get recipient list
+        const recipients = FormManager.getData('recipients');
         
-        if (!emailList || emailList.length === 0) {
+        if (!recipients || recipients.length === 0) {
             this.showToast('No email addresses to send', 'error');
             return;
         }
         
+        // Every file named in the file name column must have been uploaded
+        const attachmentProblems = AttachmentManager.findProblems(recipients);
+        if (attachmentProblems.length > 0) {
+            this.showToast(`Row ${attachmentProblems[0].row}: ${attachmentProblems[0].message}` +
+                (attachmentProblems.length > 1 ? ` (${attachmentProblems.length} rows affected)` : ''), 'error');
+            return;
+        }
+        
+        // CC, BCC and Reply-To addresses must be valid (flagged ones are only warned about under the fields)
+        const copyProblems = CopyAddresses.findProblems(recipients).filter(problem => problem.status === 'invalid');
+        if (copyProblems.length > 0) {
+            this.showToast(CopyAddresses.describe(copyProblems[0]) +
+                (copyProblems.length > 1 ? ` (${copyProblems.length} problems)` : ''), 'error');
+            return;
+        }
+        
+        // Shared files and addresses go with every request; each row carries only its own
+        const emailList = AttachmentManager.column || CopyAddresses.ccColumn || CopyAddresses.replyToColumn
+            ? recipients.map(recipient => ({
+                ...recipient,
+                ...(AttachmentManager.column
+                    ? { attachments: AttachmentManager.toPayload(AttachmentManager.forRecipient(recipient).attachments) }
+                    : {}),
+                ...CopyAddresses.toPayload(recipient)
+            }))
+            : recipients;
+        const attachments = AttachmentManager.toPayload(AttachmentManager.shared);
+        const copies = CopyAddresses.getSharedPayload();
+        const sender = document.getElementById('senderSelect').value;
+        
+        // Placeholders must match a spreadsheet column
+        const unknown = MailMerge.findUnknownPlaceholders(ExcelParser.getColumns(ExcelParser.sheetData), subject, body);
+        if (unknown.length > 0) {
+            this.showToast(`Unknown placeholder${unknown.length !== 1 ? 's' : ''}: ${unknown.map(name => `{{${name}}}`).join(', ')}`, 'error');
+            return;
+        }
+        
+        // A scheduled send needs its date and time
+        const schedule = ScheduledCampaigns.getSchedule();
+        if (schedule && !schedule.sendAt) {
+            this.showToast('Please choose the date and time to send at', 'error');
+            return;
+        }
+        
+        // A send that starts now must fit in the sending quota; a scheduled one is checked when it runs
+        const dryRun = document.getElementById('dryRun').checked;
+        if (!dryRun && !schedule) {
+            const quota = await EmailService.loadQuota();
+            const needed = EmailService.countEmails(emailList, copies);
+            if (quota && quota.remaining !== null && needed > quota.remaining) {
+                this.showToast(`This send needs up to ${needed} email(s) but the sending quota only has ${quota.remaining} left`, 'error');
+                this.updateQuotaInfo();
+                return;
+            }
+        }
+        
         // Confirm before sending
-        if (!confirm(`Are you sure you want to send ${emailList.length} email(s)?`)) {
+        const missing = this.getMissingMergeValues();
+        const missingNote = missing.length > 0
+            ? `\n\n${missing.length} recipient(s) have empty values for some placeholders.`
+            : '';
+        const when = schedule ? ` on ${ScheduledCampaigns.describe(schedule)}` : '';
+        const question = dryRun
+            ? `Start a dry run for ${emailList.length} email(s)${when}? Nothing will be sent.`
+            : `Are you sure you want to send ${emailList.length} email(s)${when}?`;
+        if (!confirm(`${question}${missingNote}`)) {
             return;
         }
+        EmailService.dryRun = dryRun;
+        EmailService.attachments = attachments;
+        EmailService.copies = copies;
+        EmailService.sender = sender;
         
+        if (schedule) {
+            await this.scheduleSend(emailList, subject, body, schedule);
+            return;
+        }
+        
+        // Remember the send so it can be resumed after a reload
+        const mode = Config.email.useCampaignJobs ? 'campaign' : 'browser';
+        await SessionStore.startSend({ mode, dryRun, sender, attachments, copies, subject, body, recipients: emailList }).catch(e => {
+            console.warn('Could not save send for resuming:', e);
+        });
+        
+        // Send emails - as a server-side campaign job, or batch by batch from the browser
+        await this.runSend(emailList.length, progressCallback => mode === 'campaign'
+            ? EmailService.sendCampaign(emailList, subject, body, progressCallback)
+            : EmailService.sendBulkEmails(emailList, subject, body, progressCallback));
+    },
+    
+    /**
+     * Hand the campaign to the server to send at the scheduled time
+     * @param {Array<Object>} emailList - Recipients ready to send
+     * @param {string} subject - Subject template
+     * @param {string} body - HTML body template
+     * @param {Object} schedule - { sendAt, timeZone }
+     */
+    async scheduleSend(emailList, subject, body, schedule) {
+        const sendButton = document.getElementById('sendEmails');
+        sendButton.disabled = true;
+        sendButton.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Scheduling...';
+        
+        try {
+            await EmailService.scheduleCampaign(emailList, subject, body, schedule);
+            this.showToast(`Campaign scheduled for ${ScheduledCampaigns.describe(schedule)}`, 'success');
+            await ScheduledCampaigns.load();
+            document.getElementById('scheduledCampaigns').scrollIntoView({ behavior: 'smooth' });
+        } catch (error) {
+            this.showToast('Could not schedule the campaign: ' + error.message, 'error');
+        } finally {
+            sendButton.disabled = false;
+            sendButton.innerHTML = ScheduledCampaigns.getSendButtonLabel();
+        }
+    },
+    
+    /**
+     * Show step 4 and run a send with progress, results and controls
+     * @param {number} total - Number of recipients
+     * @param {Function} send - Receives the progress callback and returns the send promise
+     */
+    async runSend(total, send) {
         // Move to step 4
         FormManager.showStep(4);
         
         // Initialize progress
-        this.updateProgress(0, emailList.length, 0, 0);
+        this.updateProgress(0, total, 0, 0);
+        this.updateSendControls('running');
+        document.getElementById('dryRunBadge').classList.toggle('d-none', !EmailService.dryRun);
         document.getElementById('progressSection').classList.remove('d-none');
         document.getElementById('resultsSection').classList.add('d-none');
         
@@ -328,35 +951,36 @@ const App = {
         sendButton.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Sending...';
         
         try {
-            // Send emails
-            const results = await EmailService.sendBulkEmails(
-                emailList,
-                subject,
-                body,
-                (progress) => {
-                    this.updateProgress(
-                        progress.processed,
-                        progress.total,
-                        progress.success,
-                        progress.failure
-                    );
-                }
-            );
+            const results = await send((progress) => {
+                this.showCampaignInfo(EmailService.campaignId);
+                this.updateProgress(
+                    progress.processed,
+                    progress.total,
+                    progress.success,
+                    progress.failure
+                );
+            });
             
-            // Store results
+            // Store results; the send is finished, so there is nothing left to resume
             FormManager.storeData('emailResults', results);
+            SessionStore.clearSend().catch(e => {
+                console.warn('Could not clear saved send:', e);
+            });
             
             // Show results
             this.showResults(results);
             
-            this.showToast(`Email sending complete! ${results.successCount} successful, ${results.failureCount} failed`, 'success');
+            const notSentNote = results.notSentCount > 0 ? `, ${results.notSentCount} not sent` : '';
+            const title = results.dryRun ? 'Dry run complete!' : 'Email sending complete!';
+            this.showToast(`${title} ${results.successCount} successful, ${results.failureCount} failed${notSentNote}`, 'success');
             
         } catch (error) {
             this.showToast('Error sending emails: ' + error.message, 'error');
             console.error('Send error:', error);
         } finally {
+            this.updateSendControls('done');
             sendButton.disabled = false;
-            sendButton.innerHTML = '<i class="fas fa-paper-plane"></i> Send Emails';
+            sendButton.innerHTML = ScheduledCampaigns.getSendButtonLabel();
         }
     },
     
@@ -375,6 +999,58 @@ const App = {
         document.getElementById('totalCount').textContent = total;
     },
     
+    /**
+     * Pause, resume or cancel the running send
+     * @param {string} action - 'pause', 'resume' or 'cancel'
+     */
+    async handleSendControl(action) {
+        try {
+            await EmailService[action]();
+            this.updateSendControls(action === 'cancel' ? 'cancelling' : (action === 'pause' ? 'paused' : 'running'));
+            
+            const messages = {
+                pause: 'Sending will pause after the current batch',
+                resume: 'Sending resumed',
+                cancel: 'Sending cancelled. Remaining emails will not be sent.'
+            };
+            this.showToast(messages[action], action === 'cancel' ? 'warning' : 'info');
+        } catch (error) {
+            this.showToast(`Could not ${action} sending: ${error.message}`, 'error');
+        }
+    },
+    
+    /**
+     * Update pause/resume/cancel buttons for the send state
+     * @param {string} state - 'running', 'paused', 'cancelling' or 'done'
+     */
+    updateSendControls(state) {
+        const pauseButton = document.getElementById('pauseSending');
+        const resumeButton = document.getElementById('resumeSending');
+        const cancelButton = document.getElementById('cancelSending');
+        if (!pauseButton) return;
+        
+        pauseButton.classList.toggle('d-none', state === 'paused');
+        resumeButton.classList.toggle('d-none', state !== 'paused');
+        document.getElementById('pausedBadge').classList.toggle('d-none', state !== 'paused');
+        
+        const finished = state === 'cancelling' || state === 'done';
+        pauseButton.disabled = finished;
+        resumeButton.disabled = finished;
+        cancelButton.disabled = finished;
+    },
+    
+    /**
+     * Show the ID of the campaign job being watched
+     * @param {string|null} campaignId - Campaign ID, or null when sending from the browser
+     */
+    showCampaignInfo(campaignId) {
+        const campaignInfo = document.getElementById('campaignInfo');
+        if (!campaignInfo) return;
+        
+        campaignInfo.classList.toggle('d-none', !campaignId);
+        document.getElementById('campaignId').textContent = campaignId || '';
+    },
+    
     /**
      * Show results
      */
@@ -382,12 +1058,24 @@ const App = {
         document.getElementById('progressSection').classList.add('d-none');
         document.getElementById('resultsSection').classList.remove('d-none');
         
+        document.getElementById('resultsTitle').textContent = results.dryRun ? 'Dry Run Complete!' : 'Email Sending Complete!';
+        document.getElementById('resultsSubtitle').textContent = results.dryRun
+            ? 'No emails were sent. The reports show what would have happened.'
+            : 'Summary of the sending process';
+        
         document.getElementById('finalSuccessCount').textContent = results.successCount;
         document.getElementById('finalFailureCount').textContent = results.failureCount;
+        document.getElementById('finalNotSentCount').textContent = results.notSentCount;
         
         // Enable/disable download buttons
         document.getElementById('downloadSuccess').disabled = results.successCount === 0;
         document.getElementById('downloadFailure').disabled = results.failureCount === 0;
+        document.getElementById('downloadNotSent').disabled = results.notSentCount === 0;
+        
+        // Rows left out in step 2, so the counts add up to the sheet
+        const skippedCount = this.getSkippedRows().length;
+        document.getElementById('finalSkippedCount').textContent = skippedCount;
+        document.getElementById('skippedResults').classList.toggle('d-none', skippedCount === 0);
     },
     
     /**
@@ -426,8 +1114,9 @@ const App = {
     }
 };
 
-// Initialize app when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
+// Initialize app when DOM is ready, after the user has logged in
+document.addEventListener('DOMContentLoaded', async () => {
+    await Auth.init();
     App.init();
 });
 
@@ -0,0 +1,242 @@
+// Attachment Manager Module - Files attached to every email, or per row through a file name column
+
+const AttachmentManager = {
+    shared: [], // { filename, content (base64), size } sent to every recipient
+    rowFiles: [], // Files picked per row by name from `column`
+    column: '',
+    
+    /**
+     * Wire up the file inputs and the file name column picker
+     */
+    init() {
+        document.getElementById('attachmentFiles')?.addEventListener('change', (e) => {
+            this.addFiles('shared', e.target.files).finally(() => {
+                e.target.value = '';
+            });
+        });
+        
+        document.getElementById('rowAttachmentFiles')?.addEventListener('change', (e) => {
+            this.addFiles('rowFiles', e.target.files).finally(() => {
+                e.target.value = '';
+            });
+        });
+        
+        document.getElementById('attachmentColumn')?.addEventListener('change', (e) => {
+            this.column = e.target.value;
+            this.render();
+        });
+    },
+    
+    /**
+     * Read, check and add files to one of the lists
+     * @param {string} list - 'shared' or 'rowFiles'
+     * @param {FileList} files - Selected files
+     * @returns {Promise<void>}
+     */
+    async addFiles(list, files) {
+        const maxTotalSize = Config.attachments.maxTotalSize;
+        
+        for (const file of Array.from(files)) {
+            const extension = '.' + file.name.split('.').pop().toLowerCase();
+            if (!Config.attachments.allowedTypes.includes(extension)) {
+                App.showToast(`${file.name}: file type not allowed`, 'error');
+                continue;
+            }
+            
+            // Shared files count towards every email; a per-row file must fit on its own
+            const used = list === 'shared' ? this.sharedSize() : 0;
+            if (used + file.size > maxTotalSize) {
+                App.showToast(`${file.name}: attachments would be larger than ${App.formatFileSize(maxTotalSize)}`, 'error');
+                continue;
+            }
+            
+            try {
+                const attachment = { filename: file.name, content: await this.readFile(file), size: file.size };
+                // A file with the same name replaces the earlier one
+                this[list] = this[list].filter(existing => existing.filename !== file.name).concat(attachment);
+            } catch (error) {
+                App.showToast(`${file.name}: ${error.message}`, 'error');
+            }
+        }
+        
+        this.render();
+    },
+    
+    /**
+     * Read a file as base64
+     * @param {File} file - File
+     * @returns {Promise<string>} Base64 content
+     */
+    readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result.substring(reader.result.indexOf(',') + 1));
+            reader.onerror = () => reject(reader.error || new Error('Could not read file'));
+            reader.readAsDataURL(file);
+        });
+    },
+    
+    /**
+     * Remove a file from a list
+     * @param {string} list - 'shared' or 'rowFiles'
+     * @param {string} filename - File name
+     */
+    remove(list, filename) {
+        this[list] = this[list].filter(attachment => attachment.filename !== filename);
+        this.render();
+    },
+    
+    /**
+     * Total size of the files attached to every email
+     * @returns {number} Size in bytes
+     */
+    sharedSize() {
+        return this.shared.reduce((total, attachment) => total + attachment.size, 0);
+    },
+    
+    /**
+     * Fill the file name column picker
+     * @param {Array<string>} columns - Column headers
+     */
+    renderColumnOptions(columns) {
+        const select = document.getElementById('attachmentColumn');
+        if (!select) return;
+        
+        if (!columns.includes(this.column)) {
+            this.column = '';
+        }
+        select.innerHTML = '<option value="">-- No per-row files --</option>';
+        columns.forEach(column => {
+            const option = document.createElement('option');
+            option.value = column;
+            option.textContent = column;
+            option.selected = column === this.column;
+            select.appendChild(option);
+        });
+    },
+    
+    /**
+     * Show the file lists and per-row problems
+     */
+    render() {
+        this.renderList('shared', document.getElementById('attachmentList'));
+        this.renderList('rowFiles', document.getElementById('rowAttachmentList'));
+        
+        const warnings = document.getElementById('attachmentWarnings');
+        if (warnings) {
+            const problems = this.findProblems(FormManager.getData('recipients') || []);
+            warnings.textContent = problems.slice(0, 5).map(problem => `Row ${problem.row}: ${problem.message}`).join(' ') +
+                (problems.length > 5 ? ` ... and ${problems.length - 5} more rows` : '');
+            warnings.classList.toggle('d-none', problems.length === 0);
+        }
+        
+        if (typeof PreviewPane !== 'undefined') {
+            PreviewPane.render();
+        }
+    },
+    
+    /**
+     * Show one file list as removable badges
+     * @param {string} list - 'shared' or 'rowFiles'
+     * @param {HTMLElement} container - List element
+     */
+    renderList(list, container) {
+        if (!container) return;
+        
+        container.innerHTML = '';
+        this[list].forEach(attachment => {
+            const item = document.createElement('span');
+            item.className = 'badge bg-light text-dark border';
+            item.innerHTML = `<i class="fas fa-paperclip"></i> ${MailMerge.escapeHtml(attachment.filename)} ` +
+                `<span class="text-muted">(${App.formatFileSize(attachment.size)})</span> `;
+            
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'btn-close';
+            removeButton.title = 'Remove';
+            removeButton.addEventListener('click', () => this.remove(list, attachment.filename));
+            item.appendChild(removeButton);
+            
+            container.appendChild(item);
+        });
+    },
+    
+    /**
+     * Files named in a recipient's file name cell (names separated by ; or ,)
+     * @param {Object} recipient - { email, row, data } recipient
+     * @returns {Object} { attachments, missing } - matched files and names that were not uploaded
+     */
+    forRecipient(recipient) {
+        if (!this.column || !recipient || !recipient.data) {
+            return { attachments: [], missing: [] };
+        }
+        
+        const names = MailMerge.resolveValue(recipient.data, this.column)
+            .split(/[;,]/)
+            .map(name => name.trim())
+            .filter(Boolean);
+        
+        const attachments = [];
+        const missing = [];
+        names.forEach(name => {
+            const file = this.rowFiles.find(attachment => attachment.filename.toLowerCase() === name.toLowerCase());
+            if (file) {
+                attachments.push(file);
+            } else {
+                missing.push(name);
+            }
+        });
+        return { attachments, missing };
+    },
+    
+    /**
+     * Attachments for one recipient: the shared files plus the row's own
+     * @param {Object} recipient - { email, row, data } recipient
+     * @returns {Array<Object>} { filename, content } ready to send
+     */
+    getAll(recipient) {
+        return this.toPayload([...this.shared, ...this.forRecipient(recipient).attachments]);
+    },
+    
+    /**
+     * Strip a list down to what the server needs
+     * @param {Array<Object>} attachments - Attachments with size
+     * @returns {Array<Object>} { filename, content }
+     */
+    toPayload(attachments) {
+        return attachments.map(attachment => ({ filename: attachment.filename, content: attachment.content }));
+    },
+    
+    /**
+     * Find rows naming files that were not uploaded, or whose attachments are too large
+     * @param {Array<Object>} recipients - { email, row, data } recipients
+     * @returns {Array<Object>} { email, row, message } per affected row
+     */
+    findProblems(recipients) {
+        if (!this.column) return [];
+        
+        const maxTotalSize = Config.attachments.maxTotalSize;
+        const problems = [];
+        recipients.forEach(recipient => {
+            const { attachments, missing } = this.forRecipient(recipient);
+            const size = this.sharedSize() + attachments.reduce((total, attachment) => total + attachment.size, 0);
+            
+            if (missing.length > 0) {
+                problems.push({ email: recipient.email, row: recipient.row, message: `${missing.join(', ')} not uploaded.` });
+            } else if (size > maxTotalSize) {
+                problems.push({ email: recipient.email, row: recipient.row, message: `attachments are larger than ${App.formatFileSize(maxTotalSize)}.` });
+            }
+        });
+        return problems;
+    },
+    
+    /**
+     * Remove all files
+     */
+    reset() {
+        this.shared = [];
+        this.rowFiles = [];
+        this.column = '';
+        this.render();
+    }
+};
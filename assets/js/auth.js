@@ -0,0 +1,190 @@
+// Auth Module - Login screen and the session token sent with every API request
+
+const Auth = {
+    storageKey: 'authSession',
+    session: null, // { token, username, expiresAt }
+    authDisabled: false,
+    onLogin: null, // Resolves the promise returned by init() after the first login
+    
+    /**
+     * Wire up the login form and check the saved session.
+     * Resolves once the user is logged in (right away when the saved session is still valid).
+     * @returns {Promise<void>}
+     */
+    async init() {
+        document.getElementById('loginForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleLogin();
+        });
+        document.getElementById('logoutButton').addEventListener('click', () => this.logout());
+        
+        this.session = this.loadSession();
+        
+        let response = null;
+        try {
+            response = await this.fetch(this.getUrl('me'));
+        } catch (error) {
+            console.warn('Could not check the login:', error);
+        }
+        
+        // Only a 401 asks for a login; a backend without the auth routes (or an unreachable one)
+        // shows its errors where the app uses it
+        if (!response || response.status !== 401) {
+            const data = response && response.ok ? await response.json().catch(() => ({})) : {};
+            this.authDisabled = Boolean(data.authDisabled);
+            this.showApp();
+            return;
+        }
+        
+        this.clearSession();
+        this.showLogin();
+        await new Promise(resolve => {
+            this.onLogin = resolve;
+        });
+    },
+    
+    /**
+     * Build an auth API URL
+     * @param {string} action - 'login' or 'me'
+     * @returns {string} URL without a trailing slash
+     */
+    getUrl(action) {
+        return `${(Config.backend?.authApiUrl || '/api/auth').replace(/\/$/, '')}/${action}`;
+    },
+    
+    /**
+     * Load the saved session, dropping it once expired
+     * @returns {Object|null} Saved session
+     */
+    loadSession() {
+        try {
+            const session = JSON.parse(localStorage.getItem(this.storageKey));
+            if (session && session.token && new Date(session.expiresAt) > new Date()) {
+                return session;
+            }
+        } catch (error) {
+            // Unreadable: log in again
+        }
+        localStorage.removeItem(this.storageKey);
+        return null;
+    },
+    
+    /**
+     * fetch() with the session token. A 401 means the session ended, so the login screen is shown.
+     * @param {string} url - Request URL
+     * @param {Object} options - fetch options
+     * @returns {Promise<Response>} Response
+     */
+    async fetch(url, options = {}) {
+        const headers = { ...(options.headers || {}) };
+        if (this.session) {
+            headers['Authorization'] = `Bearer ${this.session.token}`;
+        }
+        
+        const response = await fetch(url, { ...options, headers: headers });
+        if (response.status === 401 && !this.authDisabled && !url.endsWith('/me')) {
+            this.clearSession();
+            this.showLogin('Your session has expired. Please log in again.');
+        }
+        return response;
+    },
+    
+    /**
+     * Log in with the form's username and password
+     * @returns {Promise<void>}
+     */
+    async handleLogin() {
+        const button = document.getElementById('loginButton');
+        const username = document.getElementById('loginUsername').value.trim();
+        const password = document.getElementById('loginPassword').value;
+        if (!username || !password) {
+            this.showLoginError('Please enter your username and password');
+            return;
+        }
+        
+        button.disabled = true;
+        try {
+            const response = await fetch(this.getUrl('login'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ username: username, password: password })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok || !(data.token || data.authDisabled)) {
+                throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            this.authDisabled = Boolean(data.authDisabled);
+            if (data.token) {
+                this.session = { token: data.token, username: data.username, expiresAt: data.expiresAt };
+                localStorage.setItem(this.storageKey, JSON.stringify(this.session));
+            }
+            document.getElementById('loginPassword').value = '';
+            this.showApp();
+        } catch (error) {
+            this.showLoginError(error.message);
+        } finally {
+            button.disabled = false;
+        }
+    },
+    
+    /**
+     * Log out and start over with the login screen
+     */
+    logout() {
+        this.clearSession();
+        window.location.reload();
+    },
+    
+    /**
+     * Forget the session token
+     */
+    clearSession() {
+        this.session = null;
+        localStorage.removeItem(this.storageKey);
+    },
+    
+    /**
+     * Hide the app and show the login screen
+     * @param {string} message - Optional note above the form, e.g. why the login is needed again
+     */
+    showLogin(message = '') {
+        document.getElementById('appContent').classList.add('d-none');
+        document.getElementById('userBar').classList.add('d-none');
+        document.getElementById('loginSection').classList.remove('d-none');
+        document.getElementById('loginError').classList.add('d-none');
+        
+        const note = document.getElementById('loginMessage');
+        note.textContent = message;
+        note.classList.toggle('d-none', !message);
+        document.getElementById('loginUsername').focus();
+    },
+    
+    /**
+     * Show a login error
+     * @param {string} message - Error message
+     */
+    showLoginError(message) {
+        const error = document.getElementById('loginError');
+        error.textContent = message;
+        error.classList.remove('d-none');
+    },
+    
+    /**
+     * Hide the login screen and show the app
+     */
+    showApp() {
+        document.getElementById('loginSection').classList.add('d-none');
+        document.getElementById('appContent').classList.remove('d-none');
+        document.getElementById('userBar').classList.remove('d-none');
+        document.getElementById('currentUser').textContent = this.session ? this.session.username : '';
+        document.getElementById('logoutButton').classList.toggle('d-none', !this.session);
+        
+        if (this.onLogin) {
+            this.onLogin();
+            this.onLogin = null;
+        }
+    }
+};
@@ -0,0 +1,271 @@
+// Campaign History Module - Searchable list of past campaigns stored on the server, with a drill-down
+// into each campaign's email and per-recipient results and a re-download of its reports
+
+const CampaignHistory = {
+    campaigns: [],
+    total: 0,
+    query: {},
+    pageSize: 25,
+    detail: null, // { campaign, results } of the campaign shown in the drill-down
+    maxRecipientRows: 500, // Rows shown in the drill-down table; the reports have all of them
+    
+    /**
+     * Wire up the history dialog
+     */
+    init() {
+        const modal = document.getElementById('historyModal');
+        if (!modal) return;
+        
+        modal.addEventListener('show.bs.modal', () => {
+            this.showList();
+            this.search();
+        });
+        document.getElementById('historySearchForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.search();
+        });
+        document.getElementById('historyMore').addEventListener('click', () => this.search(true));
+        document.getElementById('historyBack').addEventListener('click', () => this.showList());
+        document.getElementById('historyRecipientFilter').addEventListener('input', () => this.renderRecipients());
+        document.getElementById('historyDownloadSuccess').addEventListener('click', (e) => this.download('success', e.currentTarget));
+        document.getElementById('historyDownloadFailure').addEventListener('click', (e) => this.download('failure', e.currentTarget));
+        document.getElementById('historyDownloadNotSent').addEventListener('click', (e) => this.download('notSent', e.currentTarget));
+        document.getElementById('historyDownloadFull').addEventListener('click', (e) => this.download('full', e.currentTarget));
+    },
+    
+    /**
+     * Read the search form
+     * @returns {Object} { q, recipient, since, until }
+     */
+    getQuery() {
+        return {
+            q: document.getElementById('historyText').value.trim(),
+            recipient: document.getElementById('historyRecipient').value.trim(),
+            since: document.getElementById('historySince').value,
+            until: document.getElementById('historyUntil').value
+        };
+    },
+    
+    /**
+     * Search the history with the form's criteria
+     * @param {boolean} more - Load the next page of the current search instead of starting over
+     * @returns {Promise<void>}
+     */
+    async search(more = false) {
+        const status = document.getElementById('historyStatus');
+        if (!more) {
+            this.query = this.getQuery();
+            this.campaigns = [];
+        }
+        
+        status.textContent = 'Loading...';
+        try {
+            const found = await EmailService.searchHistory({
+                ...this.query,
+                offset: this.campaigns.length,
+                limit: this.pageSize
+            });
+            this.campaigns = [...this.campaigns, ...found.campaigns];
+            this.total = found.total;
+            status.textContent = this.total === 0
+                ? 'No campaigns found'
+                : `Showing ${this.campaigns.length} of ${this.total} campaign(s)`;
+        } catch (error) {
+            status.textContent = `Could not load the campaign history: ${error.message}`;
+        }
+        this.renderList();
+    },
+    
+    /**
+     * Show the search results
+     */
+    renderList() {
+        const list = document.getElementById('historyList');
+        list.innerHTML = '';
+        this.campaigns.forEach(campaign => list.appendChild(this.renderRow(campaign)));
+        document.getElementById('historyMore').classList.toggle('d-none', this.campaigns.length >= this.total);
+    },
+    
+    /**
+     * Build the table row of one campaign
+     * @param {Object} campaign - Campaign summary
+     * @returns {HTMLTableRowElement} Row that opens the campaign when clicked
+     */
+    renderRow(campaign) {
+        const row = document.createElement('tr');
+        row.className = 'history-row';
+        row.tabIndex = 0;
+        
+        const dryRun = campaign.dryRun ? ' <span class="badge bg-info text-dark">Dry run</span>' : '';
+        const matched = (campaign.matchedRecipients || [])
+            .map(recipient => `${MailMerge.escapeHtml(recipient.email)} (${MailMerge.escapeHtml(this.describeRecipientStatus(recipient.status))})`)
+            .join(', ');
+        row.innerHTML = `
+            <td class="text-nowrap">${MailMerge.escapeHtml(this.formatDate(campaign.startedAt || campaign.createdAt))}</td>
+            <td>
+                ${MailMerge.escapeHtml(campaign.subject || '(no subject)')}${dryRun}
+                ${matched ? `<div class="small text-muted">${matched}</div>` : ''}
+            </td>
+            <td>${MailMerge.escapeHtml(campaign.from || 'N/A')}</td>
+            <td><span class="badge ${ScheduledCampaigns.statusBadges[campaign.status] || 'bg-secondary'}">${MailMerge.escapeHtml(campaign.status)}</span></td>
+            <td class="text-end">${campaign.successCount}</td>
+            <td class="text-end">${campaign.failureCount}</td>
+            <td class="text-end">${campaign.notSentCount}</td>
+        `;
+        
+        row.addEventListener('click', () => this.open(campaign.id));
+        row.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.open(campaign.id);
+        });
+        return row;
+    },
+    
+    /**
+     * Load a campaign and show it in the drill-down
+     * @param {string} id - Campaign ID
+     * @returns {Promise<void>}
+     */
+    async open(id) {
+        try {
+            this.detail = await EmailService.getHistoryCampaign(id);
+        } catch (error) {
+            App.showToast(`Could not load the campaign: ${error.message}`, 'error');
+            return;
+        }
+        
+        document.getElementById('historyRecipientFilter').value = this.query.recipient || '';
+        this.renderDetail();
+        document.getElementById('historySearchView').classList.add('d-none');
+        document.getElementById('historyDetail').classList.remove('d-none');
+    },
+    
+    /**
+     * Go back from the drill-down to the search results
+     */
+    showList() {
+        this.detail = null;
+        document.getElementById('historyDetail').classList.add('d-none');
+        document.getElementById('historySearchView').classList.remove('d-none');
+    },
+    
+    /**
+     * Show the campaign in the drill-down: details, email and recipients
+     */
+    renderDetail() {
+        const { campaign, results } = this.detail;
+        const copies = campaign.copies || {};
+        const sender = campaign.fromName ? `${campaign.fromName} <${campaign.from}>` : (campaign.from || 'N/A');
+        const facts = [
+            ['Subject', campaign.subject || '(no subject)'],
+            ['From', sender],
+            ['Sent by', campaign.createdBy || ''],
+            ['Status', `${campaign.status}${campaign.dryRun ? ' (dry run)' : ''}`],
+            ['Created', this.formatDate(campaign.createdAt)],
+            ['Started', this.formatDate(campaign.startedAt)],
+            ['Finished', this.formatDate(campaign.finishedAt)],
+            ['Recipients', `${campaign.total}: ${campaign.successCount} sent, ${campaign.failureCount} failed, ${campaign.notSentCount} not sent`],
+            ['Scheduled for', campaign.sendAt ? ScheduledCampaigns.describe(campaign) : ''],
+            ['CC', (copies.cc || []).join(', ')],
+            ['BCC', (copies.bcc || []).join(', ')],
+            ['Reply-To', copies.replyTo || ''],
+            ['Attachments', (campaign.attachments || []).join(', ')],
+            ['Error', campaign.error || '']
+        ].filter(([, value]) => value);
+        
+        document.getElementById('historyDetailInfo').innerHTML = facts
+            .map(([label, value]) => `<dt class="col-sm-3">${label}</dt><dd class="col-sm-9">${MailMerge.escapeHtml(value)}</dd>`)
+            .join('');
+        document.getElementById('historyPreview').srcdoc = PreviewPane.buildDocument(campaign.body || '');
+        
+        document.getElementById('historyDownloadSuccess').disabled = results.success.length === 0;
+        document.getElementById('historyDownloadFailure').disabled = results.failure.length === 0;
+        document.getElementById('historyDownloadNotSent').disabled = results.notSent.length === 0;
+        this.renderRecipients();
+    },
+    
+    /**
+     * Show the per-recipient results of the campaign, filtered by address
+     */
+    renderRecipients() {
+        if (!this.detail) return;
+        
+        const { results } = this.detail;
+        const filter = document.getElementById('historyRecipientFilter').value.trim().toLowerCase();
+        const rows = [
+            ...results.success.map(result => ({ result, status: 'sent', time: result.sentAt, detail: result.messageId })),
+            ...results.failure.map(result => ({ result, status: 'failed', time: result.attemptedAt, detail: result.errorMessage })),
+            ...results.notSent.map(result => ({ result, status: 'cancelled', time: result.cancelledAt, detail: result.reason }))
+        ].filter(row => !filter || (row.result.email || '').toLowerCase().includes(filter));
+        
+        const table = document.getElementById('historyRecipients');
+        table.innerHTML = rows.slice(0, this.maxRecipientRows).map(row => `
+            <tr>
+                <td>${MailMerge.escapeHtml(row.result.email || '')}</td>
+                <td>${MailMerge.escapeHtml(row.result.subject || '')}</td>
+                <td>${MailMerge.escapeHtml(this.describeRecipientStatus(row.status))}</td>
+                <td class="text-nowrap">${MailMerge.escapeHtml(this.formatDate(row.time))}</td>
+                <td class="small text-muted">${MailMerge.escapeHtml(row.detail || '')}</td>
+            </tr>
+        `).join('');
+        
+        const shown = Math.min(rows.length, this.maxRecipientRows);
+        document.getElementById('historyRecipientCount').textContent = rows.length > shown
+            ? `Showing ${shown} of ${rows.length} recipient(s); the reports list all of them`
+            : `${rows.length} recipient(s)`;
+    },
+    
+    /**
+     * Download a report of the campaign shown in the drill-down
+     * @param {string} type - 'success', 'failure', 'notSent' or 'full' (the workbook with all of them)
+     * @param {HTMLButtonElement} button - Button that was clicked
+     * @returns {Promise<void>}
+     */
+    async download(type, button) {
+        if (!this.detail) return;
+        
+        const { campaign, results } = this.detail;
+        const list = results[type];
+        if (type === 'full') {
+            button.disabled = true;
+            await EmailService.loadDeliveryStatus(results.success);
+            button.disabled = false;
+            ReportGenerator.downloadFullReport(results, {
+                summary: EmailService.getSummary(results),
+                subject: campaign.subject,
+                from: campaign.fromName ? `${campaign.fromName} <${campaign.from}>` : campaign.from,
+                startedAt: campaign.startedAt,
+                finishedAt: campaign.finishedAt,
+                dryRun: campaign.dryRun,
+                campaignId: campaign.id
+            });
+        } else if (type === 'success') {
+            // Pick up the latest delivered/bounced/opened events before building the report
+            button.disabled = true;
+            await EmailService.loadDeliveryStatus(list);
+            button.disabled = false;
+            ReportGenerator.downloadSuccessReport(list);
+        } else if (type === 'failure') {
+            ReportGenerator.downloadFailureReport(list);
+        } else {
+            ReportGenerator.downloadNotSentReport(list);
+        }
+    },
+    
+    /**
+     * Label of a recipient status
+     * @param {string} status - 'sent', 'failed', 'cancelled' or 'pending'
+     * @returns {string} Label for the tables
+     */
+    describeRecipientStatus(status) {
+        return { sent: 'Sent', failed: 'Failed', cancelled: 'Not sent' }[status] || status;
+    },
+    
+    /**
+     * Format a stored timestamp in the browser's time
+     * @param {string} value - ISO timestamp
+     * @returns {string} Local date and time, or '' when missing
+     */
+    formatDate(value) {
+        return value ? new Date(value).toLocaleString() : '';
+    }
+};
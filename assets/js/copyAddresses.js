@@ -0,0 +1,216 @@
+// Copy Addresses Module - CC, BCC and Reply-To for the whole campaign or per row from spreadsheet columns
+
+const CopyAddresses = {
+    ccColumn: '',
+    replyToColumn: '',
+    
+    /**
+     * Wire up the address inputs and column pickers
+     */
+    init() {
+        ['ccEmails', 'bccEmails', 'replyToEmail'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => this.render());
+        });
+        
+        document.getElementById('ccColumn')?.addEventListener('change', (e) => {
+            this.ccColumn = e.target.value;
+            this.render();
+        });
+        
+        document.getElementById('replyToColumn')?.addEventListener('change', (e) => {
+            this.replyToColumn = e.target.value;
+            this.render();
+        });
+    },
+    
+    /**
+     * Split an address list on commas, semicolons and spaces
+     * @param {string} text - Address list
+     * @returns {Array<string>} Addresses
+     */
+    parseList(text) {
+        return (text || '').split(/[\s,;]+/).filter(Boolean);
+    },
+    
+    /**
+     * Campaign-level addresses from the inputs
+     * @returns {Object} { cc, bcc, replyTo }
+     */
+    getShared() {
+        return {
+            cc: this.parseList(document.getElementById('ccEmails')?.value),
+            bcc: this.parseList(document.getElementById('bccEmails')?.value),
+            replyTo: (document.getElementById('replyToEmail')?.value || '').trim()
+        };
+    },
+    
+    /**
+     * Address to send, with the domain lowercased and in punycode like the recipients
+     * @param {string} address - Address as entered
+     * @returns {string} Address
+     */
+    normalize(address) {
+        return EmailValidator.check(address).email;
+    },
+    
+    /**
+     * Campaign-level fields to send (only the ones that are set)
+     * @returns {Object} { cc?, bcc?, replyTo? }
+     */
+    getSharedPayload() {
+        const { cc, bcc, replyTo } = this.getShared();
+        const fields = {};
+        if (cc.length > 0) fields.cc = cc.map(address => this.normalize(address));
+        if (bcc.length > 0) fields.bcc = bcc.map(address => this.normalize(address));
+        if (replyTo) fields.replyTo = this.normalize(replyTo);
+        return fields;
+    },
+    
+    /**
+     * Addresses from a recipient's row
+     * @param {Object} recipient - { email, row, data } recipient
+     * @returns {Object} { cc, replyTo }
+     */
+    forRecipient(recipient) {
+        const data = recipient && recipient.data;
+        return {
+            cc: this.ccColumn && data ? this.parseList(MailMerge.resolveValue(data, this.ccColumn)) : [],
+            replyTo: this.replyToColumn && data ? MailMerge.resolveValue(data, this.replyToColumn) : ''
+        };
+    },
+    
+    /**
+     * Fields to send for a recipient's row (only the ones that are set)
+     * @param {Object} recipient - { email, row, data } recipient
+     * @returns {Object} { cc?, replyTo? }
+     */
+    toPayload(recipient) {
+        const { cc, replyTo } = this.forRecipient(recipient);
+        const fields = {};
+        if (cc.length > 0) fields.cc = cc.map(address => this.normalize(address));
+        if (replyTo) fields.replyTo = this.normalize(replyTo);
+        return fields;
+    },
+    
+    /**
+     * Check the campaign addresses and every row's addresses with EmailValidator, like the recipients
+     * @param {Array<Object>} recipients - { email, row, data } recipients
+     * @returns {Array<Object>} { row, status, message } per problem; row is null for the campaign fields;
+     *   status is 'invalid' (the send is blocked) or 'flagged' (only warned about)
+     */
+    findProblems(recipients) {
+        const problems = [];
+        const check = (row, addresses) => {
+            const results = addresses.map(address => EmailValidator.check(address));
+            const list = status => results.filter(result => result.status === status)
+                .map(result => `${result.input} (${EmailValidator.describe(result)})`);
+            
+            const invalid = list('invalid');
+            if (invalid.length > 0) {
+                problems.push({ row: row, status: 'invalid', message: `Invalid address: ${invalid.join(', ')}.` });
+            }
+            const flagged = list('flagged');
+            if (flagged.length > 0) {
+                problems.push({ row: row, status: 'flagged', message: `Check address: ${flagged.join(', ')}.` });
+            }
+        };
+        
+        const shared = this.getShared();
+        check(null, [...shared.cc, ...shared.bcc, ...(shared.replyTo ? [shared.replyTo] : [])]);
+        
+        if (this.ccColumn || this.replyToColumn) {
+            recipients.forEach(recipient => {
+                const { cc, replyTo } = this.forRecipient(recipient);
+                check(recipient.row, [...cc, ...(replyTo ? [replyTo] : [])]);
+            });
+        }
+        return problems;
+    },
+    
+    /**
+     * Describe a problem for a warning or toast
+     * @param {Object} problem - { row, message }
+     * @returns {string} Text
+     */
+    describe(problem) {
+        return problem.row === null ? `CC/BCC/Reply-To: ${problem.message}` : `Row ${problem.row}: ${problem.message}`;
+    },
+    
+    /**
+     * Fill the CC and Reply-To column pickers
+     * @param {Array<string>} columns - Column headers
+     */
+    renderColumnOptions(columns) {
+        // The select ids match the property names
+        ['ccColumn', 'replyToColumn'].forEach(property => {
+            const select = document.getElementById(property);
+            if (!select) return;
+            
+            if (!columns.includes(this[property])) {
+                this[property] = '';
+            }
+            select.innerHTML = '<option value="">-- None --</option>';
+            columns.forEach(column => {
+                const option = document.createElement('option');
+                option.value = column;
+                option.textContent = column;
+                option.selected = column === this[property];
+                select.appendChild(option);
+            });
+        });
+    },
+    
+    /**
+     * Show address problems and keep the draft and preview current
+     */
+    render() {
+        const warnings = document.getElementById('copyWarnings');
+        if (warnings) {
+            const problems = this.findProblems(FormManager.getData('recipients') || []);
+            warnings.textContent = problems.slice(0, 5).map(problem => this.describe(problem)).join(' ') +
+                (problems.length > 5 ? ` ... and ${problems.length - 5} more` : '');
+            warnings.classList.toggle('d-none', problems.length === 0);
+        }
+        
+        FormManager.storeData('copies', this.getDraft());
+        
+        if (typeof PreviewPane !== 'undefined') {
+            PreviewPane.scheduleRender();
+        }
+    },
+    
+    /**
+     * Get the input values for the saved draft
+     * @returns {Object} { cc, bcc, replyTo, ccColumn, replyToColumn } as typed
+     */
+    getDraft() {
+        return {
+            cc: document.getElementById('ccEmails')?.value || '',
+            bcc: document.getElementById('bccEmails')?.value || '',
+            replyTo: document.getElementById('replyToEmail')?.value || '',
+            ccColumn: this.ccColumn,
+            replyToColumn: this.replyToColumn
+        };
+    },
+    
+    /**
+     * Restore the inputs from a saved draft
+     * @param {Object} draft - Value from getDraft()
+     */
+    restore(draft) {
+        if (!draft) return;
+        
+        document.getElementById('ccEmails').value = draft.cc || '';
+        document.getElementById('bccEmails').value = draft.bcc || '';
+        document.getElementById('replyToEmail').value = draft.replyTo || '';
+        this.ccColumn = draft.ccColumn || '';
+        this.replyToColumn = draft.replyToColumn || '';
+    },
+    
+    /**
+     * Clear the inputs and column choices
+     */
+    reset() {
+        this.restore({});
+    }
+};
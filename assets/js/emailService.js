@@ -3,7 +3,63 @@
 const EmailService = {
     results: {
         success: [],
-        failure: []
+        failure: [],
+        notSent: []
+    },
+    campaignId: null,
+    dryRun: false, // Render and report without delivering anything
+    attachments: [], // { filename, content } sent to every recipient
+    copies: {}, // { cc, bcc, replyTo } for every recipient
+    senders: [], // { email, name } identities the server allows; the first is its default
+    sender: '', // Address to send from; empty for the server's default
+    control: {
+        paused: false,
+        cancelled: false,
+        reason: null // Why the send stopped, when it was not the user (e.g. the quota ran out)
+    },
+    
+    /**
+     * Load the sending quotas of the logged-in user
+     * @returns {Promise<Object|null>} { daily, monthly, userDaily, userMonthly, remaining } (remaining is null
+     *   when nothing is limited), or null if the quotas could not be loaded
+     */
+    async loadQuota() {
+        try {
+            const response = await Auth.fetch((Config.backend?.quotaApiUrl || '/api/quota').replace(/\/$/, ''));
+            const data = await response.json();
+            return response.ok && data.quota ? data.quota : null;
+        } catch (error) {
+            console.warn('Could not load the sending quota:', error);
+            return null;
+        }
+    },
+    
+    /**
+     * Count the emails a send hands to the provider: every recipient plus their CC and BCC copies
+     * @param {Array<Object>} emailList - Recipients, with their own cc when the CC column is used
+     * @param {Object} copies - { cc?, bcc? } shared by every recipient
+     * @returns {number} Emails counted against the sending quota (an upper bound: the server drops duplicate copies)
+     */
+    countEmails(emailList, copies = this.copies) {
+        const shared = (copies.cc || []).length + (copies.bcc || []).length;
+        return emailList.reduce((sum, recipient) =>
+            sum + 1 + shared + ((recipient && recipient.cc) || []).length + ((recipient && recipient.bcc) || []).length, 0);
+    },
+    
+    /**
+     * Load the sender identities the server allows
+     * @returns {Promise<Array<Object>>} { email, name } senders, or an empty list if they could not be loaded
+     */
+    async loadSenders() {
+        try {
+            const response = await Auth.fetch((Config.backend?.sendersApiUrl || '/api/senders').replace(/\/$/, ''));
+            const data = await response.json();
+            this.senders = response.ok && Array.isArray(data.senders) ? data.senders : [];
+        } catch (error) {
+            console.warn('Could not load senders:', error);
+            this.senders = [];
+        }
+        return this.senders;
     },
     
     /**
@@ -11,9 +67,10 @@ const EmailService = {
      * @param {string} toEmail - Recipient email address
      * @param {string} subject - Email subject
      * @param {string} body - Email body (HTML)
+     * @param {Object} options - Optional { dryRun, attachments, copies } overriding this.dryRun, this.attachments and this.copies
      * @returns {Promise<Object>} Send result
      */
-    async sendEmail(toEmail, subject, body) {
+    async sendEmail(toEmail, subject, body, options = {}) {
         // Use backend API endpoint to avoid CORS issues
         // The backend will proxy the request to SendGrid
         // Ensure no trailing slash to prevent 301 redirects
@@ -22,7 +79,7 @@ const EmailService = {
         backendApiUrl = backendApiUrl.replace(/\/$/, '');
         
         try {
-            const response = await fetch(backendApiUrl, {
+            const response = await Auth.fetch(backendApiUrl, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -30,7 +87,11 @@ const EmailService = {
                 body: JSON.stringify({
                     toEmail: toEmail,
                     subject: subject,
-                    body: body
+                    body: body,
+                    from: this.sender || undefined,
+                    attachments: options.attachments || this.attachments,
+                    ...(options.copies || this.copies),
+                    dryRun: options.dryRun ?? this.dryRun
                 })
             });
             
@@ -50,6 +111,7 @@ const EmailService = {
                 success: false,
                 email: toEmail,
                 subject: subject,
+                from: this.sender || undefined,
                 attemptedAt: new Date(),
                 errorMessage: error.message || 'Network error or API connection failed',
                 errorCode: 'NETWORK_ERROR'
@@ -57,31 +119,151 @@ const EmailService = {
         }
     },
     
+    /**
+     * Send a batch of emails in one request to the backend bulk endpoint
+     * @param {Array<Object>} messages - Personalized { email, name?, subject, body, attachments?, cc?, replyTo? } messages
+     * @param {string} subject - Shared email subject
+     * @param {string} body - Shared email body (HTML)
+     * @returns {Promise<Array<Object>>} One send result per message, in order
+     */
+    async sendBatch(messages, subject, body) {
+        let backendApiUrl = Config.backend?.bulkApiUrl || '/api/send-bulk';
+        // Remove trailing slash if present
+        backendApiUrl = backendApiUrl.replace(/\/$/, '');
+        
+        // Only send a recipient's own subject/body when mail merge changed it
+        const recipients = messages.map(message => {
+            const recipient = { toEmail: message.email };
+            if (message.name) recipient.toName = message.name;
+            if (message.subject !== subject) recipient.subject = message.subject;
+            if (message.body !== body) recipient.body = message.body;
+            if (message.attachments) recipient.attachments = message.attachments;
+            if (message.cc) recipient.cc = message.cc;
+            if (message.replyTo) recipient.replyTo = message.replyTo;
+            return recipient;
+        });
+        
+        try {
+            const response = await Auth.fetch(backendApiUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    subject: subject,
+                    body: body,
+                    recipients: recipients,
+                    from: this.sender || undefined,
+                    attachments: this.attachments,
+                    ...this.copies,
+                    dryRun: this.dryRun
+                })
+            });
+            
+            const data = await response.json();
+            
+            if (!response.ok || !Array.isArray(data.results)) {
+                // Keep the server's code (e.g. QUOTA_EXCEEDED, RATE_LIMITED) for the reports
+                throw Object.assign(new Error(data.error || `HTTP ${response.status}: ${response.statusText}`), {
+                    code: data.errorCode
+                });
+            }
+            
+            return data.results.map(result => {
+                // Convert sentAt/attemptedAt strings back to Date objects
+                if (result.sentAt) {
+                    result.sentAt = new Date(result.sentAt);
+                }
+                if (result.attemptedAt) {
+                    result.attemptedAt = new Date(result.attemptedAt);
+                }
+                return result;
+            });
+        } catch (error) {
+            return messages.map(message => ({
+                success: false,
+                email: message.email,
+                subject: message.subject,
+                from: this.sender || undefined,
+                attemptedAt: new Date(),
+                errorMessage: error.message || 'Network error or API connection failed',
+                errorCode: error.code || 'NETWORK_ERROR'
+            }));
+        }
+    },
+    
+    /**
+     * Send a test of the personalized message to a few addresses
+     * The results are returned only; they are not added to the send results or reports
+     * @param {Array<string>} addresses - Test addresses
+     * @param {Object} recipient - { email, row, data } recipient whose row fills the placeholders
+     * @param {string} subject - Subject template
+     * @param {string} body - HTML body template
+     * @param {Array<Object>} attachments - { filename, content } attachments the row would get
+     * @param {string} replyTo - Reply-To the row would get (CC and BCC are left out so nobody else gets the test)
+     * @returns {Promise<Array<Object>>} One send result per address
+     */
+    async sendTest(addresses, recipient, subject, body, attachments = [], replyTo = '') {
+        const message = this.personalize(recipient, subject, body);
+        const testSubject = `${Config.email.testSubjectPrefix || ''}${message.subject}`;
+        const copies = replyTo ? { replyTo } : {};
+        
+        // A test is never a dry run, unless the server forces one
+        return Promise.all(addresses.map(address =>
+            this.sendEmail(address, testSubject, message.body, { dryRun: false, attachments, copies })));
+    },
+    
     /**
      * Send bulk emails with batching and progress tracking
-     * @param {Array<string>} emailList - Array of email addresses
-     * @param {string} subject - Email subject
-     * @param {string} body - Email body (HTML)
+     * @param {Array<string|Object>} emailList - Email addresses, or { email, row, data } recipients for mail merge
+     * @param {string} subject - Email subject (may contain {{Column}} placeholders)
+     * @param {string} body - Email body (HTML, may contain {{Column}} placeholders)
      * @param {Function} progressCallback - Callback function for progress updates
+     * @param {Object} resumeFrom - Optional { nextIndex, results, startedAt } to continue an interrupted send
      * @returns {Promise<Object>} Complete results
      */
-    async sendBulkEmails(emailList, subject, body, progressCallback) {
-        this.results = {
-            success: [],
-            failure: []
-        };
+    async sendBulkEmails(emailList, subject, body, progressCallback, resumeFrom = null) {
+        this.reset();
+        if (resumeFrom) {
+            this.results = resumeFrom.results;
+        }
+        const startedAt = (resumeFrom && resumeFrom.startedAt) || new Date();
         
         const total = emailList.length;
         const batchSize = Config.email.batchSize || 10;
         const delay = Config.email.delayBetweenBatches || 1000;
         
         // Process emails in batches
-        for (let i = 0; i < emailList.length; i += batchSize) {
+        for (let i = resumeFrom ? resumeFrom.nextIndex : 0; i < emailList.length; i += batchSize) {
+            // Cancelled between batches: everyone left is reported as not sent
+            if (this.control.cancelled) {
+                const cancelledAt = new Date();
+                emailList.slice(i).forEach(recipient => {
+                    const message = this.personalize(recipient, subject, body);
+                    this.results.notSent.push({
+                        success: false,
+                        email: message.email,
+                        subject: message.subject,
+                        from: this.sender || undefined,
+                        cancelledAt: cancelledAt,
+                        reason: this.control.reason || 'Cancelled before sending'
+                    });
+                });
+                break;
+            }
+            
             const batch = emailList.slice(i, i + batchSize);
-            const batchPromises = batch.map(email => this.sendEmail(email, subject, body));
+            const messages = batch.map(recipient => this.personalize(recipient, subject, body));
             
-            // Wait for batch to complete
-            const batchResults = await Promise.all(batchPromises);
+            // Send the whole batch in one request, saving progress before and after it
+            this.saveCheckpoint({ nextIndex: i, inFlightEnd: i + batch.length });
+            const batchResults = await this.sendBatch(messages, subject, body);
+            
+            // Out of quota: later batches would be refused too, so stop here
+            if (batchResults.some(result => result.errorCode === 'QUOTA_EXCEEDED')) {
+                this.control.cancelled = true;
+                this.control.reason = `Not sent: ${batchResults[0].errorMessage}`;
+            }
             
             // Categorize results
             batchResults.forEach(result => {
@@ -92,6 +274,8 @@ const EmailService = {
                 }
             });
             
+            this.saveCheckpoint({ nextIndex: i + batch.length, inFlightEnd: null });
+            
             // Update progress
             const processed = Math.min(i + batchSize, total);
             if (progressCallback) {
@@ -99,25 +283,488 @@ const EmailService = {
                     processed: processed,
                     total: total,
                     success: this.results.success.length,
-                    failure: this.results.failure.length
+                    failure: this.results.failure.length,
+                    notSent: 0
                 });
             }
             
-            // Delay between batches (except for last batch)
+            // Delay between batches (except for last batch), then hold here while paused
             if (i + batchSize < emailList.length) {
                 await new Promise(resolve => setTimeout(resolve, delay));
+                await this.waitWhilePaused();
+            }
+        }
+        
+        if (progressCallback && this.results.notSent.length > 0) {
+            progressCallback({
+                processed: total,
+                total: total,
+                success: this.results.success.length,
+                failure: this.results.failure.length,
+                notSent: this.results.notSent.length
+            });
+        }
+        
+        const results = this.buildResults(total, {
+            subject: subject,
+            from: this.sender || (this.results.success[0] || this.results.failure[0] || {}).from,
+            startedAt: startedAt,
+            finishedAt: new Date()
+        });
+        await this.recordHistory(subject, body, results);
+        return results;
+    },
+    
+    /**
+     * Store a finished browser send in the campaign history on the server
+     * (campaign jobs are kept there already). A failure only loses the history entry.
+     * @param {string} subject - Subject template
+     * @param {string} body - HTML body template
+     * @param {Object} results - Complete results from buildResults()
+     * @returns {Promise<void>}
+     */
+    async recordHistory(subject, body, results) {
+        try {
+            const response = await Auth.fetch(this.getHistoryUrl(), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    subject: subject,
+                    body: body,
+                    dryRun: results.dryRun,
+                    from: this.sender || undefined,
+                    ...this.copies,
+                    attachments: this.attachments.map(attachment => ({ filename: attachment.filename })),
+                    results: {
+                        success: results.success,
+                        failure: results.failure,
+                        notSent: results.notSent
+                    }
+                })
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
+        } catch (error) {
+            console.warn('Could not save the send to the campaign history:', error);
+        }
+    },
+    
+    /**
+     * Search the campaign history
+     * @param {Object} query - { q, recipient, since, until, offset, limit } (empty values are left out)
+     * @returns {Promise<Object>} { total, campaigns } with campaign summaries, newest first
+     */
+    async searchHistory(query) {
+        const params = new URLSearchParams();
+        Object.entries(query).forEach(([name, value]) => {
+            if (value !== undefined && value !== null && value !== '') params.set(name, value);
+        });
+        
+        const response = await Auth.fetch(`${this.getHistoryUrl()}?${params}`);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !Array.isArray(data.campaigns)) {
+            throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+        }
+        return { total: data.total, campaigns: data.campaigns };
+    },
+    
+    /**
+     * Load one campaign of the history with its per-recipient results
+     * @param {string} campaignId - Campaign ID
+     * @returns {Promise<Object>} { campaign, results: { success, failure, notSent } }
+     */
+    async getHistoryCampaign(campaignId) {
+        const response = await Auth.fetch(`${this.getHistoryUrl()}/${encodeURIComponent(campaignId)}`);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.campaign) {
+            throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+        }
+        return { campaign: data.campaign, results: data.results };
+    },
+    
+    /**
+     * Continue a send that was interrupted by a page reload
+     * @param {Object} send - Send record from SessionStore.loadSend()
+     * @param {Function} progressCallback - Callback function for progress updates
+     * @returns {Promise<Object>} Complete results
+     */
+    async resumeSend(send, progressCallback) {
+        const progress = send.progress || {};
+        this.dryRun = Boolean(send.dryRun);
+        this.attachments = send.attachments || [];
+        this.copies = send.copies || {};
+        this.sender = send.sender || '';
+        
+        if (send.mode === 'campaign') {
+            this.reset();
+            this.campaignId = progress.campaignId;
+            return this.watchCampaign(this.campaignId, progressCallback);
+        }
+        
+        const results = progress.results || { success: [], failure: [], notSent: [] };
+        let nextIndex = progress.nextIndex || 0;
+        
+        // The batch in flight when the page closed may or may not have gone out - don't send it twice
+        if (progress.inFlightEnd) {
+            send.recipients.slice(nextIndex, progress.inFlightEnd).forEach(recipient => {
+                const message = this.personalize(recipient, send.subject, send.body);
+                results.failure.push({
+                    success: false,
+                    email: message.email,
+                    subject: message.subject,
+                    from: this.sender || undefined,
+                    attemptedAt: new Date(),
+                    errorMessage: 'Page was closed while this email was being sent; delivery is unknown',
+                    errorCode: 'INTERRUPTED'
+                });
+            });
+            nextIndex = progress.inFlightEnd;
         }
         
+        return this.sendBulkEmails(send.recipients, send.subject, send.body, progressCallback, { nextIndex, results, startedAt: send.startedAt });
+    },
+    
+    /**
+     * Save send progress so the send can be resumed after a reload
+     * @param {Object} progress - { nextIndex, inFlightEnd } for browser sends or { campaignId } for campaigns
+     */
+    saveCheckpoint(progress) {
+        if (typeof SessionStore === 'undefined') return;
+        
+        // Copy the result lists: they keep growing while the write is queued
+        SessionStore.saveSendProgress({
+            ...progress,
+            results: {
+                success: [...this.results.success],
+                failure: [...this.results.failure],
+                notSent: [...this.results.notSent]
+            }
+        }).catch(e => {
+            console.warn('Could not save send progress:', e);
+        });
+    },
+    
+    /**
+     * Wait until the send is resumed or cancelled
+     * @returns {Promise<void>}
+     */
+    async waitWhilePaused() {
+        while (this.control.paused && !this.control.cancelled) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    },
+    
+    /**
+     * Pause the running send after the current batch
+     * @returns {Promise<void>}
+     */
+    async pause() {
+        if (this.campaignId) {
+            await this.controlCampaign('pause');
+        }
+        this.control.paused = true;
+    },
+    
+    /**
+     * Resume a paused send
+     * @returns {Promise<void>}
+     */
+    async resume() {
+        if (this.campaignId) {
+            await this.controlCampaign('resume');
+        }
+        this.control.paused = false;
+    },
+    
+    /**
+     * Cancel the running send; recipients not yet sent are reported as not sent
+     * @returns {Promise<void>}
+     */
+    async cancel() {
+        if (this.campaignId) {
+            await this.controlCampaign('cancel');
+        }
+        this.control.cancelled = true;
+    },
+    
+    /**
+     * Send a pause/resume/cancel/start request for a campaign job
+     * @param {string} action - 'pause', 'resume', 'cancel' or 'start' (a scheduled campaign, now)
+     * @param {string} campaignId - Campaign ID (defaults to the current campaign)
+     * @returns {Promise<Object>} Updated campaign summary
+     */
+    async controlCampaign(action, campaignId = this.campaignId) {
+        const response = await Auth.fetch(`${this.getCampaignsUrl()}/${encodeURIComponent(campaignId)}/${action}`, {
+            method: 'POST'
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+        }
+        return data.campaign;
+    },
+    
+    /**
+     * Build the results object returned by a bulk send
+     * @param {number} total - Number of recipients
+     * @param {Object} details - { subject, from, startedAt, finishedAt } of the send, for the full report
+     * @returns {Object} Complete results
+     */
+    buildResults(total, details = {}) {
         return {
+            subject: details.subject,
+            from: details.from,
+            startedAt: details.startedAt ? new Date(details.startedAt) : null,
+            finishedAt: details.finishedAt ? new Date(details.finishedAt) : null,
             success: this.results.success,
             failure: this.results.failure,
+            notSent: this.results.notSent,
             total: total,
             successCount: this.results.success.length,
-            failureCount: this.results.failure.length
+            failureCount: this.results.failure.length,
+            notSentCount: this.results.notSent.length,
+            // The server can force a dry run (DRY_RUN=true) even if the browser did not ask for one
+            dryRun: this.dryRun || this.results.success.some(result => result.dryRun)
         };
     },
     
+    /**
+     * Submit all emails as a server-side campaign job and watch it until it finishes
+     * @param {Array<string|Object>} emailList - Email addresses, or { email, row, data } recipients for mail merge
+     * @param {string} subject - Email subject (may contain {{Column}} placeholders)
+     * @param {string} body - Email body (HTML, may contain {{Column}} placeholders)
+     * @param {Function} progressCallback - Callback function for progress updates
+     * @returns {Promise<Object>} Complete results
+     */
+    async sendCampaign(emailList, subject, body, progressCallback) {
+        this.reset();
+        
+        const campaign = await this.createCampaign(emailList, subject, body);
+        this.campaignId = campaign.id;
+        this.saveCheckpoint({ campaignId: this.campaignId });
+        return this.watchCampaign(this.campaignId, progressCallback);
+    },
+    
+    /**
+     * Submit all emails as a campaign job that the server sends at a later date and time
+     * @param {Array<string|Object>} emailList - Email addresses, or { email, row, data } recipients for mail merge
+     * @param {string} subject - Email subject (may contain {{Column}} placeholders)
+     * @param {string} body - Email body (HTML, may contain {{Column}} placeholders)
+     * @param {Object} schedule - { sendAt: 'YYYY-MM-DDTHH:mm', timeZone } wall-clock time in that time zone
+     * @returns {Promise<Object>} Scheduled campaign summary
+     */
+    async scheduleCampaign(emailList, subject, body, schedule) {
+        this.reset();
+        return this.createCampaign(emailList, subject, body, schedule);
+    },
+    
+    /**
+     * Personalize the emails and create a campaign job on the server
+     * @param {Array<string|Object>} emailList - Email addresses, or { email, row, data } recipients for mail merge
+     * @param {string} subject - Email subject template
+     * @param {string} body - Email body template
+     * @param {Object} schedule - Optional { sendAt, timeZone } to send later
+     * @returns {Promise<Object>} Campaign summary
+     */
+    async createCampaign(emailList, subject, body, schedule = null) {
+        const messages = emailList.map(recipient => this.personalize(recipient, subject, body));
+        const response = await Auth.fetch(this.getCampaignsUrl(), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                subject: subject,
+                body: body,
+                dryRun: this.dryRun,
+                from: this.sender || undefined,
+                attachments: this.attachments,
+                ...this.copies,
+                ...(schedule || {}),
+                recipients: messages.map(message => {
+                    const recipient = { toEmail: message.email };
+                    if (message.name) recipient.toName = message.name;
+                    if (message.subject !== subject) recipient.subject = message.subject;
+                    if (message.body !== body) recipient.body = message.body;
+                    if (message.attachments) recipient.attachments = message.attachments;
+                    if (message.cc) recipient.cc = message.cc;
+                    if (message.replyTo) recipient.replyTo = message.replyTo;
+                    return recipient;
+                })
+            })
+        });
+        
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.campaign) {
+            throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+        }
+        return data.campaign;
+    },
+    
+    /**
+     * Watch an existing campaign job (e.g. a scheduled one) until it finishes, then load its results
+     * @param {Object} campaign - Campaign summary from the server
+     * @param {Function} progressCallback - Callback function for progress updates
+     * @returns {Promise<Object>} Complete results
+     */
+    async followCampaign(campaign, progressCallback) {
+        this.reset();
+        this.campaignId = campaign.id;
+        this.dryRun = Boolean(campaign.dryRun);
+        return this.watchCampaign(campaign.id, progressCallback);
+    },
+    
+    /**
+     * List the campaign jobs on the server, newest first
+     * @returns {Promise<Array<Object>>} Campaign summaries
+     */
+    async listCampaigns() {
+        const response = await Auth.fetch(this.getCampaignsUrl());
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !Array.isArray(data.campaigns)) {
+            throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+        }
+        return data.campaigns;
+    },
+    
+    /**
+     * Change the date and time of a scheduled campaign
+     * @param {string} campaignId - Campaign ID
+     * @param {Object} schedule - { sendAt, timeZone }
+     * @returns {Promise<Object>} Updated campaign summary
+     */
+    async rescheduleCampaign(campaignId, schedule) {
+        const response = await Auth.fetch(`${this.getCampaignsUrl()}/${encodeURIComponent(campaignId)}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(schedule)
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+        }
+        return data.campaign;
+    },
+    
+    /**
+     * Poll a campaign job until it finishes, then load its results
+     * @param {string} campaignId - Campaign ID returned by the backend
+     * @param {Function} progressCallback - Callback function for progress updates
+     * @returns {Promise<Object>} Complete results
+     */
+    async watchCampaign(campaignId, progressCallback) {
+        const interval = Config.email.campaignPollInterval || 2000;
+        const campaignUrl = `${this.getCampaignsUrl()}/${encodeURIComponent(campaignId)}`;
+        
+        let campaign = null;
+        let firstCheck = true;
+        while (!campaign || ['queued', 'running', 'paused'].includes(campaign.status)) {
+            if (!firstCheck) {
+                await new Promise(resolve => setTimeout(resolve, interval));
+            }
+            firstCheck = false;
+            
+            // Network and server hiccups don't stop a campaign on the server, so keep watching
+            let response;
+            try {
+                response = await Auth.fetch(campaignUrl);
+            } catch (error) {
+                continue;
+            }
+            
+            const data = await response.json().catch(() => ({}));
+            if (response.status === 404) {
+                throw new Error(data.error || 'Campaign not found');
+            }
+            if (!response.ok || !data.campaign) {
+                continue;
+            }
+            campaign = data.campaign;
+            
+            if (progressCallback) {
+                progressCallback({
+                    processed: campaign.processed,
+                    total: campaign.total,
+                    success: campaign.successCount,
+                    failure: campaign.failureCount,
+                    notSent: campaign.notSentCount || 0
+                });
+            }
+        }
+        
+        const response = await Auth.fetch(`${campaignUrl}/results`);
+        const data = await response.json();
+        const toDates = result => {
+            if (result.sentAt) result.sentAt = new Date(result.sentAt);
+            if (result.attemptedAt) result.attemptedAt = new Date(result.attemptedAt);
+            return result;
+        };
+        const toCancelledDate = result => {
+            if (result.cancelledAt) result.cancelledAt = new Date(result.cancelledAt);
+            return result;
+        };
+        this.results = {
+            success: data.success.map(toDates),
+            failure: data.failure.map(toDates),
+            notSent: (data.notSent || []).map(toCancelledDate)
+        };
+        
+        if (campaign.status === 'failed') {
+            throw new Error(campaign.error || 'Campaign failed on the server');
+        }
+        
+        return this.buildResults(campaign.total, campaign);
+    },
+    
+    /**
+     * Get the campaigns API URL without a trailing slash
+     * @returns {string} Campaigns API URL
+     */
+    getCampaignsUrl() {
+        return (Config.backend?.campaignsApiUrl || '/api/campaigns').replace(/\/$/, '');
+    },
+    
+    /**
+     * Get the history API URL without a trailing slash
+     * @returns {string} History API URL
+     */
+    getHistoryUrl() {
+        return (Config.backend?.historyApiUrl || '/api/history').replace(/\/$/, '');
+    },
+    
+    /**
+     * Fill mail-merge placeholders for one recipient
+     * @param {string|Object} recipient - Email address or { email, name?, row, data, attachments?, cc?, replyTo? } recipient
+     * @param {string} subject - Subject template
+     * @param {string} body - HTML body template
+     * @returns {Object} { email, name?, subject, body, attachments?, cc?, replyTo? } ready to send
+     */
+    personalize(recipient, subject, body) {
+        if (typeof recipient === 'string') {
+            return { email: recipient, subject: subject, body: body };
+        }
+        
+        const rendered = MailMerge.renderMessage(subject, body, recipient.data);
+        const message = {
+            email: recipient.email,
+            subject: rendered.subject,
+            body: rendered.body
+        };
+        if (recipient.name) message.name = recipient.name;
+        // The row's own files; the shared ones are sent once per request
+        if (recipient.attachments && recipient.attachments.length > 0) {
+            message.attachments = recipient.attachments;
+        }
+        if (recipient.cc) message.cc = recipient.cc;
+        if (recipient.replyTo) message.replyTo = recipient.replyTo;
+        return message;
+    },
+    
     /**
      * Get success list
      * @returns {Array} Array of successful email results
@@ -126,6 +773,43 @@ const EmailService = {
         return this.results.success;
     },
     
+    /**
+     * Look up the delivery status of successful sends from the provider webhook events on the server
+     * and store it as result.delivery ({ status, opened, spam, reason } or null if nothing arrived yet).
+     * Dry runs are skipped. Failing to reach the server leaves the results without delivery status.
+     * @param {Array} results - Successful email results
+     * @returns {Promise<void>}
+     */
+    async loadDeliveryStatus(results) {
+        const pending = results.filter(result => result.messageId && !result.dryRun);
+        const chunkSize = 500;
+        const url = (Config.backend?.deliveryStatusApiUrl || '/api/delivery-status').replace(/\/$/, '');
+        
+        try {
+            for (let i = 0; i < pending.length; i += chunkSize) {
+                const chunk = pending.slice(i, i + chunkSize);
+                const response = await Auth.fetch(url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        messages: chunk.map(result => ({ messageId: result.messageId, email: result.email }))
+                    })
+                });
+                const data = await response.json().catch(() => ({}));
+                if (!response.ok || !Array.isArray(data.statuses)) {
+                    throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+                }
+                chunk.forEach((result, index) => {
+                    result.delivery = data.statuses[index] || null;
+                });
+            }
+        } catch (error) {
+            console.warn('Could not load delivery status:', error);
+        }
+    },
+    
     /**
      * Get failure list
      * @returns {Array} Array of failed email results
@@ -134,16 +818,26 @@ const EmailService = {
         return this.results.failure;
     },
     
+    /**
+     * Get not sent list (recipients skipped because the send was cancelled)
+     * @returns {Array} Array of not sent email results
+     */
+    getNotSentList() {
+        return this.results.notSent;
+    },
+    
     /**
      * Get summary statistics
+     * @param {Object} results - { success, failure, notSent } lists (defaults to the current send)
      * @returns {Object} Summary object
      */
-    getSummary() {
+    getSummary(results = this.results) {
         return {
-            total: this.results.success.length + this.results.failure.length,
-            success: this.results.success.length,
-            failure: this.results.failure.length,
-            successRate: this.results.success.length / (this.results.success.length + this.results.failure.length) * 100 || 0
+            total: results.success.length + results.failure.length + results.notSent.length,
+            success: results.success.length,
+            failure: results.failure.length,
+            notSent: results.notSent.length,
+            successRate: results.success.length / (results.success.length + results.failure.length) * 100 || 0
         };
     },
     
@@ -153,7 +847,14 @@ const EmailService = {
     reset() {
         this.results = {
             success: [],
-            failure: []
+            failure: [],
+            notSent: []
+        };
+        this.campaignId = null;
+        this.control = {
+            paused: false,
+            cancelled: false,
+            reason: null
         };
     }
 };
@@ -0,0 +1,364 @@
+// Email Validator Module - Checks recipient addresses and explains what is wrong with them
+//
+// Every address gets a status and reason codes:
+//   invalid - INVALID_SYNTAX, INVALID_DOMAIN or INVALID_IDN: cannot be sent to until it is fixed
+//   flagged - DOMAIN_TYPO, DISPOSABLE_DOMAIN or ROLE_ACCOUNT: probably unwanted; send only after review
+//   valid   - none of the above
+// International domains are converted to punycode (the form providers accept).
+
+const EmailValidator = {
+    reasons: {
+        INVALID_SYNTAX: { label: 'Invalid email format', severity: 'invalid' },
+        INVALID_DOMAIN: { label: 'Invalid domain', severity: 'invalid' },
+        INVALID_IDN: { label: 'Invalid international domain', severity: 'invalid' },
+        DOMAIN_TYPO: { label: 'Possible typo in the domain', severity: 'flagged' },
+        DISPOSABLE_DOMAIN: { label: 'Disposable email domain', severity: 'flagged' },
+        ROLE_ACCOUNT: { label: 'Role account', severity: 'flagged' }
+    },
+    
+    // Dot-atom local part (RFC 5322) without quoted strings or comments, which providers reject
+    localPartPattern: /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/,
+    domainLabelPattern: /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/,
+    
+    // Domains typos are compared against (an exact match is never a typo)
+    commonDomains: [
+        'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'yahoo.fr', 'ymail.com', 'rocketmail.com',
+        'hotmail.com', 'hotmail.co.uk', 'hotmail.fr', 'outlook.com', 'live.com', 'msn.com', 'icloud.com',
+        'me.com', 'mac.com', 'aol.com', 'protonmail.com', 'proton.me', 'gmx.com', 'gmx.de', 'gmx.net',
+        'web.de', 'mail.com', 'zoho.com', 'yandex.com', 'yandex.ru', 'mail.ru', 'comcast.net',
+        'verizon.net', 'att.net', 'sbcglobal.net', 'btinternet.com', 'orange.fr', 'free.fr', 'laposte.net'
+    ],
+    
+    // Misspelled top-level domains and what they should be
+    tldTypos: {
+        con: 'com', cmo: 'com', ocm: 'com', comm: 'com', vom: 'com', xom: 'com', cpm: 'com', coom: 'com',
+        nte: 'net', ent: 'net', nett: 'net', ogr: 'org', rog: 'org', orgg: 'org'
+    },
+    
+    // Mailboxes of a function rather than a person (compared without a +tag)
+    roleAccounts: [
+        'abuse', 'accounts', 'admin', 'administrator', 'billing', 'careers', 'contact', 'do-not-reply',
+        'donotreply', 'enquiries', 'feedback', 'hello', 'help', 'hostmaster', 'hr', 'info', 'inquiries',
+        'jobs', 'legal', 'mailer-daemon', 'marketing', 'media', 'newsletter', 'no-reply', 'noreply',
+        'office', 'postmaster', 'press', 'privacy', 'root', 'sales', 'security', 'service', 'support',
+        'team', 'webmaster'
+    ],
+    
+    // Throwaway mailbox services (subdomains match too)
+    disposableDomains: [
+        '10minutemail.com', '10minutemail.net', '20minutemail.com', '33mail.com', 'anonbox.net',
+        'burnermail.io', 'discard.email', 'dispostable.com', 'dropmail.me', 'emailondeck.com',
+        'fakeinbox.com', 'fakemail.net', 'getairmail.com', 'getnada.com', 'guerrillamail.biz',
+        'guerrillamail.com', 'guerrillamail.de', 'guerrillamail.info', 'guerrillamail.net',
+        'guerrillamail.org', 'guerrillamailblock.com', 'harakirimail.com', 'incognitomail.org',
+        'inboxbear.com', 'jetable.org', 'mail-temp.com', 'mailcatch.com', 'maildrop.cc', 'mailinator.com',
+        'mailinator.net', 'mailinator2.com', 'mailnesia.com', 'mailnull.com', 'mailsac.com', 'mintemail.com',
+        'moakt.com', 'mohmal.com', 'mytemp.email', 'mytrashmail.com', 'nada.email', 'sharklasers.com',
+        'spam4.me', 'spambog.com', 'spamgourmet.com', 'spamex.com', 'temp-mail.io', 'temp-mail.org',
+        'tempail.com', 'tempinbox.com', 'tempmail.com', 'tempmail.dev', 'tempmail.net', 'tempmailo.com',
+        'tempr.email', 'throwawaymail.com', 'tmail.ws', 'tmpmail.net', 'tmpmail.org', 'trash-mail.com',
+        'trashmail.com', 'trashmail.de', 'trashmail.net', 'wegwerfmail.de', 'yopmail.com', 'yopmail.fr',
+        'yopmail.net', 'mvrht.com', 'emailfake.com', 'fakemailgenerator.com', 'grr.la', 'pokemail.net',
+        'spamdecoy.net', 'mailpoof.com', 'linshiyouxiang.net', 'byom.de', 'einrot.com', 'mailforspam.com'
+    ],
+    
+    /**
+     * Read the addresses in a spreadsheet cell, e.g. 'Jane Doe <jane@example.com>',
+     * 'a@example.com; b@example.com', '"Doe, Jane" <jane@example.com>' or 'mailto:jane@example.com'
+     * @param {string} value - Cell text or mailto: link
+     * @returns {Array<Object>} { address, name } per address, in order; name is '' when the cell has none.
+     *   Addresses are not checked here: pass them to check()
+     */
+    parseAddresses(value) {
+        const text = value === undefined || value === null ? '' : value.toString();
+        
+        // A mailto: query (?subject=...&cc=...) is not part of the address
+        const parts = this.splitAddressList(text.replace(/(mailto:[^?\s<>";]*)\?[^\s<>";]*/gi, '$1'));
+        
+        // 'Doe, Jane <jane@example.com>' was split at the comma: a part without @ is the start of the next name
+        const merged = [];
+        parts.forEach((part, index) => {
+            const previous = index > 0 ? parts[index - 1] : '';
+            if (merged.length > 0 && !previous.includes('@') && part.includes('<')) {
+                merged[merged.length - 1] += `, ${part}`;
+            } else {
+                merged.push(part);
+            }
+        });
+        
+        return merged.map(part => this.parseAddress(part));
+    },
+    
+    /**
+     * Split an address list at commas, semicolons and line breaks outside quotes and angle brackets
+     * @param {string} text - Address list
+     * @returns {Array<string>} Trimmed, non-empty parts
+     */
+    splitAddressList(text) {
+        const parts = [];
+        let current = '';
+        let quoted = false;
+        let bracketed = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '\\' && quoted && i + 1 < text.length) {
+                current += char + text[++i];
+                continue;
+            }
+            if (char === '"') quoted = !quoted;
+            else if (char === '<' && !quoted) bracketed = true;
+            else if (char === '>' && !quoted) bracketed = false;
+            
+            if (!quoted && !bracketed && /[,;\r\n]/.test(char)) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        parts.push(current);
+        return parts.map(part => part.trim()).filter(Boolean);
+    },
+    
+    /**
+     * Read one 'Name <address>', '<address>', 'address' or 'mailto:address' entry
+     * @param {string} part - Entry from splitAddressList()
+     * @returns {Object} { address, name }
+     */
+    parseAddress(part) {
+        const bracket = part.match(/^(.*?)<([^<>]*)>\s*$/);
+        let address = bracket ? bracket[2] : part;
+        let name = bracket ? bracket[1].trim() : '';
+        
+        // "Doe, Jane" -> Doe, Jane
+        const quoted = name.match(/^"(.*)"$/);
+        if (quoted) name = quoted[1].replace(/\\(.)/g, '$1');
+        name = name.replace(/\s+/g, ' ').trim();
+        
+        address = address.trim().replace(/^mailto:/i, '');
+        if (/%[0-9a-f]{2}/i.test(address)) {
+            try {
+                address = decodeURIComponent(address);
+            } catch (error) {
+                // Not valid percent-encoding: keep the address as written, check() reports it
+            }
+        }
+        address = address.trim();
+        
+        return { address: address, name: name.toLowerCase() === address.toLowerCase() ? '' : name };
+    },
+    
+    /**
+     * Check an address
+     * @param {string} value - Address as entered or read from the spreadsheet
+     * @returns {Object} { input, email, status, code, codes, reason, detail?, suggestion? }
+     *   email: the address to send to (trimmed, domain lowercased and in punycode)
+     *   status: 'valid', 'flagged' or 'invalid'; code: the most important reason code (null when valid);
+     *   codes: every reason code; reason: label of code; detail: what exactly is wrong (syntax and domain errors);
+     *   suggestion: corrected address for a likely typo
+     */
+    check(value) {
+        const input = value === undefined || value === null ? '' : value.toString().trim();
+        const problem = this.checkSyntax(input);
+        if (problem.code) {
+            return this.result(input, input, [problem.code], { detail: problem.detail });
+        }
+        
+        const { local, domain } = problem;
+        const email = `${local}@${domain}`;
+        const codes = [];
+        const extra = {};
+        
+        const suggestion = this.suggestDomain(domain);
+        if (suggestion) {
+            codes.push('DOMAIN_TYPO');
+            extra.suggestion = `${local}@${suggestion}`;
+        }
+        if (this.isDisposable(domain)) {
+            codes.push('DISPOSABLE_DOMAIN');
+        }
+        if (this.roleAccounts.includes(local.toLowerCase().split('+')[0])) {
+            codes.push('ROLE_ACCOUNT');
+        }
+        return this.result(input, email, codes, extra);
+    },
+    
+    /**
+     * Check the syntax of an address and convert an international domain to punycode
+     * @param {string} input - Trimmed address
+     * @returns {Object} { local, domain } or { code, detail }
+     */
+    checkSyntax(input) {
+        const at = input.lastIndexOf('@');
+        if (at === -1) {
+            return { code: 'INVALID_SYNTAX', detail: input ? 'Missing @' : 'Empty address' };
+        }
+        
+        const local = input.slice(0, at);
+        const rawDomain = input.slice(at + 1);
+        if (!local || !rawDomain) {
+            return { code: 'INVALID_SYNTAX', detail: local ? 'Missing domain after @' : 'Missing name before @' };
+        }
+        if (local.length > 64) {
+            return { code: 'INVALID_SYNTAX', detail: 'The part before @ is longer than 64 characters' };
+        }
+        if (!this.localPartPattern.test(local)) {
+            return {
+                code: 'INVALID_SYNTAX',
+                detail: /^\.|\.$|\.\./.test(local)
+                    ? 'Dots cannot start or end the part before @ or follow each other'
+                    : 'The part before @ has characters that are not allowed (e.g. spaces, @, commas or accents)'
+            };
+        }
+        
+        // Letters, digits, hyphens and dots, plus non-ASCII letters of international domains
+        if (!/^[a-z0-9.\-\u0080-\uffff]+$/i.test(rawDomain)) {
+            return { code: 'INVALID_DOMAIN', detail: 'The domain has characters that are not allowed (e.g. spaces, _ or brackets)' };
+        }
+        const rawLabels = rawDomain.split('.');
+        if (rawLabels.length < 2 || rawLabels.some(label => !label)) {
+            return { code: 'INVALID_DOMAIN', detail: 'The domain needs a name and an ending such as .com, without empty parts' };
+        }
+        const ending = rawLabels[rawLabels.length - 1];
+        if (/^[\x00-\x7f]+$/.test(ending) && !/^([a-z]{2,}|xn--[a-z0-9-]+)$/i.test(ending)) {
+            return { code: 'INVALID_DOMAIN', detail: `".${ending}" is not a valid domain ending` };
+        }
+        
+        const domain = this.toAscii(rawDomain);
+        if (domain === null) {
+            return /[^\x00-\x7f]/.test(rawDomain) || /(^|\.)xn--/i.test(rawDomain)
+                ? { code: 'INVALID_IDN', detail: 'It cannot be converted to or from punycode' }
+                : { code: 'INVALID_DOMAIN', detail: 'The domain is not a valid host name' };
+        }
+        
+        const labels = domain.split('.');
+        if (domain.length > 253 || input.length - rawDomain.length + domain.length > 254) {
+            return { code: 'INVALID_SYNTAX', detail: 'The address is longer than 254 characters' };
+        }
+        if (labels.some(label => label.length > 63 || !this.domainLabelPattern.test(label))) {
+            return { code: 'INVALID_DOMAIN', detail: 'Each part of the domain uses letters, digits and hyphens (not at its start or end)' };
+        }
+        return { local: local, domain: domain };
+    },
+    
+    /**
+     * Convert a domain to its lowercase ASCII form, encoding international labels as punycode
+     * (xn--) and checking the punycode labels it already has
+     * @param {string} domain - Domain as written, with only host name characters (URL parsing accepts more)
+     * @returns {string|null} ASCII domain, or null if it is not a valid host name
+     */
+    toAscii(domain) {
+        try {
+            const host = new URL(`http://${domain}/`).hostname;
+            return host.endsWith('.') || host.startsWith('[') ? null : host;
+        } catch (error) {
+            return null;
+        }
+    },
+    
+    /**
+     * Suggest the intended domain when it looks like a typo of a common one or of a top-level domain
+     * @param {string} domain - Lowercase ASCII domain
+     * @returns {string|null} Suggested domain
+     */
+    suggestDomain(domain) {
+        if (this.commonDomains.includes(domain)) return null;
+        
+        const labels = domain.split('.');
+        const tld = labels[labels.length - 1];
+        const fixedTld = this.tldTypos[tld];
+        const candidate = fixedTld ? [...labels.slice(0, -1), fixedTld].join('.') : domain;
+        
+        // Only domains with the same ending are compared (gmx.at is not a typo of gmx.de), and
+        // short domains need a closer match: one edit there changes a lot
+        const ending = candidate.slice(candidate.lastIndexOf('.'));
+        const maxDistance = candidate.length >= 10 ? 2 : 1;
+        let best = null;
+        let bestDistance = maxDistance + 1;
+        this.commonDomains.filter(common => common.endsWith(ending)).forEach(common => {
+            const distance = this.distance(candidate, common);
+            if (distance < bestDistance) {
+                best = common;
+                bestDistance = distance;
+            }
+        });
+        
+        return best || (fixedTld ? candidate : null);
+    },
+    
+    /**
+     * Edit distance counting insertions, deletions, substitutions and swaps of neighbouring characters
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Number of edits
+     */
+    distance(a, b) {
+        const d = [];
+        for (let i = 0; i <= a.length; i++) {
+            d[i] = [i];
+        }
+        for (let j = 1; j <= b.length; j++) {
+            d[0][j] = j;
+        }
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return d[a.length][b.length];
+    },
+    
+    /**
+     * Check a domain and its parent domains against the disposable list
+     * @param {string} domain - Lowercase ASCII domain
+     * @returns {boolean} True for a throwaway mailbox service
+     */
+    isDisposable(domain) {
+        const labels = domain.split('.');
+        return labels.some((label, index) => this.disposableDomains.includes(labels.slice(index).join('.')));
+    },
+    
+    /**
+     * Build a check result
+     * @param {string} input - Address as given
+     * @param {string} email - Address to send to
+     * @param {Array<string>} codes - Reason codes, most important first
+     * @param {Object} extra - { detail?, suggestion? }
+     * @returns {Object} Check result (see check)
+     */
+    result(input, email, codes, extra = {}) {
+        const code = codes[0] || null;
+        return {
+            input: input,
+            email: email,
+            status: code ? this.reasons[code].severity : 'valid',
+            code: code,
+            codes: codes,
+            reason: code ? this.reasons[code].label : '',
+            ...extra
+        };
+    },
+    
+    /**
+     * Describe a check result for tables and reports
+     * @param {Object} result - Result of check()
+     * @returns {string} e.g. 'Possible typo in the domain (did you mean jane@gmail.com?)'
+     */
+    describe(result) {
+        if (!result.code) return '';
+        
+        const labels = result.codes.map(code => this.reasons[code].label).join(', ');
+        if (result.suggestion) return `${labels} (did you mean ${result.suggestion}?)`;
+        return result.detail ? `${labels}: ${result.detail}` : labels;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EmailValidator;
+}
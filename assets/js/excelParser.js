@@ -4,6 +4,7 @@ const ExcelParser = {
     workbook: null,
     currentSheet: null,
     sheetData: null,
+    sheetLinks: {}, // mailto: hyperlink targets by '<row index>:<column index>' of sheetData
     
     /**
      * Parse Excel file
@@ -60,9 +61,33 @@ const ExcelParser = {
         
         this.currentSheet = sheetName;
         this.sheetData = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
+        this.sheetLinks = this.getMailtoLinks(worksheet);
         return this.sheetData;
     },
     
+    /**
+     * Collect the mailto: hyperlinks of a sheet (sheet_to_json only keeps the cell text)
+     * @param {Object} worksheet - SheetJS worksheet
+     * @returns {Object} Link targets by '<row index>:<column index>', counted like sheetData
+     */
+    getMailtoLinks(worksheet) {
+        const links = {};
+        if (!worksheet['!ref']) {
+            return links;
+        }
+        
+        const range = XLSX.utils.decode_range(worksheet['!ref']);
+        Object.keys(worksheet).forEach(address => {
+            const cell = worksheet[address];
+            if (address[0] === '!' || !cell || !cell.l || !/^mailto:/i.test(cell.l.Target || '')) {
+                return;
+            }
+            const position = XLSX.utils.decode_cell(address);
+            links[`${position.r - range.s.r}:${position.c - range.s.c}`] = cell.l.Target;
+        });
+        return links;
+    },
+    
     /**
      * Extract column headers (first row)
      * @param {Array} sheetData - Sheet data array
@@ -84,6 +109,15 @@ const ExcelParser = {
      * @returns {Array} Column data (excluding header)
      */
     getColumnData(columnName) {
+        return this.getColumnEntries(columnName).map(entry => entry.value);
+    },
+    
+    /**
+     * Get non-empty values from a specific column with their spreadsheet row numbers
+     * @param {string} columnName - Name of the column
+     * @returns {Array<Object>} Entries of { value, row } (row 1 is the header)
+     */
+    getColumnEntries(columnName) {
         if (!this.sheetData || !columnName) {
             return [];
         }
@@ -96,51 +130,238 @@ const ExcelParser = {
         }
         
         // Extract column data (skip header row)
-        const columnData = [];
+        const entries = [];
         for (let i = 1; i < this.sheetData.length; i++) {
             const value = this.sheetData[i][columnIndex];
             if (value !== undefined && value !== null && value !== '') {
-                columnData.push(value.toString().trim());
+                entries.push({
+                    value: value.toString().trim(),
+                    row: i + 1
+                });
+            }
+        }
+        
+        return entries;
+    },
+    
+    /**
+     * Get the recipients of an email column: a cell can hold several addresses, display names
+     * ('Jane Doe <jane@example.com>') or a mailto: link (see EmailValidator.parseAddresses)
+     * @param {string} columnName - Name of the column
+     * @returns {Array<Object>} Entries of { value, name, row, key }: value is one address as written,
+     *   key is the row number, or '<row>.<n>' for the n-th address of a cell with several
+     */
+    getRecipientEntries(columnName) {
+        if (!this.sheetData || !columnName) {
+            return [];
+        }
+        
+        const columnIndex = this.sheetData[0].findIndex(h => h === columnName);
+        const entries = [];
+        this.getColumnEntries(columnName).forEach(entry => {
+            let addresses = EmailValidator.parseAddresses(entry.value);
+            
+            // A linked name ('Jane Doe' -> mailto:jane@example.com) is sent to the link's address
+            const link = this.sheetLinks[`${entry.row - 1}:${columnIndex}`];
+            if (link && !entry.value.includes('@')) {
+                const linked = EmailValidator.parseAddresses(link);
+                addresses = linked.length === 1 && !linked[0].name ? [{ ...linked[0], name: entry.value }] : linked;
+            }
+            
+            // Keep the cell as it is when nothing could be read from it, so it is listed as invalid
+            if (addresses.length === 0) {
+                addresses = [{ address: entry.value, name: '' }];
+            }
+            addresses.forEach((address, index) => {
+                entries.push({
+                    value: address.address,
+                    name: address.name,
+                    row: entry.row,
+                    key: addresses.length > 1 ? `${entry.row}.${index + 1}` : String(entry.row)
+                });
+            });
+        });
+        
+        return entries;
+    },
+    
+    /**
+     * Get all cells of a spreadsheet row keyed by column header
+     * @param {number} row - Spreadsheet row number (row 1 is the header)
+     * @returns {Object} Row data, e.g. { 'First Name': 'Jane', 'Email': 'jane@example.com' }
+     */
+    getRowData(row) {
+        if (!this.sheetData || !this.sheetData[row - 1]) {
+            return {};
+        }
+        
+        const headers = this.sheetData[0];
+        const cells = this.sheetData[row - 1];
+        const data = {};
+        headers.forEach((header, index) => {
+            if (header && header.toString().trim() !== '') {
+                data[header.toString()] = cells[index] !== undefined ? cells[index] : '';
             }
+        });
+        
+        return data;
+    },
+    
+    /**
+     * Describe the loaded sheet for reports, so each result can be joined back to its source row
+     * @param {Array<Object>} recipients - { email, row } recipients from the validated column (may be empty)
+     * @returns {Object|null} { columns, findRow(email) (spreadsheet row or null), getRowData(row) },
+     *   or null when no sheet is loaded
+     */
+    getReportSource(recipients) {
+        if (!this.sheetData) {
+            return null;
         }
         
-        return columnData;
+        // Addresses are unique after validation, whatever their case
+        const rows = new Map((recipients || []).map(recipient => [recipient.email.toLowerCase(), recipient.row]));
+        return {
+            columns: this.getColumns(this.sheetData).map(String),
+            findRow: email => (email && rows.get(String(email).toLowerCase())) || null,
+            getRowData: row => this.getRowData(row)
+        };
     },
     
     /**
-     * Validate email addresses
-     * @param {Array<string>} emails - Array of email addresses
-     * @returns {Object} Validation result with valid and invalid emails
+     * Validate email addresses with EmailValidator, applying the decisions made while reviewing them
+     * @param {Array<string|Object>} emails - Email addresses, or { value, row, name?, key? } entries from getRecipientEntries
+     * @param {Object} review - Decisions by entry key (the row for a string list): { <key>: { action: 'accept' } } sends
+     *   a flagged address as it is, { <key>: { action: 'fix', email } } sends the corrected address instead
+     * @returns {Object} Validation result: valid and recipients ({ email, row, name?, original? }) are sent;
+     *   invalid and flagged entries ({ email, row, key, name?, code, codes, reason, detail?, suggestion? }) are skipped,
+     *   and so are duplicates ({ email, row, key, name?, duplicateOf }) of an address on an earlier row (ignoring case)
      */
-    validateEmails(emails) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    validateEmails(emails, review = {}) {
         const valid = [];
         const invalid = [];
+        const flagged = [];
+        const duplicates = [];
+        const recipients = [];
+        const seen = new Map(); // Lowercased address -> row it is first sent from
+        let fixedCount = 0;
+        let acceptedCount = 0;
         
-        emails.forEach((email, index) => {
-            if (emailRegex.test(email)) {
-                valid.push(email);
-            } else {
-                invalid.push({
-                    email: email,
-                    row: index + 2, // +2 because index starts at 0 and we skip header
-                    reason: 'Invalid email format'
+        emails.forEach((entry, index) => {
+            const original = typeof entry === 'string' ? entry : entry.value;
+            const row = typeof entry === 'string' ? index + 2 : entry.row; // +2 because index starts at 0 and we skip header
+            const key = typeof entry === 'string' ? String(row) : (entry.key || String(row));
+            const name = typeof entry === 'string' ? '' : (entry.name || '');
+            const decision = review[key] || {};
+            const fixed = decision.action === 'fix' && decision.email;
+            const result = EmailValidator.check(fixed || original);
+            
+            if (result.status === 'invalid' || (result.status === 'flagged' && decision.action !== 'accept' && !fixed)) {
+                (result.status === 'invalid' ? invalid : flagged).push({
+                    email: original,
+                    row: row,
+                    key: key,
+                    ...(name ? { name: name } : {}),
+                    code: result.code,
+                    codes: result.codes,
+                    reason: result.reason,
+                    detail: result.detail,
+                    suggestion: result.suggestion,
+                    ...(fixed ? { fix: fixed } : {})
                 });
+                return;
+            }
+            
+            // A fixed address is sent even if it is still flagged: the user chose it
+            if (fixed) fixedCount++;
+            else if (result.status === 'flagged') acceptedCount++;
+            
+            const email = result.email;
+            const duplicateOf = seen.get(email.toLowerCase());
+            if (duplicateOf !== undefined) {
+                duplicates.push({ email: email, row: row, key: key, ...(name ? { name: name } : {}), duplicateOf: duplicateOf });
+                return;
             }
+            
+            seen.set(email.toLowerCase(), row);
+            const recipient = { email: email, row: row };
+            if (name) recipient.name = name;
+            if (email !== original) recipient.original = original;
+            recipients.push(recipient);
+            valid.push(email);
         });
         
-        // Remove duplicates
-        const uniqueValid = [...new Set(valid)];
-        
         return {
-            valid: uniqueValid,
+            valid: valid,
+            recipients: recipients,
             invalid: invalid,
+            flagged: flagged,
+            duplicates: duplicates,
             total: emails.length,
-            validCount: uniqueValid.length,
-            invalidCount: invalid.length
+            validCount: valid.length,
+            invalidCount: invalid.length,
+            flaggedCount: flagged.length,
+            duplicateCount: duplicates.length,
+            fixedCount: fixedCount,
+            acceptedCount: acceptedCount
         };
     },
     
+    /**
+     * List the sheet rows that are not sent to, for the skipped rows report: invalid addresses, flagged ones
+     * nobody accepted, duplicates, and rows without an address
+     * @param {Object} validation - Result of validateEmails for the column
+     * @param {string} columnName - Name of the email column
+     * @returns {Array<Object>} { row, value, email, status, reason, duplicateOf? } in row order;
+     *   value is the cell as it is in the sheet, email the address of the cell that was skipped
+     */
+    getSkippedRows(validation, columnName) {
+        if (!validation || !this.sheetData || !columnName) {
+            return [];
+        }
+        
+        const columnIndex = this.sheetData[0].findIndex(h => h === columnName);
+        const cellText = row => {
+            const value = (this.sheetData[row - 1] || [])[columnIndex];
+            return value === undefined || value === null ? '' : value.toString().trim();
+        };
+        const problem = entry => EmailValidator.describe(entry) +
+            (entry.fix ? ` (the fix "${entry.fix}" is not valid either)` : '');
+        
+        const skipped = [
+            ...validation.invalid.map(entry => ({ entry, status: 'Invalid', reason: problem(entry) })),
+            ...validation.flagged.map(entry => ({ entry, status: 'Flagged', reason: `${problem(entry)}; not accepted in the review` })),
+            ...(validation.duplicates || []).map(entry => ({
+                entry,
+                status: 'Duplicate',
+                reason: `Same address as row ${entry.duplicateOf}`,
+                duplicateOf: entry.duplicateOf
+            }))
+        ].map(item => ({
+            row: item.entry.row,
+            key: item.entry.key || String(item.entry.row),
+            value: cellText(item.entry.row),
+            email: item.entry.email,
+            status: item.status,
+            reason: item.reason,
+            ...(item.duplicateOf !== undefined ? { duplicateOf: item.duplicateOf } : {})
+        }));
+        
+        // Rows with data but nothing in the email column
+        for (let row = 2; row <= this.sheetData.length; row++) {
+            const cells = this.sheetData[row - 1] || [];
+            const hasData = cells.some(cell => cell !== undefined && cell !== null && cell.toString().trim() !== '');
+            if (hasData && cellText(row) === '') {
+                skipped.push({ row: row, key: String(row), value: '', email: '', status: 'Empty', reason: 'No email address' });
+            }
+        }
+        
+        // The addresses of one cell ('12.1', '12.2', ...) stay in cell order
+        const part = item => parseInt(item.key.split('.')[1], 10) || 0;
+        return skipped
+            .sort((a, b) => a.row - b.row || part(a) - part(b))
+            .map(({ key, ...item }) => item);
+    },
+    
     /**
      * Reset parser state
      */
@@ -148,6 +369,7 @@ const ExcelParser = {
         this.workbook = null;
         this.currentSheet = null;
         this.sheetData = null;
+        this.sheetLinks = {};
     }
 };
 
@@ -10,14 +10,18 @@ const FormManager = {
         selectedSheet: null,
         selectedColumn: null,
         emailList: [],
+        recipients: [],
         emailValidation: null,
+        emailReview: {}, // Fixes and accepts of flagged addresses by entry key (see RecipientReview)
         subject: '',
         body: '',
+        delta: null,
         emailResults: {
             success: [],
             failure: []
         }
     },
+    draftSaveTimer: null,
     
     /**
      * Initialize form manager
@@ -78,12 +82,50 @@ const FormManager = {
      */
     storeData(key, value) {
         this.formData[key] = value;
-        // Optionally save to localStorage for persistence
-        try {
-            localStorage.setItem('emailServiceData', JSON.stringify(this.formData));
-        } catch (e) {
-            console.warn('Could not save to localStorage:', e);
-        }
+        this.scheduleDraftSave();
+    },
+    
+    /**
+     * Save the draft to IndexedDB shortly after the last change
+     */
+    scheduleDraftSave() {
+        if (typeof SessionStore === 'undefined') return;
+        
+        clearTimeout(this.draftSaveTimer);
+        this.draftSaveTimer = setTimeout(() => {
+            SessionStore.saveDraft(this.getDraft()).catch(e => {
+                console.warn('Could not save draft:', e);
+            });
+        }, 500);
+    },
+    
+    /**
+     * Save the loaded sheet to IndexedDB on its own, so draft saves stay small
+     */
+    saveSheet() {
+        if (typeof SessionStore === 'undefined') return;
+        
+        SessionStore.saveSheet({ sheetData: ExcelParser.sheetData, sheetLinks: ExcelParser.sheetLinks }).catch(e => {
+            console.warn('Could not save sheet:', e);
+        });
+    },
+    
+    /**
+     * Get the serializable part of the form state (the File object itself and the sheet are not included)
+     * @returns {Object} Draft for SessionStore
+     */
+    getDraft() {
+        return {
+            fileName: this.formData.fileName,
+            fileSize: this.formData.fileSize,
+            selectedSheet: this.formData.selectedSheet,
+            selectedColumn: this.formData.selectedColumn,
+            emailReview: this.formData.emailReview || {},
+            subject: this.formData.subject,
+            delta: this.formData.delta || null,
+            copies: this.formData.copies || null,
+            sender: this.formData.sender || ''
+        };
     },
     
     /**
@@ -137,20 +179,24 @@ const FormManager = {
             selectedSheet: null,
             selectedColumn: null,
             emailList: [],
+            recipients: [],
             emailValidation: null,
+            emailReview: {},
             subject: '',
             body: '',
+            delta: null,
             emailResults: {
                 success: [],
                 failure: []
             }
         };
         
-        // Clear localStorage
-        try {
-            localStorage.removeItem('emailServiceData');
-        } catch (e) {
-            console.warn('Could not clear localStorage:', e);
+        // Clear the saved session
+        clearTimeout(this.draftSaveTimer);
+        if (typeof SessionStore !== 'undefined') {
+            SessionStore.clear().catch(e => {
+                console.warn('Could not clear saved session:', e);
+            });
         }
         
         // Reset UI elements (with null checks)
@@ -166,9 +212,21 @@ const FormManager = {
         const emailPreview = document.getElementById('emailPreview');
         if (emailPreview) emailPreview.classList.add('d-none');
         
+        const skippedInfo = document.getElementById('skippedInfo');
+        if (skippedInfo) skippedInfo.classList.add('d-none');
+        
+        const recipientReview = document.getElementById('recipientReview');
+        if (recipientReview) recipientReview.classList.add('d-none');
+        
         const columnList = document.getElementById('columnList');
         if (columnList) columnList.innerHTML = '';
         
+        const placeholderList = document.getElementById('placeholderList');
+        if (placeholderList) placeholderList.innerHTML = '';
+        
+        const mergeWarnings = document.getElementById('mergeWarnings');
+        if (mergeWarnings) mergeWarnings.classList.add('d-none');
+        
         const sheetSelection = document.getElementById('sheetSelection');
         if (sheetSelection) sheetSelection.classList.add('d-none');
         
@@ -178,6 +236,9 @@ const FormManager = {
         const nextToCompose = document.getElementById('nextToCompose');
         if (nextToCompose) nextToCompose.disabled = true;
         
+        const testResult = document.getElementById('testResult');
+        if (testResult) testResult.classList.add('d-none');
+        
         // Reset progress and results sections
         const progressSection = document.getElementById('progressSection');
         if (progressSection) progressSection.classList.remove('d-none');
@@ -185,6 +246,9 @@ const FormManager = {
         const resultsSection = document.getElementById('resultsSection');
         if (resultsSection) resultsSection.classList.add('d-none');
         
+        const campaignInfo = document.getElementById('campaignInfo');
+        if (campaignInfo) campaignInfo.classList.add('d-none');
+        
         const progressText = document.getElementById('progressText');
         if (progressText) progressText.textContent = '0 / 0';
         
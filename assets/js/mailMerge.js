@@ -0,0 +1,165 @@
+// Mail Merge Module - Fills {{Column Name}} placeholders from spreadsheet rows
+
+const MailMerge = {
+    // Matches {{Column Name}} and {{Column Name|fallback text}}
+    placeholderPattern: /\{\{\s*([^{}|]+?)\s*(?:\|([^{}]*))?\}\}/g,
+    
+    // Filled in by the server for each recipient, not from spreadsheet columns
+    reservedPlaceholders: ['unsubscribe_url'],
+    
+    /**
+     * Extract unique placeholder names from one or more templates
+     * @param {...string} templates - Subject, body or any other template text
+     * @returns {Array<string>} Placeholder names in order of first appearance
+     */
+    extractPlaceholders(...templates) {
+        const names = [];
+        templates.forEach(template => {
+            if (!template) return;
+            for (const match of template.matchAll(this.placeholderPattern)) {
+                if (!names.includes(match[1])) {
+                    names.push(match[1]);
+                }
+            }
+        });
+        return names;
+    },
+    
+    /**
+     * Find the row value for a placeholder (column names are matched case-insensitively)
+     * @param {Object} data - Row data keyed by column header
+     * @param {string} name - Placeholder name
+     * @returns {string} Cell value, or empty string if the column is missing or blank
+     */
+    resolveValue(data, name) {
+        if (!data) return '';
+        
+        const key = Object.keys(data).find(k => k.trim().toLowerCase() === name.trim().toLowerCase());
+        if (key === undefined) return '';
+        
+        const value = data[key];
+        return value === undefined || value === null ? '' : value.toString().trim();
+    },
+    
+    /**
+     * Render a template for one recipient
+     * @param {string} template - Template text containing placeholders
+     * @param {Object} data - Row data keyed by column header
+     * @param {Object} options - { html: true to HTML-escape inserted values,
+     *   markMissing: optional function(placeholder) returning the text shown instead of an empty value }
+     * @returns {Object} { text, missing } where missing lists placeholders left empty
+     */
+    render(template, data, options = {}) {
+        const missing = [];
+        
+        const text = (template || '').replace(this.placeholderPattern, (match, name, fallback) => {
+            if (this.isReserved(name)) {
+                return match;
+            }
+            
+            const value = this.resolveValue(data, name);
+            if (value !== '') {
+                return options.html ? this.escapeHtml(value) : value;
+            }
+            
+            // Empty cell: use the fallback if one was given, otherwise report it
+            if (fallback !== undefined) {
+                return fallback.trim();
+            }
+            if (!missing.includes(name)) {
+                missing.push(name);
+            }
+            return options.markMissing ? options.markMissing(match) : '';
+        });
+        
+        return { text, missing };
+    },
+    
+    /**
+     * Render subject and HTML body for one recipient
+     * @param {string} subject - Subject template
+     * @param {string} body - HTML body template
+     * @param {Object} data - Row data keyed by column header
+     * @returns {Object} { subject, body, missing }
+     */
+    renderMessage(subject, body, data) {
+        const renderedSubject = this.render(subject, data);
+        const renderedBody = this.render(body, data, { html: true });
+        const missing = [...renderedSubject.missing];
+        renderedBody.missing.forEach(name => {
+            if (!missing.includes(name)) missing.push(name);
+        });
+        
+        return {
+            subject: renderedSubject.text,
+            body: renderedBody.text,
+            missing: missing
+        };
+    },
+    
+    /**
+     * Find placeholders that do not match any spreadsheet column
+     * @param {Array<string>} columns - Column headers of the selected sheet
+     * @param {...string} templates - Templates to check
+     * @returns {Array<string>} Unknown placeholder names
+     */
+    findUnknownPlaceholders(columns, ...templates) {
+        const known = columns.map(column => column.toString().trim().toLowerCase());
+        return this.extractPlaceholders(...templates)
+            .filter(name => !known.includes(name.trim().toLowerCase()) && !this.isReserved(name));
+    },
+    
+    /**
+     * Check whether a placeholder is filled in by the server
+     * @param {string} name - Placeholder name
+     * @returns {boolean} True for reserved placeholders such as unsubscribe_url
+     */
+    isReserved(name) {
+        return this.reservedPlaceholders.includes(name.trim().toLowerCase());
+    },
+    
+    /**
+     * Build the list of recipients whose row had no value for a placeholder
+     * @param {Array<Object>} recipients - Recipients with email, row and data
+     * @param {string} subject - Subject template
+     * @param {string} body - HTML body template
+     * @returns {Array<Object>} { email, row, placeholders } for each affected recipient
+     */
+    findMissingValues(recipients, subject, body) {
+        if (this.extractPlaceholders(subject, body).every(name => this.isReserved(name))) {
+            return [];
+        }
+        
+        const report = [];
+        recipients.forEach(recipient => {
+            const { missing } = this.renderMessage(subject, body, recipient.data);
+            if (missing.length > 0) {
+                report.push({
+                    email: recipient.email,
+                    row: recipient.row,
+                    placeholders: missing
+                });
+            }
+        });
+        return report;
+    },
+    
+    /**
+     * Escape a value for insertion into HTML
+     * @param {string} value - Raw value
+     * @returns {string} HTML-safe value
+     */
+    escapeHtml(value) {
+        return value.toString()
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MailMerge;
+}
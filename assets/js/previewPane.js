@@ -0,0 +1,206 @@
+// Preview Pane Module - Shows the email exactly as one recipient row will receive it
+
+const PreviewPane = {
+    index: 0,
+    width: 'desktop',
+    renderTimer: null,
+    
+    // Frame widths for the width toggle
+    widths: {
+        desktop: '100%',
+        mobile: '375px'
+    },
+    
+    /**
+     * Wire up the row navigation and width toggle
+     * @param {Function} getTemplate - Returns the current { subject, body } templates
+     */
+    init(getTemplate) {
+        this.getTemplate = getTemplate;
+        
+        document.getElementById('previewPrev')?.addEventListener('click', () => this.move(-1));
+        document.getElementById('previewNext')?.addEventListener('click', () => this.move(1));
+        
+        document.querySelectorAll('[data-preview-width]').forEach(button => {
+            button.addEventListener('click', () => this.setWidth(button.dataset.previewWidth));
+        });
+        
+        // Size the frame to its content once it has loaded
+        document.getElementById('previewFrame')?.addEventListener('load', () => this.fitFrame());
+    },
+    
+    /**
+     * Get the recipients that can be previewed
+     * @returns {Array<Object>} { email, row, data } recipients
+     */
+    getRecipients() {
+        return FormManager.getData('recipients') || [];
+    },
+    
+    /**
+     * Show the previous or next recipient row
+     * @param {number} step - -1 for previous, 1 for next
+     */
+    move(step) {
+        const count = this.getRecipients().length;
+        if (count === 0) return;
+        
+        this.index = Math.min(Math.max(this.index + step, 0), count - 1);
+        this.render();
+    },
+    
+    /**
+     * Switch between desktop and mobile width
+     * @param {string} width - 'desktop' or 'mobile'
+     */
+    setWidth(width) {
+        if (!this.widths[width]) return;
+        
+        this.width = width;
+        document.querySelectorAll('[data-preview-width]').forEach(button => {
+            button.classList.toggle('active', button.dataset.previewWidth === width);
+        });
+        
+        const frame = document.getElementById('previewFrame');
+        if (frame) {
+            frame.style.width = this.widths[width];
+            this.fitFrame();
+        }
+    },
+    
+    /**
+     * Render shortly after the last edit, so typing does not reload the frame on every key
+     */
+    scheduleRender() {
+        clearTimeout(this.renderTimer);
+        this.renderTimer = setTimeout(() => this.render(), 300);
+    },
+    
+    /**
+     * Render the current templates for the selected recipient row
+     */
+    render() {
+        clearTimeout(this.renderTimer);
+        const frame = document.getElementById('previewFrame');
+        if (!frame || !this.getTemplate) return;
+        
+        const recipients = this.getRecipients();
+        const { subject, body } = this.getTemplate();
+        this.index = Math.min(this.index, Math.max(recipients.length - 1, 0));
+        const recipient = recipients[this.index];
+        const data = recipient ? recipient.data : {};
+        
+        // Show empty placeholders in place instead of leaving a silent gap
+        const markMissing = placeholder => `<span style="background: #fff3cd; color: #856404;">${MailMerge.escapeHtml(placeholder)}</span>`;
+        const renderedSubject = MailMerge.render(subject, data);
+        const renderedBody = MailMerge.render(body, data, { html: true, markMissing });
+        
+        document.getElementById('previewRowLabel').textContent = recipient
+            ? `Row ${recipient.row} (${this.index + 1} of ${recipients.length}): ${recipient.email}`
+            : 'No recipients';
+        document.getElementById('previewPrev').disabled = this.index === 0;
+        document.getElementById('previewNext').disabled = this.index >= recipients.length - 1;
+        document.getElementById('previewSubject').textContent = renderedSubject.text || '(no subject)';
+        this.showAttachments(recipient);
+        this.showCopies(recipient);
+        
+        frame.srcdoc = this.buildDocument(renderedBody.text);
+        
+        const missing = [...renderedSubject.missing];
+        renderedBody.missing.forEach(name => {
+            if (!missing.includes(name)) missing.push(name);
+        });
+        this.showWarnings(subject, body, missing);
+    },
+    
+    /**
+     * List the files this row will receive
+     * @param {Object} recipient - { email, row, data } recipient
+     */
+    showAttachments(recipient) {
+        const previewAttachments = document.getElementById('previewAttachments');
+        if (!previewAttachments) return;
+        
+        const names = AttachmentManager.getAll(recipient).map(attachment => attachment.filename);
+        previewAttachments.textContent = `Attachments: ${names.join(', ')}`;
+        previewAttachments.classList.toggle('d-none', names.length === 0);
+    },
+    
+    /**
+     * Show the CC and Reply-To this row will get (BCC is not visible to the recipient)
+     * @param {Object} recipient - { email, row, data } recipient
+     */
+    showCopies(recipient) {
+        const previewCopies = document.getElementById('previewCopies');
+        if (!previewCopies) return;
+        
+        const shared = CopyAddresses.getShared();
+        const own = CopyAddresses.forRecipient(recipient);
+        const cc = [...shared.cc, ...own.cc];
+        const replyTo = own.replyTo || shared.replyTo;
+        
+        const lines = [];
+        if (cc.length > 0) lines.push(`CC: ${cc.join(', ')}`);
+        if (replyTo) lines.push(`Reply-To: ${replyTo}`);
+        previewCopies.textContent = lines.join(' | ');
+        previewCopies.classList.toggle('d-none', lines.length === 0);
+    },
+    
+    /**
+     * Wrap the rendered body in a standalone document for the frame
+     * @param {string} body - Rendered HTML body
+     * @returns {string} HTML document
+     */
+    buildDocument(body) {
+        // The unsubscribe link is only filled in by the server
+        const html = body.replace(/\{\{\s*unsubscribe_url\s*\}\}/gi, '#');
+        return '<!DOCTYPE html><html><head><meta charset="utf-8">' +
+            '<meta name="viewport" content="width=device-width, initial-scale=1">' +
+            '<base target="_blank">' +
+            '<style>body { font-family: Arial, Helvetica, sans-serif; margin: 16px; overflow-wrap: break-word; } img { max-width: 100%; }</style>' +
+            `</head><body>${html}</body></html>`;
+    },
+    
+    /**
+     * List the placeholders this row leaves unresolved
+     * @param {string} subject - Subject template
+     * @param {string} body - HTML body template
+     * @param {Array<string>} missing - Placeholders that rendered empty for this row
+     */
+    showWarnings(subject, body, missing) {
+        const previewWarnings = document.getElementById('previewWarnings');
+        if (!previewWarnings) return;
+        
+        const unknown = MailMerge.findUnknownPlaceholders(ExcelParser.getColumns(ExcelParser.sheetData), subject, body);
+        const empty = missing.filter(name => !unknown.includes(name));
+        
+        const messages = [];
+        if (unknown.length > 0) {
+            messages.push(`No column for ${unknown.map(name => `{{${name}}}`).join(', ')}.`);
+        }
+        if (empty.length > 0) {
+            messages.push(`Empty in this row: ${empty.map(name => `{{${name}}}`).join(', ')}.`);
+        }
+        
+        previewWarnings.textContent = messages.join(' ');
+        previewWarnings.classList.toggle('d-none', messages.length === 0);
+    },
+    
+    /**
+     * Make the frame as tall as its content, within limits
+     */
+    fitFrame() {
+        const frame = document.getElementById('previewFrame');
+        const doc = frame?.contentDocument;
+        if (!doc || !doc.body) return;
+        
+        frame.style.height = `${Math.min(Math.max(doc.documentElement.scrollHeight, 200), 600)}px`;
+    },
+    
+    /**
+     * Go back to the first row
+     */
+    reset() {
+        this.index = 0;
+    }
+};
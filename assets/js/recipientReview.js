@@ -0,0 +1,149 @@
+// Recipient Review Module - Lists the addresses EmailValidator rejected or flagged in step 2,
+// so they can be fixed, or accepted as they are, before sending
+
+const RecipientReview = {
+    validation: null,
+    maxRows: 200, // Rows shown in the table; fixing or accepting some brings up the next ones
+    onChange: null, // Receives the updated decisions ({ <key>: { action, email? } }, see ExcelParser.getRecipientEntries)
+    
+    /**
+     * Wire up the review table
+     * @param {Function} onChange - Called with the updated decisions after a fix or accept
+     */
+    init(onChange) {
+        this.onChange = onChange;
+        
+        document.getElementById('reviewFilter')?.addEventListener('change', () => this.render(this.validation));
+        document.getElementById('acceptAllFlagged')?.addEventListener('click', () => {
+            const review = { ...this.getReview() };
+            this.getEntries('flagged').forEach(entry => {
+                review[entry.key] = { action: 'accept' };
+            });
+            this.onChange(review);
+        });
+        document.getElementById('resetReview')?.addEventListener('click', () => this.onChange({}));
+        
+        const list = document.getElementById('reviewList');
+        list?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) this.handleAction(button.dataset.action, button.dataset.key);
+        });
+        list?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.matches('input[data-key]')) {
+                e.preventDefault();
+                this.handleAction('fix', e.target.dataset.key);
+            }
+        });
+    },
+    
+    /**
+     * Decisions made so far
+     * @returns {Object} { <key>: { action: 'accept' } | { action: 'fix', email } }
+     */
+    getReview() {
+        return FormManager.getData('emailReview') || {};
+    },
+    
+    /**
+     * Entries that still need a decision
+     * @param {string} status - 'invalid', 'flagged', or '' for both
+     * @returns {Array<Object>} Entries from the validation, in row order
+     */
+    getEntries(status = '') {
+        if (!this.validation) return [];
+        
+        const invalid = status === 'flagged' ? [] : this.validation.invalid.map(entry => ({ ...entry, status: 'invalid' }));
+        const flagged = status === 'invalid' ? [] : this.validation.flagged.map(entry => ({ ...entry, status: 'flagged' }));
+        return [...invalid, ...flagged].sort((a, b) => a.row - b.row);
+    },
+    
+    /**
+     * Fix or accept an address
+     * @param {string} action - 'fix' (with the address typed in the row) or 'accept'
+     * @param {string} key - Entry key: the spreadsheet row, or '<row>.<n>' for one of several addresses in a cell
+     */
+    handleAction(action, key) {
+        const review = { ...this.getReview() };
+        if (action === 'accept') {
+            review[key] = { action: 'accept' };
+        } else {
+            const input = document.querySelector(`#reviewList input[data-key="${key}"]`);
+            const email = input ? input.value.trim() : '';
+            if (!email) {
+                input?.focus();
+                return;
+            }
+            review[key] = { action: 'fix', email: email };
+        }
+        this.onChange(review);
+    },
+    
+    /**
+     * Show the addresses that need a decision
+     * @param {Object} validation - Result of ExcelParser.validateEmails
+     */
+    render(validation) {
+        this.validation = validation;
+        const section = document.getElementById('recipientReview');
+        if (!section) return;
+        
+        const decided = validation ? validation.fixedCount + validation.acceptedCount : 0;
+        if (!validation || (validation.invalidCount === 0 && validation.flaggedCount === 0 && decided === 0)) {
+            section.classList.add('d-none');
+            return;
+        }
+        section.classList.remove('d-none');
+        
+        const parts = [];
+        if (validation.invalidCount > 0) parts.push(`${validation.invalidCount} invalid`);
+        if (validation.flaggedCount > 0) parts.push(`${validation.flaggedCount} flagged`);
+        document.getElementById('reviewSummary').textContent = parts.length > 0
+            ? `${parts.join(' and ')} address${validation.invalidCount + validation.flaggedCount !== 1 ? 'es are' : ' is'} skipped until fixed` +
+                (validation.flaggedCount > 0 ? ' or accepted' : '') + '.'
+            : 'All addresses have been reviewed.';
+        document.getElementById('acceptAllFlagged').classList.toggle('d-none', validation.flaggedCount === 0);
+        document.getElementById('reviewDecisions').textContent = decided > 0
+            ? `${validation.fixedCount} fixed, ${validation.acceptedCount} accepted.`
+            : '';
+        document.getElementById('resetReview').classList.toggle('d-none', decided === 0);
+        
+        const entries = this.getEntries(document.getElementById('reviewFilter').value);
+        const shown = entries.slice(0, this.maxRows);
+        document.getElementById('reviewTable').classList.toggle('d-none', entries.length === 0);
+        document.getElementById('reviewList').innerHTML = shown.map(entry => this.renderRow(entry)).join('');
+        document.getElementById('reviewNote').textContent = entries.length > shown.length
+            ? `Showing ${shown.length} of ${entries.length}; fix or accept these to see the rest.`
+            : '';
+    },
+    
+    /**
+     * Build the table row of an address
+     * @param {Object} entry - Invalid or flagged entry with its status
+     * @returns {string} HTML
+     */
+    renderRow(entry) {
+        const escape = value => MailMerge.escapeHtml(value || '');
+        const badge = entry.status === 'invalid' ? 'bg-danger' : 'bg-warning text-dark';
+        const badges = entry.codes
+            .map(code => `<span class="badge ${badge} me-1">${escape(EmailValidator.reasons[code].label)}</span>`)
+            .join('');
+        const note = entry.suggestion ? `Did you mean ${entry.suggestion}?` : entry.detail;
+        const retried = entry.fix ? `<div class="small text-danger">Fix "${escape(entry.fix)}" is not valid either</div>` : '';
+        const accept = entry.status === 'flagged'
+            ? `<button type="button" class="btn btn-sm btn-outline-secondary" data-action="accept" data-key="${entry.key}">Accept</button>`
+            : '';
+        
+        return `
+            <tr>
+                <td>${entry.row}</td>
+                <td class="text-break">${escape(entry.email)}${entry.name ? `<div class="small text-muted">${escape(entry.name)}</div>` : ''}</td>
+                <td>${badges}<div class="small text-muted">${escape(note)}</div>${retried}</td>
+                <td><input type="text" class="form-control form-control-sm" data-key="${entry.key}" value="${escape(entry.fix || entry.suggestion || entry.email)}" aria-label="Corrected address for row ${entry.row}"></td>
+                <td class="text-nowrap">
+                    <button type="button" class="btn btn-sm btn-outline-primary" data-action="fix" data-key="${entry.key}">Fix</button>
+                    ${accept}
+                </td>
+            </tr>
+        `;
+    }
+};
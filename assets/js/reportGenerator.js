@@ -1,39 +1,260 @@
-// Report Generator Module - Generates Excel reports for success and failure
+// Report Generator Module - Generates Excel reports for success and failure, and the full campaign workbook
 
 const ReportGenerator = {
     /**
      * Generate Success Report Excel file
      * @param {Array} successfulEmails - Array of successful email objects
+     * @param {Object} source - Optional sheet the recipients came from, see ExcelParser.getReportSource
      * @returns {Blob} Excel file blob
      */
-    generateSuccessReport(successfulEmails) {
-        const reportData = successfulEmails.map(email => ({
+    generateSuccessReport(successfulEmails, source = null) {
+        return this.createExcelFile(this.buildSuccessRows(successfulEmails, source), 'Success Report');
+    },
+    
+    /**
+     * Build the rows of the success report
+     * @param {Array} successfulEmails - Array of successful email objects
+     * @param {Object} source - Optional sheet the recipients came from, see ExcelParser.getReportSource
+     * @returns {Array<Object>} One row per email, keyed by column header
+     */
+    buildSuccessRows(successfulEmails, source = null) {
+        return successfulEmails.map(email => this.addSourceColumns({
             'Email Address': email.email,
             'Subject': email.subject,
+            'Sender': email.from || 'N/A',
             'Sent Date/Time': this.formatTimestamp(email.sentAt),
-            'Status': 'Success',
-            'Message ID': email.messageId || 'N/A'
-        }));
-        
-        return this.createExcelFile(reportData, 'Success Report');
+            'Status': email.dryRun ? 'Success (dry run)' : 'Success',
+            'Message ID': email.messageId || 'N/A',
+            'Attempts': email.attempts || 1,
+            'Delivery Status': this.formatDeliveryStatus(email),
+            'Opened': email.delivery?.opened ? 'Yes' : (email.delivery ? 'No' : 'N/A'),
+            'Delivery Detail': [
+                email.delivery?.spam ? 'Marked as spam' : '',
+                email.delivery?.reason || ''
+            ].filter(Boolean).join('; ') || 'N/A'
+        }, source, source?.findRow(email.email)));
+    },
+    
+    /**
+     * Final delivery status of a successful send, from the provider webhook events
+     * @param {Object} email - Success result, with delivery from EmailService.loadDeliveryStatus
+     * @returns {string} e.g. 'Delivered', 'Bounced', or 'Accepted' when no events arrived yet
+     */
+    formatDeliveryStatus(email) {
+        if (email.dryRun) return 'N/A';
+        const status = email.delivery?.status || 'accepted';
+        return status.charAt(0).toUpperCase() + status.slice(1);
     },
     
     /**
      * Generate Failure Report Excel file
      * @param {Array} failedEmails - Array of failed email objects
+     * @param {Object} source - Optional sheet the recipients came from, see ExcelParser.getReportSource
      * @returns {Blob} Excel file blob
      */
-    generateFailureReport(failedEmails) {
-        const reportData = failedEmails.map(email => ({
+    generateFailureReport(failedEmails, source = null) {
+        return this.createExcelFile(this.buildFailureRows(failedEmails, source), 'Failure Report');
+    },
+    
+    /**
+     * Build the rows of the failure report
+     * @param {Array} failedEmails - Array of failed email objects
+     * @param {Object} source - Optional sheet the recipients came from, see ExcelParser.getReportSource
+     * @returns {Array<Object>} One row per email, keyed by column header
+     */
+    buildFailureRows(failedEmails, source = null) {
+        return failedEmails.map(email => this.addSourceColumns({
             'Email Address': email.email,
             'Subject': email.subject,
+            'Sender': email.from || 'N/A',
             'Attempt Date/Time': this.formatTimestamp(email.attemptedAt),
             'Status': 'Failed',
             'Error Message': email.errorMessage || 'Unknown error',
-            'Error Code': email.errorCode || 'N/A'
+            'Error Code': email.errorCode || 'N/A',
+            'Attempts': email.attempts || 'N/A'
+        }, source, source?.findRow(email.email)));
+    },
+    
+    /**
+     * Generate Not Sent Report Excel file
+     * @param {Array} notSentEmails - Array of email objects cancelled before sending
+     * @param {Object} source - Optional sheet the recipients came from, see ExcelParser.getReportSource
+     * @returns {Blob} Excel file blob
+     */
+    generateNotSentReport(notSentEmails, source = null) {
+        return this.createExcelFile(this.buildNotSentRows(notSentEmails, source), 'Not Sent Report');
+    },
+    
+    /**
+     * Build the rows of the not sent report
+     * @param {Array} notSentEmails - Array of email objects cancelled before sending
+     * @param {Object} source - Optional sheet the recipients came from, see ExcelParser.getReportSource
+     * @returns {Array<Object>} One row per email, keyed by column header
+     */
+    buildNotSentRows(notSentEmails, source = null) {
+        return notSentEmails.map(email => this.addSourceColumns({
+            'Email Address': email.email,
+            'Subject': email.subject,
+            'Sender': email.from || 'N/A',
+            'Cancelled Date/Time': this.formatTimestamp(email.cancelledAt),
+            'Status': 'Not Sent',
+            'Reason': email.reason || 'Cancelled before sending'
+        }, source, source?.findRow(email.email)));
+    },
+    
+    /**
+     * Generate Missing Data Report Excel file
+     * @param {Array} missingRows - Array of { email, row, placeholders } objects from MailMerge.findMissingValues
+     * @returns {Blob} Excel file blob
+     */
+    generateMissingDataReport(missingRows) {
+        const reportData = missingRows.map(item => ({
+            'Row': item.row,
+            'Email Address': item.email,
+            'Empty Placeholders': item.placeholders.join(', ')
         }));
         
-        return this.createExcelFile(reportData, 'Failure Report');
+        return this.createExcelFile(reportData, 'Missing Data Report');
+    },
+    
+    /**
+     * Generate Skipped Rows Report Excel file
+     * @param {Array} skippedRows - Array of { row, value, email, status, reason, duplicateOf? } objects from ExcelParser.getSkippedRows
+     * @param {Object} source - Optional sheet the recipients came from, see ExcelParser.getReportSource
+     * @returns {Blob} Excel file blob
+     */
+    generateSkippedReport(skippedRows, source = null) {
+        return this.createExcelFile(this.buildSkippedRows(skippedRows, source), 'Skipped Rows');
+    },
+    
+    /**
+     * Build the rows of the skipped rows report
+     * @param {Array} skippedRows - Array of { row, value, email, status, reason, duplicateOf? } objects
+     * @param {Object} source - Optional sheet the recipients came from, see ExcelParser.getReportSource
+     * @returns {Array<Object>} One row per skipped entry, keyed by column header
+     */
+    buildSkippedRows(skippedRows, source = null) {
+        return skippedRows.map(item => this.addSourceColumns({
+            'Row': item.row,
+            'Original Value': item.value,
+            'Email Address': item.email || 'N/A',
+            'Status': item.status,
+            'Reason': item.reason,
+            'Duplicate Of Row': item.duplicateOf || 'N/A'
+        }, source, item.row));
+    },
+    
+    /**
+     * Append the columns of the recipient's spreadsheet row to a report row, so results can be matched
+     * against the client's own IDs without a lookup. A sheet column named like a report column gets ' (sheet)'.
+     * @param {Object} row - Report row, keyed by column header
+     * @param {Object} source - Sheet from ExcelParser.getReportSource, or null to leave the row as it is
+     * @param {number} sheetRow - Spreadsheet row the item came from (null when it is not in the sheet)
+     * @returns {Object} The report row
+     */
+    addSourceColumns(row, source, sheetRow) {
+        if (!source) return row;
+        
+        const data = sheetRow ? source.getRowData(sheetRow) : {};
+        if (!('Row' in row)) {
+            row['Sheet Row'] = sheetRow || 'N/A';
+        }
+        source.columns.forEach(column => {
+            const header = column in row ? `${column} (sheet)` : column;
+            row[header] = data[column] !== undefined ? data[column] : '';
+        });
+        return row;
+    },
+    
+    /**
+     * Generate the full campaign workbook: a Summary sheet, then Sent, Failed, Not Sent and Skipped sheets
+     * with frozen headers and autofilters
+     * @param {Object} results - { success, failure, notSent } result lists
+     * @param {Object} details - { summary (from EmailService.getSummary), subject, from, startedAt, finishedAt,
+     *   dryRun, campaignId?, skippedRows?, source? (see ExcelParser.getReportSource) }
+     * @returns {Blob} Excel file blob
+     */
+    generateFullReport(results, details) {
+        const wb = XLSX.utils.book_new();
+        const skippedRows = details.skippedRows || [];
+        const source = details.source || null;
+        
+        XLSX.utils.book_append_sheet(wb, this.createSummarySheet({ ...details, skippedCount: skippedRows.length }), 'Summary');
+        XLSX.utils.book_append_sheet(wb, this.createTableSheet(this.buildSuccessRows, results.success, source), 'Sent');
+        XLSX.utils.book_append_sheet(wb, this.createTableSheet(this.buildFailureRows, results.failure, source), 'Failed');
+        XLSX.utils.book_append_sheet(wb, this.createTableSheet(this.buildNotSentRows, results.notSent, source), 'Not Sent');
+        XLSX.utils.book_append_sheet(wb, this.createTableSheet(this.buildSkippedRows, skippedRows, source), 'Skipped');
+        
+        return this.writeWorkbook(wb);
+    },
+    
+    /**
+     * Build the Summary sheet of the full report
+     * @param {Object} details - Details passed to generateFullReport, plus skippedCount
+     * @returns {Object} Worksheet
+     */
+    createSummarySheet(details) {
+        const { summary } = details;
+        const started = details.startedAt ? new Date(details.startedAt) : null;
+        const finished = details.finishedAt ? new Date(details.finishedAt) : null;
+        
+        const rows = [
+            ['Campaign Summary', ''],
+            ['Subject', details.subject || 'N/A'],
+            ['Sender', details.from || 'N/A'],
+            ['Campaign ID', details.campaignId || 'N/A'],
+            ['Dry Run', details.dryRun ? 'Yes (no emails were sent)' : 'No'],
+            ['Started', started ? this.formatTimestamp(started) : 'N/A'],
+            ['Finished', finished ? this.formatTimestamp(finished) : 'N/A'],
+            ['Duration', started && finished ? this.formatDuration(finished - started) : 'N/A'],
+            ['', ''],
+            ['Recipients', summary.total],
+            ['Sent', summary.success],
+            ['Failed', summary.failure],
+            ['Not Sent', summary.notSent],
+            ['Skipped Rows', details.skippedCount],
+            ['Success Rate', `${summary.successRate.toFixed(1)}%`],
+            ['', ''],
+            ['Report Created', this.formatTimestamp(new Date())]
+        ];
+        
+        const ws = XLSX.utils.aoa_to_sheet(rows);
+        ws['!cols'] = [{ wch: 20 }, { wch: 60 }];
+        return ws;
+    },
+    
+    /**
+     * Build a data sheet with its header row frozen and an autofilter over the table
+     * @param {Function} buildRows - Row builder of the report, e.g. this.buildSuccessRows
+     * @param {Array} items - Items to list
+     * @param {Object} source - Optional sheet the recipients came from, see ExcelParser.getReportSource
+     * @returns {Object} Worksheet
+     */
+    createTableSheet(buildRows, items, source = null) {
+        const data = buildRows.call(this, items, source);
+        // An empty sheet still gets its headers (from a row built from an empty item)
+        const headers = Object.keys(data[0] || buildRows.call(this, [{}], source)[0]);
+        
+        const ws = XLSX.utils.json_to_sheet(data, { header: headers });
+        ws['!cols'] = headers.map(key => ({ wch: Math.max(key.length, 20) }));
+        ws['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: data.length, c: headers.length - 1 } }) };
+        ws['!freezeHeader'] = true;
+        return ws;
+    },
+    
+    /**
+     * Format a duration for reports
+     * @param {number} milliseconds - Duration
+     * @returns {string} e.g. '1h 05m 09s'
+     */
+    formatDuration(milliseconds) {
+        const seconds = Math.max(Math.round(milliseconds / 1000), 0);
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor(seconds % 3600 / 60);
+        const rest = String(seconds % 60).padStart(2, '0');
+        
+        if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m ${rest}s`;
+        return minutes > 0 ? `${minutes}m ${rest}s` : `${seconds}s`;
     },
     
     /**
@@ -58,11 +279,68 @@ const ReportGenerator = {
         // Add worksheet to workbook
         XLSX.utils.book_append_sheet(wb, ws, sheetName);
         
-        // Generate Excel file
-        const excelBuffer = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
+        return this.writeWorkbook(wb);
+    },
+    
+    /**
+     * Write a workbook to an .xlsx file
+     * @param {Object} wb - Workbook
+     * @returns {Blob} Excel file blob
+     */
+    writeWorkbook(wb) {
+        let excelBuffer = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
+        
+        // SheetJS does not write frozen panes, so add them to the sheets marked with !freezeHeader
+        const frozen = wb.SheetNames.map((name, index) => wb.Sheets[name]['!freezeHeader'] ? index + 1 : 0).filter(Boolean);
+        if (frozen.length > 0) {
+            excelBuffer = this.freezeHeaderRows(excelBuffer, frozen);
+        }
+        
         return new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
     },
     
+    /**
+     * Freeze the first row of sheets in a written .xlsx file
+     * @param {ArrayBuffer} excelBuffer - File written by XLSX.write
+     * @param {Array<number>} sheetNumbers - Sheets to change (1 is the first sheet)
+     * @returns {ArrayBuffer|Uint8Array} Changed file
+     */
+    freezeHeaderRows(excelBuffer, sheetNumbers) {
+        const zip = XLSX.CFB.read(new Uint8Array(excelBuffer), { type: 'array' });
+        
+        sheetNumbers.forEach(number => {
+            const path = `/xl/worksheets/sheet${number}.xml`;
+            const file = XLSX.CFB.find(zip, path);
+            if (!file) return;
+            
+            const xml = new TextDecoder().decode(file.content);
+            XLSX.CFB.utils.cfb_add(zip, path, new TextEncoder().encode(this.freezeHeaderRow(xml)));
+        });
+        
+        return XLSX.CFB.write(zip, { fileType: 'zip', type: 'array', compression: true });
+    },
+    
+    /**
+     * Add a frozen pane below the first row to a worksheet's XML
+     * @param {string} xml - Worksheet XML (xl/worksheets/sheetN.xml)
+     * @returns {string} Changed XML; unchanged if the sheet already has a pane
+     */
+    freezeHeaderRow(xml) {
+        const pane = '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>';
+        if (/<pane\b/.test(xml)) return xml;
+        
+        // The pane is the first child of the sheet view, whichever way SheetJS wrote the view
+        if (/<sheetView\b[^>]*\/>/.test(xml)) {
+            return xml.replace(/<sheetView\b([^>]*)\/>/, `<sheetView$1>${pane}</sheetView>`);
+        }
+        if (/<sheetView\b[^>]*>/.test(xml)) {
+            return xml.replace(/<sheetView\b[^>]*>/, view => view + pane);
+        }
+        // No sheet view at all: add one where the schema expects it (before the formatting, columns and data)
+        return xml.replace(/<(sheetFormatPr|cols|sheetData)\b/,
+            `<sheetViews><sheetView workbookViewId="0">${pane}</sheetView></sheetViews><$1`);
+    },
+    
     /**
      * Download Excel file
      * @param {Blob} blob - Excel file blob
@@ -133,14 +411,15 @@ const ReportGenerator = {
     /**
      * Generate and download success report
      * @param {Array} successfulEmails - Array of successful email objects
+     * @param {Object} source - Optional sheet the recipients came from, see ExcelParser.getReportSource
      */
-    downloadSuccessReport(successfulEmails) {
+    downloadSuccessReport(successfulEmails, source = null) {
         if (!successfulEmails || successfulEmails.length === 0) {
             this.showNotification('No successful emails to download', 'warning');
             return;
         }
         
-        const blob = this.generateSuccessReport(successfulEmails);
+        const blob = this.generateSuccessReport(successfulEmails, source);
         const filename = 'email_success_report';
         this.downloadFile(blob, filename);
         this.showNotification(`Success report downloaded (${successfulEmails.length} emails)`, 'success');
@@ -149,19 +428,87 @@ const ReportGenerator = {
     /**
      * Generate and download failure report
      * @param {Array} failedEmails - Array of failed email objects
+     * @param {Object} source - Optional sheet the recipients came from, see ExcelParser.getReportSource
      */
-    downloadFailureReport(failedEmails) {
+    downloadFailureReport(failedEmails, source = null) {
         if (!failedEmails || failedEmails.length === 0) {
             this.showNotification('No failed emails to download', 'warning');
             return;
         }
         
-        const blob = this.generateFailureReport(failedEmails);
+        const blob = this.generateFailureReport(failedEmails, source);
         const filename = 'email_failure_report';
         this.downloadFile(blob, filename);
         this.showNotification(`Failure report downloaded (${failedEmails.length} emails)`, 'success');
     },
     
+    /**
+     * Generate and download not sent report
+     * @param {Array} notSentEmails - Array of email objects cancelled before sending
+     * @param {Object} source - Optional sheet the recipients came from, see ExcelParser.getReportSource
+     */
+    downloadNotSentReport(notSentEmails, source = null) {
+        if (!notSentEmails || notSentEmails.length === 0) {
+            this.showNotification('No unsent emails to download', 'warning');
+            return;
+        }
+        
+        const blob = this.generateNotSentReport(notSentEmails, source);
+        const filename = 'email_not_sent_report';
+        this.downloadFile(blob, filename);
+        this.showNotification(`Not sent report downloaded (${notSentEmails.length} emails)`, 'success');
+    },
+    
+    /**
+     * Generate and download missing data report
+     * @param {Array} missingRows - Array of { email, row, placeholders } objects
+     */
+    downloadMissingDataReport(missingRows) {
+        if (!missingRows || missingRows.length === 0) {
+            this.showNotification('Every row has a value for each placeholder', 'info');
+            return;
+        }
+        
+        const blob = this.generateMissingDataReport(missingRows);
+        const filename = 'email_missing_data_report';
+        this.downloadFile(blob, filename);
+        this.showNotification(`Missing data report downloaded (${missingRows.length} rows)`, 'success');
+    },
+    
+    /**
+     * Generate and download skipped rows report
+     * @param {Array} skippedRows - Array of { row, value, email, status, reason, duplicateOf? } objects
+     * @param {Object} source - Optional sheet the recipients came from, see ExcelParser.getReportSource
+     */
+    downloadSkippedReport(skippedRows, source = null) {
+        if (!skippedRows || skippedRows.length === 0) {
+            this.showNotification('No rows were skipped', 'info');
+            return;
+        }
+        
+        const blob = this.generateSkippedReport(skippedRows, source);
+        const filename = 'email_skipped_rows_report';
+        this.downloadFile(blob, filename);
+        this.showNotification(`Skipped rows report downloaded (${skippedRows.length} rows)`, 'success');
+    },
+    
+    /**
+     * Generate and download the full campaign workbook
+     * @param {Object} results - { success, failure, notSent } result lists
+     * @param {Object} details - See generateFullReport
+     */
+    downloadFullReport(results, details) {
+        if (!results || details.summary.total + (details.skippedRows || []).length === 0) {
+            this.showNotification('No results to download', 'warning');
+            return;
+        }
+        
+        const blob = this.generateFullReport(results, details);
+        const filename = 'email_campaign_report';
+        this.downloadFile(blob, filename);
+        this.showNotification(`Full report downloaded (${details.summary.total} emails)`, 'success');
+    },
+    
     /**
      * Show notification toast
      * @param {string} message - Message to display
@@ -0,0 +1,315 @@
+// Scheduled Campaigns Module - Lists campaigns scheduled on the server, to reschedule, start or cancel them
+// before they go out and to open their reports once they have finished
+
+const ScheduledCampaigns = {
+    campaigns: [],
+    editingId: null,
+    refreshTimer: null,
+    maxFinished: 5, // Finished scheduled campaigns kept in the list for their reports
+    
+    // Badge class per campaign status
+    statusBadges: {
+        scheduled: 'bg-primary',
+        queued: 'bg-warning text-dark',
+        running: 'bg-warning text-dark',
+        paused: 'bg-secondary',
+        completed: 'bg-success',
+        cancelled: 'bg-secondary',
+        failed: 'bg-danger'
+    },
+    
+    /**
+     * Wire up the schedule inputs in the composer and load the list
+     * (scheduling needs server-side campaign jobs, so it is hidden without them)
+     */
+    init() {
+        if (!Config.email.useCampaignJobs) {
+            document.getElementById('scheduleOption')?.classList.add('d-none');
+            return;
+        }
+        
+        this.renderTimeZoneOptions(document.getElementById('scheduleTimeZone'), this.getBrowserTimeZone());
+        document.getElementById('scheduleSend')?.addEventListener('change', (e) => {
+            document.getElementById('scheduleFields').classList.toggle('d-none', !e.target.checked);
+            document.getElementById('sendEmails').innerHTML = this.getSendButtonLabel();
+        });
+        document.getElementById('refreshScheduled')?.addEventListener('click', () => this.load());
+        
+        this.load();
+        this.refreshTimer = setInterval(() => {
+            if (this.editingId === null) this.load();
+        }, Config.email.scheduledRefreshInterval || 60000);
+    },
+    
+    /**
+     * Time zone of the browser
+     * @returns {string} IANA time zone, e.g. 'Europe/Berlin'
+     */
+    getBrowserTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    },
+    
+    /**
+     * Fill a time zone picker
+     * @param {HTMLSelectElement} select - Picker to fill
+     * @param {string} selected - Time zone to select
+     */
+    renderTimeZoneOptions(select, selected) {
+        if (!select) return;
+        
+        // Older browsers cannot list the time zones; offer the browser's own and UTC
+        const timeZones = typeof Intl.supportedValuesOf === 'function'
+            ? Intl.supportedValuesOf('timeZone')
+            : [this.getBrowserTimeZone(), 'UTC'];
+        if (!timeZones.includes(selected)) timeZones.unshift(selected);
+        
+        select.innerHTML = '';
+        timeZones.forEach(timeZone => {
+            const option = document.createElement('option');
+            option.value = timeZone;
+            option.textContent = timeZone.replace(/_/g, ' ');
+            option.selected = timeZone === selected;
+            select.appendChild(option);
+        });
+    },
+    
+    /**
+     * Get the schedule chosen in the composer
+     * @returns {Object|null} { sendAt, timeZone }, or null when sending right away
+     */
+    getSchedule() {
+        if (!Config.email.useCampaignJobs || !document.getElementById('scheduleSend').checked) {
+            return null;
+        }
+        return {
+            sendAt: document.getElementById('scheduleAt').value,
+            timeZone: document.getElementById('scheduleTimeZone').value
+        };
+    },
+    
+    /**
+     * Label of the send button, which schedules instead when "Send later" is on
+     * @returns {string} Button HTML
+     */
+    getSendButtonLabel() {
+        return this.getSchedule()
+            ? '<i class="fas fa-clock"></i> Schedule Emails'
+            : '<i class="fas fa-paper-plane"></i> Send Emails';
+    },
+    
+    /**
+     * Describe a schedule for messages and the list
+     * @param {Object} schedule - { sendAt, timeZone }
+     * @returns {string} e.g. '2026-01-31 09:00 (America/New York)'
+     */
+    describe(schedule) {
+        return `${schedule.sendAt.replace('T', ' ')} (${schedule.timeZone.replace(/_/g, ' ')})`;
+    },
+    
+    /**
+     * Load the scheduled campaigns from the server
+     * @returns {Promise<void>}
+     */
+    async load() {
+        try {
+            const campaigns = await EmailService.listCampaigns();
+            const scheduled = campaigns.filter(campaign => campaign.scheduledAt);
+            
+            // Upcoming first (soonest on top), then the most recently finished
+            const upcoming = scheduled
+                .filter(campaign => campaign.status === 'scheduled')
+                .sort((a, b) => a.scheduledAt.localeCompare(b.scheduledAt));
+            const started = scheduled
+                .filter(campaign => campaign.status !== 'scheduled')
+                .slice(0, this.maxFinished);
+            this.campaigns = [...upcoming, ...started];
+        } catch (error) {
+            console.warn('Could not load scheduled campaigns:', error);
+            this.campaigns = [];
+        }
+        this.render();
+    },
+    
+    /**
+     * Show the list, hiding the card when there is nothing scheduled
+     */
+    render() {
+        const card = document.getElementById('scheduledCampaigns');
+        const list = document.getElementById('scheduledList');
+        if (!card || !list) return;
+        
+        list.innerHTML = '';
+        this.campaigns.forEach(campaign => list.appendChild(this.renderItem(campaign)));
+        card.classList.toggle('d-none', this.campaigns.length === 0);
+    },
+    
+    /**
+     * Build the list item of one campaign
+     * @param {Object} campaign - Campaign summary
+     * @returns {HTMLElement} List item
+     */
+    renderItem(campaign) {
+        const item = document.createElement('li');
+        item.className = 'list-group-item';
+        
+        const localTime = new Date(campaign.scheduledAt).toLocaleString();
+        const dryRun = campaign.dryRun ? ' <span class="badge bg-info text-dark">Dry run</span>' : '';
+        item.innerHTML = `
+            <div class="d-flex justify-content-between align-items-start flex-wrap gap-2">
+                <div>
+                    <strong>${MailMerge.escapeHtml(campaign.subject || '(no subject)')}</strong>
+                    <span class="badge ${this.statusBadges[campaign.status] || 'bg-secondary'}">${MailMerge.escapeHtml(campaign.status)}</span>${dryRun}
+                    <div class="small text-muted">
+                        ${campaign.total} recipient(s) - ${MailMerge.escapeHtml(this.describe(campaign))}
+                        ${campaign.timeZone !== this.getBrowserTimeZone() ? `, ${MailMerge.escapeHtml(localTime)} your time` : ''}
+                    </div>
+                </div>
+                <div class="scheduled-actions"></div>
+            </div>
+        `;
+        
+        const actions = item.querySelector('.scheduled-actions');
+        if (campaign.status === 'scheduled') {
+            if (this.editingId === campaign.id) {
+                item.appendChild(this.renderEditor(campaign));
+            } else {
+                actions.appendChild(this.createButton('Edit', 'fa-edit', 'btn-outline-primary', () => this.edit(campaign.id)));
+                actions.appendChild(this.createButton('Send now', 'fa-paper-plane', 'btn-outline-success', () => this.start(campaign)));
+                actions.appendChild(this.createButton('Cancel', 'fa-times', 'btn-outline-danger', () => this.cancel(campaign)));
+            }
+        } else {
+            const label = ['queued', 'running', 'paused'].includes(campaign.status) ? 'View progress' : 'View reports';
+            actions.appendChild(this.createButton(label, 'fa-chart-bar', 'btn-outline-secondary', () => this.view(campaign)));
+        }
+        return item;
+    },
+    
+    /**
+     * Build the inline editor for a campaign's date, time and time zone
+     * @param {Object} campaign - Scheduled campaign summary
+     * @returns {HTMLElement} Editor row
+     */
+    renderEditor(campaign) {
+        const editor = document.createElement('div');
+        editor.className = 'row g-2 mt-2';
+        editor.innerHTML = `
+            <div class="col-md-5">
+                <input type="datetime-local" class="form-control form-control-sm" aria-label="Date and time">
+            </div>
+            <div class="col-md-4">
+                <select class="form-select form-select-sm" aria-label="Time zone"></select>
+            </div>
+            <div class="col-md-3 editor-actions"></div>
+        `;
+        
+        const input = editor.querySelector('input');
+        const select = editor.querySelector('select');
+        input.value = campaign.sendAt;
+        this.renderTimeZoneOptions(select, campaign.timeZone);
+        
+        const actions = editor.querySelector('.editor-actions');
+        actions.appendChild(this.createButton('Save', 'fa-check', 'btn-primary', () =>
+            this.reschedule(campaign, { sendAt: input.value, timeZone: select.value })));
+        actions.appendChild(this.createButton('', 'fa-times', 'btn-outline-secondary', () => {
+            this.editingId = null;
+            this.render();
+        }));
+        return editor;
+    },
+    
+    /**
+     * Create a small action button
+     * @param {string} label - Button text
+     * @param {string} icon - Font Awesome icon class
+     * @param {string} style - Bootstrap button class
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} Button
+     */
+    createButton(label, icon, style, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn btn-sm ${style} ms-1`;
+        button.innerHTML = `<i class="fas ${icon}"></i> ${label}`;
+        button.addEventListener('click', onClick);
+        return button;
+    },
+    
+    /**
+     * Open the editor of a campaign
+     * @param {string} id - Campaign ID
+     */
+    edit(id) {
+        this.editingId = id;
+        this.render();
+    },
+    
+    /**
+     * Save a new date, time and time zone for a campaign
+     * @param {Object} campaign - Scheduled campaign summary
+     * @param {Object} schedule - { sendAt, timeZone }
+     * @returns {Promise<void>}
+     */
+    async reschedule(campaign, schedule) {
+        if (!schedule.sendAt) {
+            App.showToast('Please choose a date and time', 'error');
+            return;
+        }
+        
+        try {
+            await EmailService.rescheduleCampaign(campaign.id, schedule);
+            this.editingId = null;
+            App.showToast(`Rescheduled for ${this.describe(schedule)}`, 'success');
+        } catch (error) {
+            App.showToast(`Could not reschedule: ${error.message}`, 'error');
+        }
+        await this.load();
+    },
+    
+    /**
+     * Send a scheduled campaign right away and follow its progress
+     * @param {Object} campaign - Scheduled campaign summary
+     * @returns {Promise<void>}
+     */
+    async start(campaign) {
+        if (!confirm(`Send "${campaign.subject}" to ${campaign.total} recipient(s) now?`)) {
+            return;
+        }
+        
+        try {
+            await EmailService.controlCampaign('start', campaign.id);
+        } catch (error) {
+            App.showToast(`Could not start the campaign: ${error.message}`, 'error');
+            return;
+        }
+        await this.load();
+        this.view(campaign);
+    },
+    
+    /**
+     * Cancel a scheduled campaign; its recipients are reported as not sent
+     * @param {Object} campaign - Scheduled campaign summary
+     * @returns {Promise<void>}
+     */
+    async cancel(campaign) {
+        if (!confirm(`Cancel the scheduled campaign "${campaign.subject}"? Nothing will be sent.`)) {
+            return;
+        }
+        
+        try {
+            await EmailService.controlCampaign('cancel', campaign.id);
+            App.showToast('Scheduled campaign cancelled', 'info');
+        } catch (error) {
+            App.showToast(`Could not cancel the campaign: ${error.message}`, 'error');
+        }
+        await this.load();
+    },
+    
+    /**
+     * Show a campaign's progress, then its results and reports, in step 4
+     * @param {Object} campaign - Campaign summary
+     */
+    view(campaign) {
+        App.runSend(campaign.total, progressCallback => EmailService.followCampaign(campaign, progressCallback))
+            .then(() => this.load());
+    }
+};
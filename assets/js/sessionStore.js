@@ -0,0 +1,164 @@
+// Session Store Module - Keeps the draft and send progress in IndexedDB so a reload can pick up where it left off
+
+const SessionStore = {
+    dbName: 'excellenceEmailService',
+    storeName: 'session',
+    db: null,
+    
+    /**
+     * Open (and create if needed) the IndexedDB database
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (this.db) {
+            return Promise.resolve(this.db);
+        }
+        
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+            
+            const request = indexedDB.open(this.dbName, 1);
+            
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+            
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            
+            request.onerror = () => {
+                reject(request.error || new Error('Could not open IndexedDB'));
+            };
+        });
+    },
+    
+    /**
+     * Run a single request against the session object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            // Some failures (e.g. running out of storage quota) only abort the transaction
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    },
+    
+    /**
+     * Read a value
+     * @param {string} key - Record key
+     * @returns {Promise<*>} Stored value or undefined
+     */
+    get(key) {
+        return this.request('readonly', store => store.get(key));
+    },
+    
+    /**
+     * Write a value
+     * @param {string} key - Record key
+     * @param {*} value - Value (must be structured-cloneable)
+     * @returns {Promise<void>}
+     */
+    put(key, value) {
+        return this.request('readwrite', store => store.put(value, key));
+    },
+    
+    /**
+     * Delete a value
+     * @param {string} key - Record key
+     * @returns {Promise<void>}
+     */
+    remove(key) {
+        return this.request('readwrite', store => store.delete(key));
+    },
+    
+    /**
+     * Save the composed draft (without the sheet, which is saved once by saveSheet)
+     * @param {Object} draft - { fileName, fileSize, selectedSheet, selectedColumn, emailReview, subject, delta, copies, sender }
+     * @returns {Promise<void>}
+     */
+    saveDraft(draft) {
+        return this.put('draft', { ...draft, savedAt: new Date() });
+    },
+    
+    /**
+     * Save the loaded sheet
+     * @param {Object} sheet - { sheetData, sheetLinks }
+     * @returns {Promise<void>}
+     */
+    saveSheet(sheet) {
+        return this.put('sheet', sheet);
+    },
+    
+    /**
+     * Load the saved draft together with its sheet
+     * @returns {Promise<Object|undefined>} Draft with sheetData and sheetLinks, or undefined
+     */
+    async loadDraft() {
+        const [draft, sheet] = await Promise.all([this.get('draft'), this.get('sheet')]);
+        return draft && { ...draft, ...sheet };
+    },
+    
+    /**
+     * Record the start of a send (recipients are stored once; progress is saved separately)
+     * @param {Object} send - { mode, dryRun, sender, attachments, copies, subject, body, recipients }
+     * @returns {Promise<void>}
+     */
+    async startSend(send) {
+        await this.remove('sendProgress');
+        await this.put('send', { ...send, startedAt: new Date() });
+    },
+    
+    /**
+     * Save send progress
+     * @param {Object} progress - { nextIndex, inFlightEnd, results } or { campaignId }
+     * @returns {Promise<void>}
+     */
+    saveSendProgress(progress) {
+        return this.put('sendProgress', progress);
+    },
+    
+    /**
+     * Load an unfinished send together with its progress
+     * @returns {Promise<Object|null>} Send record with a `progress` property, or null
+     */
+    async loadSend() {
+        const send = await this.get('send');
+        if (!send) {
+            return null;
+        }
+        
+        const progress = await this.get('sendProgress');
+        return { ...send, progress: progress || null };
+    },
+    
+    /**
+     * Forget the current send (it finished or was discarded)
+     * @returns {Promise<void>}
+     */
+    async clearSend() {
+        await this.remove('send');
+        await this.remove('sendProgress');
+    },
+    
+    /**
+     * Forget everything
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.clearSend();
+        await this.remove('draft');
+        await this.remove('sheet');
+    }
+};
@@ -8,11 +8,10 @@ const Config = {
         apiKey: '', // Not used in frontend - handled by backend
         
         // SendGrid API Endpoint
-        apiUrl: 'https://api.sendgrid.com/v3/mail/send',
+        apiUrl: 'https://api.sendgrid.com/v3/mail/send'
         
-        // From email (must be verified in SendGrid/Brevo)
-        fromEmail: 'info@theexcellenceservices.site',
-        fromName: 'The Excellence Services'
+        // The sender is chosen in the composer from the server's allowlist
+        // (FROM_EMAIL/FROM_NAME and SENDERS on the server); see backend.sendersApiUrl
     },
     
     // File Upload Configuration
@@ -27,8 +26,24 @@ const Config = {
     
     // Email Configuration
     email: {
-        batchSize: 10, // Number of emails to send per batch (to avoid rate limits)
-        delayBetweenBatches: 1000 // Delay in milliseconds between batches
+        batchSize: 100, // Number of emails per bulk request to the backend (to avoid rate limits)
+        delayBetweenBatches: 1000, // Delay in milliseconds between batches
+        
+        // Submit sends as server-side campaign jobs that keep running if the tab is closed.
+        // Only the Express server (server.js) runs them: turn this on there. Off, the browser
+        // sends batch by batch, which also works with the Amplify Lambda
+        useCampaignJobs: false,
+        campaignPollInterval: 2000, // How often (ms) the browser checks campaign progress
+        scheduledRefreshInterval: 60000, // How often (ms) the list of scheduled campaigns is refreshed
+        
+        testSubjectPrefix: '[TEST] ', // Added to the subject of test emails
+        maxTestRecipients: 5 // Most addresses a single test can be sent to
+    },
+    
+    // Attachment Configuration (the server checks the same types; its size limit is ATTACHMENT_MAX_BYTES)
+    attachments: {
+        maxTotalSize: 10 * 1024 * 1024, // 10MB per email, shared and per-row files together
+        allowedTypes: ['.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.csv', '.txt', '.ics', '.png', '.jpg', '.jpeg', '.gif']
     },
     
     // Report Configuration
@@ -41,7 +56,14 @@ const Config = {
     backend: {
         // Backend API URL - defaults to relative path when served from same server
         // For production, set this to your deployed backend URL
-        apiUrl: '/api/send-email' // Change to full URL if backend is on different domain
+        apiUrl: '/api/send-email', // Change to full URL if backend is on different domain
+        bulkApiUrl: '/api/send-bulk', // Sends a whole batch in one request using provider batch APIs
+        campaignsApiUrl: '/api/campaigns', // Creates and tracks server-side campaign jobs
+        sendersApiUrl: '/api/senders', // Lists the sender identities the server allows
+        deliveryStatusApiUrl: '/api/delivery-status', // Delivery status from provider webhooks (SendGrid, Brevo)
+        historyApiUrl: '/api/history', // Past campaigns with their per-recipient results
+        authApiUrl: '/api/auth', // Login (POST /login) and the logged-in user (GET /me)
+        quotaApiUrl: '/api/quota' // Daily/monthly sending quotas and what is left of them
     }
 };
 
@@ -0,0 +1,200 @@
+// Auth - User logins, signed session tokens and the CORS origin allowlist
+//
+// AUTH_USERS lists the accounts, separated by semicolons or new lines, each written as
+// `username:passwordHash`. Hashes are made with `npm run hash-password -- '<password>'` (scrypt with a
+// random salt), so the environment never holds a plain password. A login returns a token signed with
+// AUTH_SECRET (a JWT, HS256) that the browser sends as `Authorization: Bearer <token>`; it expires after
+// AUTH_TOKEN_TTL_HOURS. Tokens are stateless, so the server and every Lambda instance can check them.
+// AUTH_DISABLED=true turns authentication off (local development only).
+// Shared by server.js and the Amplify Lambda; only use Node core modules.
+
+const crypto = require('crypto');
+
+const SCRYPT_KEY_LENGTH = 64;
+const MIN_SECRET_LENGTH = 32;
+
+// Checked when the username is unknown, so a login takes as long whether or not the user exists
+const DUMMY_HASH = `scrypt:${crypto.randomBytes(16).toString('base64url')}:${crypto.randomBytes(SCRYPT_KEY_LENGTH).toString('base64url')}`;
+
+const Auth = {
+    /**
+     * Read the authentication settings from environment variables
+     * @param {Object} env - process.env
+     * @returns {Object} { disabled, users, secret, tokenTtlSeconds, error? }
+     */
+    fromEnv(env) {
+        const config = {
+            disabled: env.AUTH_DISABLED === 'true',
+            users: [],
+            secret: env.AUTH_SECRET || '',
+            tokenTtlSeconds: Math.round((parseFloat(env.AUTH_TOKEN_TTL_HOURS) || 12) * 3600)
+        };
+        if (config.disabled) return config;
+
+        const parsed = this.parseUsers(env.AUTH_USERS);
+        if (parsed.error) return { ...config, error: parsed.error };
+        config.users = parsed.users;
+
+        if (config.users.length === 0) {
+            return { ...config, error: 'AUTH_USERS is not set (or set AUTH_DISABLED=true for local development)' };
+        }
+        if (config.secret.length < MIN_SECRET_LENGTH) {
+            return { ...config, error: `AUTH_SECRET must be at least ${MIN_SECRET_LENGTH} characters` };
+        }
+        return config;
+    },
+
+    /**
+     * Parse the AUTH_USERS list
+     * @param {string} value - AUTH_USERS environment variable (may be undefined)
+     * @returns {Object} { users: [{ username, hash }] } or { error }
+     */
+    parseUsers(value) {
+        const users = [];
+        const entries = (value || '').split(/[;\n]/).map(entry => entry.trim()).filter(Boolean);
+
+        for (const entry of entries) {
+            const separator = entry.indexOf(':');
+            const username = separator > 0 ? entry.slice(0, separator).trim() : '';
+            const hash = separator > 0 ? entry.slice(separator + 1).trim() : '';
+            if (!username || !hash.startsWith('scrypt:') || hash.split(':').length !== 3) {
+                return { error: `AUTH_USERS: "${username || entry}" needs a password hash from npm run hash-password` };
+            }
+            if (users.some(user => user.username.toLowerCase() === username.toLowerCase())) {
+                return { error: `AUTH_USERS: user "${username}" is listed twice` };
+            }
+            users.push({ username: username, hash: hash });
+        }
+        return { users: users };
+    },
+
+    /**
+     * Hash a password for AUTH_USERS
+     * @param {string} password - Plain password
+     * @returns {string} 'scrypt:<salt>:<hash>'
+     */
+    hashPassword(password) {
+        const salt = crypto.randomBytes(16);
+        const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+        return `scrypt:${salt.toString('base64url')}:${hash.toString('base64url')}`;
+    },
+
+    /**
+     * Check a password against a hash from hashPassword()
+     * @param {string} password - Plain password
+     * @param {string} stored - 'scrypt:<salt>:<hash>'
+     * @returns {boolean} True if the password matches
+     */
+    verifyPassword(password, stored) {
+        const [, salt, hash] = stored.split(':');
+        const expected = Buffer.from(hash || '', 'base64url');
+        if (typeof password !== 'string' || expected.length !== SCRYPT_KEY_LENGTH) return false;
+
+        const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64url'), SCRYPT_KEY_LENGTH);
+        return crypto.timingSafeEqual(actual, expected);
+    },
+
+    /**
+     * Log a user in
+     * @param {Object} config - Settings from fromEnv()
+     * @param {string} username - Username (case-insensitive)
+     * @param {string} password - Plain password
+     * @returns {Object|null} { token, username, expiresAt }, or null if the username or password is wrong
+     */
+    login(config, username, password) {
+        const name = typeof username === 'string' ? username.trim().toLowerCase() : '';
+        const user = config.users.find(item => item.username.toLowerCase() === name);
+        const valid = this.verifyPassword(password, user ? user.hash : DUMMY_HASH);
+        if (!user || !valid) return null;
+
+        return this.createToken(user.username, config.secret, config.tokenTtlSeconds);
+    },
+
+    /**
+     * Create a signed session token
+     * @param {string} username - User the token is for
+     * @param {string} secret - AUTH_SECRET
+     * @param {number} ttlSeconds - Lifetime of the token
+     * @returns {Object} { token, username, expiresAt (ISO) }
+     */
+    createToken(username, secret, ttlSeconds) {
+        const now = Math.floor(Date.now() / 1000);
+        const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+        const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ sub: username, iat: now, exp: now + ttlSeconds })}`;
+        const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+
+        return {
+            token: `${unsigned}.${signature}`,
+            username: username,
+            expiresAt: new Date((now + ttlSeconds) * 1000).toISOString()
+        };
+    },
+
+    /**
+     * Check a session token
+     * @param {string} token - Token from createToken()
+     * @param {string} secret - AUTH_SECRET
+     * @returns {Object|null} { username, expiresAt }, or null if the token is invalid or expired
+     */
+    verifyToken(token, secret) {
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        if (parts.length !== 3 || !secret) return null;
+
+        const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+        const signature = Buffer.from(parts[2], 'base64url');
+        if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) return null;
+
+        try {
+            const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+            const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+            if (header.alg !== 'HS256' || typeof payload.sub !== 'string' || !(payload.exp > Date.now() / 1000)) {
+                return null;
+            }
+            return { username: payload.sub, expiresAt: new Date(payload.exp * 1000).toISOString() };
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Check the Authorization header of a request
+     * @param {Object} config - Settings from fromEnv()
+     * @param {string} authorization - Authorization header ('Bearer <token>')
+     * @returns {Object|null} { username, expiresAt } of the logged-in user, or null
+     */
+    authenticate(config, authorization) {
+        const match = typeof authorization === 'string' ? authorization.match(/^Bearer\s+(\S+)$/i) : null;
+        return match ? this.verifyToken(match[1], config.secret) : null;
+    },
+
+    /**
+     * Parse the CORS_ORIGINS allowlist
+     * @param {string} value - Origins separated by commas, e.g. 'https://mail.example.com'; '*' allows any origin
+     * @returns {Array<string>} Origins without trailing slashes
+     */
+    parseOrigins(value) {
+        return (value || '').split(/[,;\s]+/).map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean);
+    },
+
+    /**
+     * Check a request's Origin against the allowlist
+     * @param {Array<string>} origins - Allowlist from parseOrigins()
+     * @param {string} origin - Origin header of the request
+     * @returns {boolean} True if the origin may call the API from a browser
+     */
+    isAllowedOrigin(origins, origin) {
+        return Boolean(origin) && (origins.includes('*') || origins.includes(origin));
+    }
+};
+
+// `node lib/auth.js <password>` prints a hash for AUTH_USERS
+if (require.main === module) {
+    const password = process.argv[2];
+    if (!password) {
+        console.error('Usage: npm run hash-password -- <password>');
+        process.exit(1);
+    }
+    console.log(Auth.hashPassword(password));
+}
+
+module.exports = Auth;
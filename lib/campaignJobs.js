@@ -0,0 +1,624 @@
+// Campaign Jobs Module - Persistent background bulk sends that survive browser and server restarts
+//
+// Each campaign is stored as data/campaigns/<id>.json with per-recipient state:
+//   pending -> sending -> sent | failed
+//   pending -> cancelled (campaign cancelled before the recipient's batch was sent)
+// The file is rewritten after every batch, so a restart resumes from the last saved batch.
+// Pause and cancel take effect between batches.
+// A batch refused because the sending quota is used up (error code QUOTA_EXCEEDED) is put back as pending
+// and the campaign is paused with the reason in `error`; resume it once the quota has reset.
+// A campaign created with a scheduledAt time waits as 'scheduled' (also across restarts) and is
+// queued when that time comes; until then it can be rescheduled, started early or cancelled.
+// Sends made batch by batch from the browser are recorded here too once they finish (source 'browser'),
+// so finished campaigns of both kinds make up the campaign history.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Longest delay setTimeout supports (about 24.8 days); later schedules wait in steps
+const MAX_TIMER_DELAY = 2147483647;
+
+// Campaigns in these states are done and listed in the history
+const FINISHED_STATUSES = ['completed', 'cancelled', 'failed'];
+
+const CampaignJobs = {
+    dataDir: null,
+    sendRecipients: null,
+    batchSize: 100,
+    delayBetweenBatches: 1000,
+    campaigns: new Map(),
+    queue: [],
+    processing: false,
+    active: null, // ID of the campaign run() is sending
+    timers: new Map(), // Campaign ID -> timer that queues a scheduled campaign
+
+    /**
+     * Load saved campaigns and resume any that were queued or running
+     * @param {Object} options - { dataDir, sendRecipients, batchSize, delayBetweenBatches }
+     *   sendRecipients(recipients, subject, body, { dryRun, campaignId, sender, attachments, copies, user }) must resolve
+     *   to one result per recipient; user is the username that created the campaign (for its sending quota)
+     */
+    init(options) {
+        this.dataDir = path.join(options.dataDir, 'campaigns');
+        this.sendRecipients = options.sendRecipients;
+        this.batchSize = options.batchSize || this.batchSize;
+        this.delayBetweenBatches = options.delayBetweenBatches ?? this.delayBetweenBatches;
+
+        fs.mkdirSync(this.dataDir, { recursive: true });
+
+        fs.readdirSync(this.dataDir)
+            .filter(file => file.endsWith('.json'))
+            .forEach(file => {
+                try {
+                    const campaign = JSON.parse(fs.readFileSync(path.join(this.dataDir, file), 'utf8'));
+                    this.campaigns.set(campaign.id, campaign);
+                } catch (error) {
+                    console.error(`Could not load campaign ${file}:`, error.message);
+                }
+            });
+
+        // A batch that was in flight when the server stopped may or may not have been delivered.
+        // Mark it failed instead of sending it twice.
+        this.campaigns.forEach(campaign => {
+            if (campaign.status === 'scheduled') {
+                this.schedule(campaign); // Starts right away if its time passed while the server was down
+                return;
+            }
+            if (campaign.status !== 'queued' && campaign.status !== 'running') return;
+
+            this.failInFlight(campaign, 'Server stopped while this email was being sent; delivery is unknown', 'INTERRUPTED');
+            campaign.status = 'queued';
+            this.save(campaign);
+            this.enqueue(campaign.id);
+        });
+    },
+
+    /**
+     * Create a campaign and queue it for background sending
+     * @param {Object} data - { subject, body, dryRun, sender?, attachments?, copies?, schedule?, createdBy?,
+     *   recipients: [{ toEmail, toName?, subject?, body?, attachments?, cc?, bcc?, replyTo? }] }
+     *   sender: { fromEmail, fromName } to send from, already checked against the allowlist
+     *   schedule: { scheduledAt (ISO), sendAt, timeZone } to send later instead of right away
+     *   attachments and copies ({ cc, bcc, replyTo }): used for every recipient, together with the recipient's own
+     *   createdBy: username of the logged-in user, whose sending quota the campaign uses
+     * @returns {Object} Campaign summary
+     */
+    create(data) {
+        const campaign = {
+            id: crypto.randomUUID(),
+            status: data.schedule ? 'scheduled' : 'queued',
+            subject: data.subject,
+            body: data.body,
+            dryRun: Boolean(data.dryRun),
+            sender: data.sender || null,
+            attachments: data.attachments || [],
+            copies: data.copies || {},
+            createdBy: data.createdBy || null,
+            ...this.scheduleFields(data.schedule),
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            recipients: data.recipients.map(recipient => ({
+                toEmail: recipient.toEmail,
+                toName: recipient.toName,
+                subject: recipient.subject,
+                body: recipient.body,
+                attachments: recipient.attachments,
+                cc: recipient.cc,
+                bcc: recipient.bcc,
+                replyTo: recipient.replyTo,
+                status: 'pending',
+                result: null
+            }))
+        };
+
+        this.campaigns.set(campaign.id, campaign);
+        this.save(campaign);
+        if (campaign.status === 'scheduled') {
+            this.schedule(campaign);
+        } else {
+            this.enqueue(campaign.id);
+        }
+        return this.summarize(campaign);
+    },
+
+    /**
+     * Store a send that the browser made batch by batch, for the campaign history
+     * @param {Object} data - { subject, body, dryRun, sender?, attachments?, copies?, createdBy?, results: { success, failure, notSent } }
+     *   sender: { fromEmail, fromName }, already checked against the allowlist
+     *   attachments: [{ filename }] of the shared files (their content is not kept)
+     *   results: per-recipient results as returned by the bulk endpoint
+     * @returns {Object} Campaign summary
+     */
+    record(data) {
+        const recipients = [
+            ...data.results.success.map(result => ({ status: 'sent', result: result })),
+            ...data.results.failure.map(result => ({ status: 'failed', result: result })),
+            ...data.results.notSent.map(result => ({ status: 'cancelled', result: result }))
+        ].map(recipient => ({
+            toEmail: recipient.result.email,
+            subject: recipient.result.subject !== data.subject ? recipient.result.subject : undefined,
+            status: recipient.status,
+            result: recipient.result
+        }));
+
+        // The browser does not report when it started, so take the earliest result
+        const times = recipients
+            .map(recipient => recipient.result.sentAt || recipient.result.attemptedAt || recipient.result.cancelledAt)
+            .filter(Boolean)
+            .map(time => new Date(time).toISOString())
+            .sort();
+        const now = new Date().toISOString();
+
+        const campaign = {
+            id: crypto.randomUUID(),
+            source: 'browser',
+            status: data.results.notSent.length > 0 ? 'cancelled' : 'completed',
+            subject: data.subject,
+            body: data.body,
+            dryRun: Boolean(data.dryRun),
+            sender: data.sender || null,
+            attachments: data.attachments || [],
+            copies: data.copies || {},
+            createdBy: data.createdBy || null,
+            ...this.scheduleFields(null),
+            createdAt: times[0] || now,
+            startedAt: times[0] || now,
+            finishedAt: now,
+            recipients: recipients
+        };
+
+        this.campaigns.set(campaign.id, campaign);
+        this.save(campaign);
+        return this.summarize(campaign);
+    },
+
+    /**
+     * Search the finished campaigns, newest first
+     * @param {Object} query - { text?, recipient?, since?, until?, offset?, limit? }
+     *   text: part of the subject, body or sender; recipient: part of a recipient address;
+     *   since/until: 'YYYY-MM-DD' (UTC, inclusive) compared with the start of the campaign
+     * @returns {Object} { total, campaigns } where each summary also has matchedRecipients when
+     *   searching by recipient: [{ email, status }] (at most 10)
+     */
+    search(query) {
+        const text = (query.text || '').trim().toLowerCase();
+        const recipient = (query.recipient || '').trim().toLowerCase();
+        const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 200);
+
+        const matches = [];
+        [...this.campaigns.values()]
+            .filter(campaign => FINISHED_STATUSES.includes(campaign.status))
+            .sort((a, b) => (b.startedAt || b.createdAt).localeCompare(a.startedAt || a.createdAt))
+            .forEach(campaign => {
+                const day = (campaign.startedAt || campaign.createdAt).slice(0, 10);
+                if ((query.since && day < query.since) || (query.until && day > query.until)) return;
+
+                if (text) {
+                    const haystack = [campaign.subject, campaign.body, this.senderEmail(campaign)].join('\n').toLowerCase();
+                    if (!haystack.includes(text)) return;
+                }
+
+                const summary = this.summarize(campaign);
+                if (recipient) {
+                    const found = campaign.recipients.filter(r => (r.toEmail || '').toLowerCase().includes(recipient));
+                    if (found.length === 0) return;
+                    summary.matchedRecipients = found.slice(0, 10).map(r => ({ email: r.toEmail, status: r.status }));
+                }
+                matches.push(summary);
+            });
+
+        return { total: matches.length, campaigns: matches.slice(offset, offset + limit) };
+    },
+
+    /**
+     * Get a campaign with its content, for the history drill-down
+     * @param {string} id - Campaign ID
+     * @returns {Object|null} Summary plus body, fromName, attachments (file names) and copies, or null if not found
+     */
+    getDetail(id) {
+        const campaign = this.campaigns.get(id);
+        if (!campaign) return null;
+
+        return {
+            ...this.summarize(campaign),
+            body: campaign.body,
+            fromName: campaign.sender ? campaign.sender.fromName : undefined,
+            attachments: (campaign.attachments || []).map(attachment => attachment.filename),
+            copies: campaign.copies || {}
+        };
+    },
+
+    /**
+     * Schedule fields stored on a campaign
+     * @param {Object} schedule - { scheduledAt, sendAt, timeZone } or undefined
+     * @returns {Object} { scheduledAt, sendAt, timeZone }, null when not scheduled
+     */
+    scheduleFields(schedule) {
+        return {
+            scheduledAt: schedule ? schedule.scheduledAt : null,
+            sendAt: schedule ? schedule.sendAt : null,
+            timeZone: schedule ? schedule.timeZone : null
+        };
+    },
+
+    /**
+     * Get a campaign summary
+     * @param {string} id - Campaign ID
+     * @returns {Object|null} Campaign summary or null if not found
+     */
+    get(id) {
+        const campaign = this.campaigns.get(id);
+        return campaign ? this.summarize(campaign) : null;
+    },
+
+    /**
+     * List all campaigns, newest first
+     * @returns {Array<Object>} Campaign summaries
+     */
+    list() {
+        return [...this.campaigns.values()]
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(campaign => this.summarize(campaign));
+    },
+
+    /**
+     * Get per-recipient results of a campaign
+     * @param {string} id - Campaign ID
+     * @returns {Object|null} { success, failure, pending } or null if not found
+     */
+    getResults(id) {
+        const campaign = this.campaigns.get(id);
+        if (!campaign) return null;
+
+        return {
+            success: campaign.recipients.filter(r => r.status === 'sent').map(r => r.result),
+            failure: campaign.recipients.filter(r => r.status === 'failed').map(r => r.result),
+            notSent: campaign.recipients.filter(r => r.status === 'cancelled').map(r => r.result),
+            pending: campaign.recipients.filter(r => r.status === 'pending' || r.status === 'sending').map(r => r.toEmail)
+        };
+    },
+
+    /**
+     * Change when a scheduled campaign is sent (only before it has started)
+     * @param {string} id - Campaign ID
+     * @param {Object} schedule - { scheduledAt, sendAt, timeZone }
+     * @returns {Object|null} Campaign summary, or null if not found
+     */
+    reschedule(id, schedule) {
+        const campaign = this.campaigns.get(id);
+        if (!campaign) return null;
+
+        if (campaign.status === 'scheduled') {
+            Object.assign(campaign, this.scheduleFields(schedule));
+            this.save(campaign);
+            this.schedule(campaign);
+        }
+        return this.summarize(campaign);
+    },
+
+    /**
+     * Start a scheduled campaign now instead of at its scheduled time
+     * @param {string} id - Campaign ID
+     * @returns {Object|null} Campaign summary, or null if not found
+     */
+    start(id) {
+        const campaign = this.campaigns.get(id);
+        if (!campaign) return null;
+
+        if (campaign.status === 'scheduled') {
+            this.queueScheduled(campaign);
+        }
+        return this.summarize(campaign);
+    },
+
+    /**
+     * Pause a queued or running campaign after its current batch
+     * @param {string} id - Campaign ID
+     * @returns {Object|null} Campaign summary, or null if not found
+     */
+    pause(id) {
+        const campaign = this.campaigns.get(id);
+        if (!campaign) return null;
+
+        if (campaign.status === 'queued' || campaign.status === 'running') {
+            campaign.status = 'paused';
+            this.queue = this.queue.filter(queuedId => queuedId !== id);
+            this.save(campaign);
+        }
+        return this.summarize(campaign);
+    },
+
+    /**
+     * Resume a paused campaign
+     * @param {string} id - Campaign ID
+     * @returns {Object|null} Campaign summary, or null if not found
+     */
+    resume(id) {
+        const campaign = this.campaigns.get(id);
+        if (!campaign) return null;
+
+        if (campaign.status === 'paused') {
+            delete campaign.error; // e.g. the quota that paused it
+            // Paused and resumed during one batch: run() is still sending it and just goes on
+            if (this.active === id) {
+                campaign.status = 'running';
+                this.save(campaign);
+            } else {
+                campaign.status = 'queued';
+                this.save(campaign);
+                this.enqueue(id);
+            }
+        }
+        return this.summarize(campaign);
+    },
+
+    /**
+     * Cancel a campaign: recipients not yet sent are marked as cancelled.
+     * A batch already in flight still completes.
+     * @param {string} id - Campaign ID
+     * @returns {Object|null} Campaign summary, or null if not found
+     */
+    cancel(id) {
+        const campaign = this.campaigns.get(id);
+        if (!campaign) return null;
+
+        if (['scheduled', 'queued', 'running', 'paused'].includes(campaign.status)) {
+            const cancelledAt = new Date().toISOString();
+            campaign.recipients.forEach(recipient => {
+                if (recipient.status === 'pending') {
+                    recipient.status = 'cancelled';
+                    recipient.result = {
+                        success: false,
+                        email: recipient.toEmail,
+                        subject: recipient.subject || campaign.subject,
+                        from: this.senderEmail(campaign),
+                        cancelledAt: cancelledAt,
+                        reason: 'Cancelled before sending'
+                    };
+                }
+            });
+
+            // A running campaign finishes its current batch and then stops on its own
+            if (campaign.status !== 'running') {
+                campaign.status = 'cancelled';
+                campaign.finishedAt = cancelledAt;
+            }
+            this.queue = this.queue.filter(queuedId => queuedId !== id);
+            this.clearTimer(id);
+            this.save(campaign);
+        }
+        return this.summarize(campaign);
+    },
+
+    /**
+     * Set the timer that queues a scheduled campaign at its scheduled time
+     * @param {Object} campaign - Scheduled campaign
+     */
+    schedule(campaign) {
+        this.clearTimer(campaign.id);
+
+        const delay = new Date(campaign.scheduledAt).getTime() - Date.now();
+        if (!(delay > 0)) {
+            this.queueScheduled(campaign);
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            this.timers.delete(campaign.id);
+            if (campaign.status !== 'scheduled') return;
+
+            if (delay > MAX_TIMER_DELAY) {
+                this.schedule(campaign);
+            } else {
+                this.queueScheduled(campaign);
+            }
+        }, Math.min(delay, MAX_TIMER_DELAY));
+        timer.unref(); // A pending schedule does not keep the process alive; it is restored from disk
+        this.timers.set(campaign.id, timer);
+    },
+
+    /**
+     * Move a scheduled campaign to the send queue
+     * @param {Object} campaign - Scheduled campaign
+     */
+    queueScheduled(campaign) {
+        this.clearTimer(campaign.id);
+        campaign.status = 'queued';
+        this.save(campaign);
+        this.enqueue(campaign.id);
+    },
+
+    /**
+     * Stop the schedule timer of a campaign, if it has one
+     * @param {string} id - Campaign ID
+     */
+    clearTimer(id) {
+        clearTimeout(this.timers.get(id));
+        this.timers.delete(id);
+    },
+
+    /**
+     * Build the public summary of a campaign (without bodies or per-recipient data)
+     * @param {Object} campaign - Stored campaign
+     * @returns {Object} Summary with counts
+     */
+    summarize(campaign) {
+        const count = status => campaign.recipients.filter(r => r.status === status).length;
+        const sent = count('sent');
+        const failed = count('failed');
+        const cancelled = count('cancelled');
+
+        return {
+            id: campaign.id,
+            source: campaign.source || 'server',
+            status: campaign.status,
+            subject: campaign.subject,
+            dryRun: Boolean(campaign.dryRun),
+            from: this.senderEmail(campaign),
+            createdBy: campaign.createdBy || null,
+            scheduledAt: campaign.scheduledAt || null,
+            sendAt: campaign.sendAt || null,
+            timeZone: campaign.timeZone || null,
+            createdAt: campaign.createdAt,
+            startedAt: campaign.startedAt,
+            finishedAt: campaign.finishedAt,
+            total: campaign.recipients.length,
+            processed: sent + failed + cancelled,
+            successCount: sent,
+            failureCount: failed,
+            notSentCount: cancelled,
+            error: campaign.error
+        };
+    },
+
+    /**
+     * Sender address of a campaign (campaigns saved before senders could be chosen have none)
+     * @param {Object} campaign - Stored campaign
+     * @returns {string|undefined} Sender address
+     */
+    senderEmail(campaign) {
+        return campaign.sender ? campaign.sender.fromEmail : undefined;
+    },
+
+    /**
+     * Mark recipients of an unfinished batch as failed
+     * @param {Object} campaign - Campaign
+     * @param {string} errorMessage - Error message for the results
+     * @param {string} errorCode - Error code for the results
+     */
+    failInFlight(campaign, errorMessage, errorCode) {
+        campaign.recipients.forEach(recipient => {
+            if (recipient.status === 'sending') {
+                recipient.status = 'failed';
+                recipient.result = {
+                    success: false,
+                    email: recipient.toEmail,
+                    subject: recipient.subject || campaign.subject,
+                    from: this.senderEmail(campaign),
+                    attemptedAt: new Date().toISOString(),
+                    errorMessage: errorMessage,
+                    errorCode: errorCode
+                };
+            }
+        });
+    },
+
+    /**
+     * Write a campaign to disk (write-then-rename so a crash never leaves a half-written file)
+     * @param {Object} campaign - Campaign to save
+     */
+    save(campaign) {
+        const file = path.join(this.dataDir, `${campaign.id}.json`);
+        const tempFile = `${file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(campaign));
+        fs.renameSync(tempFile, file);
+    },
+
+    /**
+     * Add a campaign to the processing queue
+     * @param {string} id - Campaign ID
+     */
+    enqueue(id) {
+        if (!this.queue.includes(id)) {
+            this.queue.push(id);
+        }
+        this.processQueue();
+    },
+
+    /**
+     * Process queued campaigns one at a time
+     */
+    async processQueue() {
+        if (this.processing) return;
+        this.processing = true;
+
+        try {
+            while (this.queue.length > 0) {
+                const campaign = this.campaigns.get(this.queue.shift());
+                if (campaign) {
+                    await this.run(campaign);
+                }
+            }
+        } finally {
+            this.processing = false;
+        }
+    },
+
+    /**
+     * Send all pending recipients of a campaign in batches
+     * @param {Object} campaign - Campaign to run
+     */
+    async run(campaign) {
+        if (campaign.status !== 'queued') return; // Paused or cancelled while waiting in the queue
+
+        campaign.status = 'running';
+        campaign.startedAt = campaign.startedAt || new Date().toISOString();
+        this.save(campaign);
+        this.active = campaign.id;
+
+        try {
+            let pending = campaign.recipients.filter(r => r.status === 'pending');
+            while (pending.length > 0) {
+                const batch = pending.slice(0, this.batchSize);
+
+                batch.forEach(recipient => {
+                    recipient.status = 'sending';
+                });
+                this.save(campaign);
+
+                const results = await this.sendRecipients(batch, campaign.subject, campaign.body, {
+                    dryRun: campaign.dryRun,
+                    campaignId: campaign.id,
+                    sender: campaign.sender || undefined,
+                    attachments: campaign.attachments,
+                    copies: campaign.copies,
+                    user: campaign.createdBy || undefined
+                });
+                batch.forEach((recipient, index) => {
+                    recipient.result = results[index];
+                    recipient.status = results[index] && results[index].success ? 'sent' : 'failed';
+                });
+                this.save(campaign);
+
+                pending = campaign.recipients.filter(r => r.status === 'pending');
+                if (pending.length > 0) {
+                    await new Promise(resolve => setTimeout(resolve, this.delayBetweenBatches));
+                }
+
+                // Paused between batches: leave the rest pending until resume() queues it again
+                if (campaign.status === 'paused') {
+                    return;
+                }
+                pending = campaign.recipients.filter(r => r.status === 'pending');
+            }
+
+            campaign.status = campaign.recipients.some(r => r.status === 'cancelled') ? 'cancelled' : 'completed';
+        } catch (error) {
+            // Out of quota: nothing in the batch was sent, so wait paused with the batch pending again
+            if (error.code === 'QUOTA_EXCEEDED') {
+                campaign.recipients.forEach(recipient => {
+                    if (recipient.status === 'sending') recipient.status = 'pending';
+                });
+                campaign.status = 'paused';
+                campaign.error = error.message;
+                this.save(campaign);
+                return;
+            }
+
+            console.error(`Campaign ${campaign.id} failed:`, error);
+            campaign.status = 'failed';
+            campaign.error = error.message;
+            this.failInFlight(campaign, error.message, 'SERVER_ERROR');
+        } finally {
+            this.active = null;
+        }
+
+        campaign.finishedAt = new Date().toISOString();
+        this.save(campaign);
+    }
+};
+
+module.exports = CampaignJobs;
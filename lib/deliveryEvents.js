@@ -0,0 +1,185 @@
+// Delivery Events Module - Persistent delivery, bounce, spam and open events from provider webhooks
+//
+// Events are appended to data/delivery-events.jsonl, one JSON line per event
+// ({ messageId, email, provider, type, at, reason?, receivedAt }), so a webhook only writes its own events.
+// In memory they are grouped per message and recipient because a batch request returns one messageId for
+// all of its recipients (SendGrid). Entries not updated for DELIVERY_EVENTS_MAX_AGE_DAYS are dropped on start,
+// when the file is rewritten without them.
+
+const fs = require('fs');
+const path = require('path');
+
+// Later events of these types decide the delivery status; a bounce or drop outranks a delivery
+const STATUS_RANK = {
+    deferred: 1,
+    delivered: 2,
+    bounced: 3,
+    dropped: 3
+};
+
+const DeliveryEvents = {
+    file: null,
+    entries: {}, // "<messageId>|<lowercased email>" -> { messageId, email, provider, events, updatedAt }
+
+    /**
+     * Load the events from disk and drop old entries
+     * @param {Object} options - { dataDir, maxAgeDays }
+     */
+    init(options) {
+        fs.mkdirSync(options.dataDir, { recursive: true });
+        this.file = path.join(options.dataDir, 'delivery-events.jsonl');
+        this.entries = {};
+
+        let lines = [];
+        try {
+            lines = fs.readFileSync(this.file, 'utf8').split('\n');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Could not load delivery events:', error.message);
+            }
+        }
+        let damaged = false;
+        lines.forEach(line => {
+            if (!line.trim()) return;
+            try {
+                this.add(JSON.parse(line));
+            } catch (error) {
+                // A line cut short by a crash: rewrite the file so the next event does not continue it
+                damaged = true;
+            }
+        });
+
+        // Before the JSONL file, all entries were rewritten to delivery-events.json on every webhook
+        const legacyFile = path.join(options.dataDir, 'delivery-events.json');
+        let migrated = false;
+        try {
+            const legacy = JSON.parse(fs.readFileSync(legacyFile, 'utf8'));
+            Object.values(legacy).forEach(entry => {
+                entry.events.forEach(event => this.add({ ...entry, ...event, receivedAt: entry.updatedAt }));
+            });
+            migrated = true;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Could not load delivery events:', error.message);
+            }
+        }
+
+        const cutoff = new Date(Date.now() - (options.maxAgeDays || 90) * 24 * 60 * 60 * 1000).toISOString();
+        const before = Object.keys(this.entries).length;
+        Object.keys(this.entries).forEach(key => {
+            if (this.entries[key].updatedAt < cutoff) delete this.entries[key];
+        });
+        if (damaged || migrated || Object.keys(this.entries).length !== before) {
+            this.compact();
+        }
+        if (migrated) {
+            fs.unlinkSync(legacyFile);
+        }
+    },
+
+    /**
+     * Add a stored event to its entry in memory
+     * @param {Object} event - { messageId, email, provider, type, at, reason?, receivedAt }
+     */
+    add(event) {
+        const key = this.key(event.messageId, event.email);
+        const entry = this.entries[key] || (this.entries[key] = {
+            messageId: event.messageId,
+            email: event.email.toLowerCase(),
+            provider: event.provider,
+            events: []
+        });
+        entry.events.push({ type: event.type, at: event.at, reason: event.reason });
+        if (!entry.updatedAt || event.receivedAt > entry.updatedAt) {
+            entry.updatedAt = event.receivedAt;
+        }
+    },
+
+    /**
+     * Key of a message and recipient
+     * @param {string} messageId - Message ID from the send result
+     * @param {string} email - Recipient
+     * @returns {string} Lookup key
+     */
+    key(messageId, email) {
+        return `${messageId}|${(email || '').toString().trim().toLowerCase()}`;
+    },
+
+    /**
+     * Store delivery events from a webhook
+     * @param {Array<Object>} events - { provider, messageId, email, type, at, reason? } from Webhooks.parse*
+     * @returns {number} Number of events stored
+     */
+    record(events) {
+        if (events.length === 0) return 0;
+
+        const receivedAt = new Date().toISOString();
+        const stored = events.map(event => ({
+            messageId: event.messageId,
+            email: event.email.toLowerCase(),
+            provider: event.provider,
+            type: event.type,
+            at: event.at,
+            reason: event.reason,
+            receivedAt: receivedAt
+        }));
+
+        // Appending costs only the new events, however many are stored already
+        fs.appendFileSync(this.file, stored.map(event => `${JSON.stringify(event)}\n`).join(''));
+        stored.forEach(event => this.add(event));
+        return events.length;
+    },
+
+    /**
+     * Get the delivery status of a message to a recipient
+     * @param {string} messageId - Message ID from the send result
+     * @param {string} email - Recipient
+     * @returns {Object|null} { status, opened, spam, reason, updatedAt }, or null if no events arrived yet.
+     *   status is delivered, bounced, dropped, deferred, or accepted when only opens/spam reports arrived
+     */
+    getStatus(messageId, email) {
+        const entry = messageId ? this.entries[this.key(messageId, email)] : null;
+        if (!entry) return null;
+
+        // Events can arrive out of order, so order them by time before ranking
+        const events = [...entry.events].sort((a, b) => a.at.localeCompare(b.at));
+        let status = null;
+        let reason;
+        events.forEach(event => {
+            const rank = STATUS_RANK[event.type];
+            if (rank && (!status || rank >= STATUS_RANK[status])) {
+                status = event.type;
+                reason = event.reason;
+            }
+        });
+
+        const opened = events.some(event => event.type === 'opened');
+        return {
+            // An open proves delivery even if the delivered event has not arrived
+            status: status || (opened ? 'delivered' : 'accepted'),
+            opened: opened,
+            spam: events.some(event => event.type === 'spam'),
+            reason: reason,
+            updatedAt: entry.updatedAt
+        };
+    },
+
+    /**
+     * Rewrite the events file with the entries in memory (write-then-rename so a crash never leaves a half-written file)
+     */
+    compact() {
+        const lines = Object.values(this.entries).map(entry => entry.events.map(event => JSON.stringify({
+            messageId: entry.messageId,
+            email: entry.email,
+            provider: entry.provider,
+            ...event,
+            receivedAt: entry.updatedAt
+        }) + '\n').join(''));
+
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, lines.join(''));
+        fs.renameSync(tempFile, this.file);
+    }
+};
+
+module.exports = DeliveryEvents;
@@ -0,0 +1,78 @@
+// Dry Run Module - Renders messages to RFC 822 .eml files instead of sending them
+//
+// Files are written to data/dry-run/<campaign id or date>/ and can be opened in any mail client.
+// Each file holds exactly what the recipient would have received: merged subject and body,
+// unsubscribe link and List-Unsubscribe headers, attachments, CC and Reply-To. The Bcc header is
+// kept as well so the file shows every address the message would have gone to.
+
+const fs = require('fs');
+const path = require('path');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const SmtpTransport = require('./smtpTransport');
+
+const DryRun = {
+    dir: null,
+
+    /**
+     * Set the output directory
+     * @param {Object} options - { dataDir }
+     */
+    init(options) {
+        this.dir = path.join(options.dataDir, 'dry-run');
+    },
+
+    /**
+     * Write one .eml file per message and return one result per message, in the same order
+     * @param {Object} config - Configuration with fromEmail and fromName
+     * @param {Array<Object>} messages - { toEmail, subject, body, headers?, substitutions? }
+     * @param {string} folder - Sub-folder for this run (defaults to today's date)
+     * @returns {Promise<Array<Object>>} Results in the same shape as /api/send-email
+     */
+    async send(config, messages, folder) {
+        const dir = path.join(this.dir, folder || new Date().toISOString().slice(0, 10));
+        fs.mkdirSync(dir, { recursive: true });
+
+        const results = [];
+        for (const message of messages) {
+            try {
+                const mail = new MailComposer(SmtpTransport.buildMail(config, message)).compile();
+                mail.keepBcc = true; // Show who would have been BCC'd
+                const file = path.join(dir, this.fileName(message.toEmail));
+                fs.writeFileSync(file, await mail.build());
+
+                results.push({
+                    success: true,
+                    email: message.toEmail,
+                    subject: message.subject,
+                    sentAt: new Date().toISOString(),
+                    messageId: mail.messageId(),
+                    attempts: 1,
+                    emlFile: path.relative(this.dir, file)
+                });
+            } catch (error) {
+                results.push({
+                    success: false,
+                    email: message.toEmail,
+                    subject: message.subject,
+                    attemptedAt: new Date().toISOString(),
+                    errorMessage: error.message || 'Could not render message',
+                    errorCode: 'DRY_RUN_ERROR'
+                });
+            }
+        }
+        return results;
+    },
+
+    /**
+     * Unique, sortable file name for a recipient
+     * @param {string} email - Recipient address
+     * @returns {string} File name
+     */
+    fileName(email) {
+        const time = new Date().toISOString().replace(/[:.]/g, '-');
+        const safeEmail = email.replace(/[^a-zA-Z0-9@._+-]/g, '_');
+        return `${time}-${Math.random().toString(36).substr(2, 5)}-${safeEmail}.eml`;
+    }
+};
+
+module.exports = DryRun;
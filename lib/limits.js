@@ -0,0 +1,213 @@
+// Limits - Request rate limits (token buckets) and daily/monthly sending quotas
+//
+// Rate limits count API requests per client IP and per logged-in user: each key has a bucket of
+// RATE_LIMIT_PER_MINUTE (user) or RATE_LIMIT_IP_PER_MINUTE (IP) tokens that refills continuously,
+// so short bursts are fine but a steady flood is not.
+// Quotas count emails handed to the provider (every To, CC and BCC copy; dry runs are free) per UTC
+// day and month, for the whole service (QUOTA_DAILY, QUOTA_MONTHLY - e.g. the provider plan) and
+// per user (QUOTA_USER_DAILY, QUOTA_USER_MONTHLY). A limit of 0 or unset means unlimited.
+// Senders reserve their emails before sending and release what was not sent, so concurrent
+// requests cannot overshoot a quota together.
+// Shared by server.js and the Amplify Lambda; only use Node core modules.
+
+// Buckets kept before idle (full) ones are dropped
+const MAX_BUCKETS = 10000;
+
+const Limits = {
+    settings: null,
+    buckets: new Map(), // key -> { tokens, updatedAt }
+    usage: null, // { day, month, total: { day, month }, users: { <username>: { day, month } } }
+    onChange: null,
+    now: Date.now, // Clock in milliseconds; tests pass their own to init()
+
+    /**
+     * Read the limits from environment variables
+     * @param {Object} env - process.env
+     * @returns {Object} { userPerMinute, ipPerMinute, quotas: { daily, monthly, userDaily, userMonthly } }
+     */
+    fromEnv(env) {
+        const number = name => Math.max(parseInt(env[name], 10) || 0, 0);
+        return {
+            userPerMinute: env.RATE_LIMIT_PER_MINUTE === undefined ? 120 : number('RATE_LIMIT_PER_MINUTE'),
+            ipPerMinute: env.RATE_LIMIT_IP_PER_MINUTE === undefined ? 300 : number('RATE_LIMIT_IP_PER_MINUTE'),
+            quotas: {
+                daily: number('QUOTA_DAILY'),
+                monthly: number('QUOTA_MONTHLY'),
+                userDaily: number('QUOTA_USER_DAILY'),
+                userMonthly: number('QUOTA_USER_MONTHLY')
+            }
+        };
+    },
+
+    /**
+     * Set the limits and the usage counted so far
+     * @param {Object} settings - From fromEnv()
+     * @param {Object} options - { usage?: saved usage, onChange?: called with the usage after every change, now?: clock }
+     */
+    init(settings, options = {}) {
+        this.settings = settings;
+        this.buckets = new Map();
+        this.usage = options.usage || null;
+        this.onChange = options.onChange || null;
+        this.now = options.now || Date.now;
+        this.rollOver();
+    },
+
+    /**
+     * Take a token from a rate limit bucket
+     * @param {string} key - e.g. 'ip:203.0.113.7' or 'user:alice'
+     * @param {number} perMinute - Bucket size and refill rate; 0 means unlimited
+     * @returns {Object} { allowed, limit, remaining, retryAfter (seconds, when not allowed) }
+     */
+    take(key, perMinute) {
+        if (!perMinute) return { allowed: true, limit: 0, remaining: null };
+
+        const now = this.now();
+        const bucket = this.buckets.get(key) || { tokens: perMinute, updatedAt: now };
+        bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.updatedAt) / 60000 * perMinute);
+        bucket.updatedAt = now;
+
+        if (!this.buckets.has(key) && this.buckets.size >= MAX_BUCKETS) {
+            this.pruneBuckets(now);
+        }
+        this.buckets.set(key, bucket);
+
+        if (bucket.tokens < 1) {
+            return {
+                allowed: false,
+                limit: perMinute,
+                remaining: 0,
+                retryAfter: Math.ceil((1 - bucket.tokens) / perMinute * 60)
+            };
+        }
+        bucket.tokens -= 1;
+        return { allowed: true, limit: perMinute, remaining: Math.floor(bucket.tokens) };
+    },
+
+    /**
+     * Drop buckets that have refilled completely (their clients have been idle)
+     * @param {number} now - Current time in milliseconds
+     */
+    pruneBuckets(now) {
+        const longestRefill = 60000;
+        this.buckets.forEach((bucket, key) => {
+            if (now - bucket.updatedAt >= longestRefill) this.buckets.delete(key);
+        });
+    },
+
+    /**
+     * Start new counters when the UTC day or month has changed
+     */
+    rollOver() {
+        const now = new Date(this.now()).toISOString();
+        const day = now.slice(0, 10);
+        const month = now.slice(0, 7);
+        if (!this.usage || !this.usage.total || !this.usage.users) {
+            this.usage = { day: day, month: month, total: { day: 0, month: 0 }, users: {} };
+        }
+
+        const newMonth = this.usage.month !== month;
+        if (this.usage.day !== day || newMonth) {
+            this.usage.day = day;
+            this.usage.month = month;
+            this.usage.total.day = 0;
+            if (newMonth) this.usage.total.month = 0;
+            Object.keys(this.usage.users).forEach(user => {
+                this.usage.users[user].day = 0;
+                if (newMonth) this.usage.users[user].month = 0;
+            });
+        }
+    },
+
+    /**
+     * Get the sending quotas and what is left of them
+     * @param {string} user - Username, or undefined when logins are off
+     * @returns {Object} { daily, monthly, userDaily, userMonthly } each { limit, used, remaining, resetsAt } or null
+     *   when unlimited, plus remaining: the smallest remaining count (null when nothing is limited)
+     */
+    getQuota(user) {
+        this.rollOver();
+        const quotas = this.settings.quotas;
+        const own = (user && this.usage.users[user]) || { day: 0, month: 0 };
+        const now = new Date(this.now());
+        const nextDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)).toISOString();
+        const nextMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString();
+        const quota = (limit, used, resetsAt) => limit
+            ? { limit: limit, used: used, remaining: Math.max(limit - used, 0), resetsAt: resetsAt }
+            : null;
+
+        const result = {
+            daily: quota(quotas.daily, this.usage.total.day, nextDay),
+            monthly: quota(quotas.monthly, this.usage.total.month, nextMonth),
+            userDaily: user ? quota(quotas.userDaily, own.day, nextDay) : null,
+            userMonthly: user ? quota(quotas.userMonthly, own.month, nextMonth) : null
+        };
+        const limited = Object.values(result).filter(Boolean);
+        result.remaining = limited.length > 0 ? Math.min(...limited.map(item => item.remaining)) : null;
+        return result;
+    },
+
+    /**
+     * Check whether emails fit in the quotas, without counting them
+     * @param {string} user - Username, or undefined when logins are off
+     * @param {number} count - Emails about to be sent
+     * @returns {Object} { remaining }, or { error, remaining, retryAfter (seconds) } when the emails do not fit
+     */
+    check(user, count) {
+        const quota = this.getQuota(user);
+        const exceeded = count > 0 &&
+            ['userDaily', 'daily', 'userMonthly', 'monthly'].find(name => quota[name] && quota[name].remaining < count);
+        if (!exceeded) return { remaining: quota.remaining };
+
+        const labels = { daily: 'the daily', monthly: 'the monthly', userDaily: 'your daily', userMonthly: 'your monthly' };
+        return {
+            error: `Sending ${count} email(s) would exceed ${labels[exceeded]} quota of ${quota[exceeded].limit} ` +
+                `(${quota[exceeded].remaining} left, resets ${quota[exceeded].resetsAt})`,
+            remaining: quota.remaining,
+            retryAfter: Math.ceil((new Date(quota[exceeded].resetsAt).getTime() - this.now()) / 1000)
+        };
+    },
+
+    /**
+     * Reserve emails against the quotas before sending them
+     * @param {string} user - Username, or undefined when logins are off
+     * @param {number} count - Emails about to be sent
+     * @returns {Object} { remaining } after the reservation, or the error from check() when the emails do not fit
+     */
+    reserve(user, count) {
+        const checked = this.check(user, count);
+        if (checked.error || count <= 0) return checked;
+
+        this.add(user, count);
+        return { remaining: checked.remaining === null ? null : checked.remaining - count };
+    },
+
+    /**
+     * Give back reserved emails that were not sent (failures, suppressed recipients)
+     * @param {string} user - Username the emails were reserved for
+     * @param {number} count - Emails to give back
+     */
+    release(user, count) {
+        if (count > 0) this.add(user, -count);
+    },
+
+    /**
+     * Change the counters of the current day and month
+     * @param {string} user - Username, or undefined when logins are off
+     * @param {number} count - Emails to add (negative to give back)
+     */
+    add(user, count) {
+        this.rollOver();
+        const clamp = value => Math.max(value, 0);
+        this.usage.total.day = clamp(this.usage.total.day + count);
+        this.usage.total.month = clamp(this.usage.total.month + count);
+        if (user) {
+            const own = this.usage.users[user] || (this.usage.users[user] = { day: 0, month: 0 });
+            own.day = clamp(own.day + count);
+            own.month = clamp(own.month + count);
+        }
+        if (this.onChange) this.onChange(this.usage);
+    }
+};
+
+module.exports = Limits;
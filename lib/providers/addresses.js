@@ -0,0 +1,92 @@
+// Addresses - Checks the CC, BCC and Reply-To addresses sent with the email API requests
+//
+// Only the basic format is checked here; the frontend checks them with EmailValidator before sending.
+// Shared by server.js and the Amplify Lambda; only use Node core modules.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_NAME_LENGTH = 200;
+
+const Addresses = {
+    /**
+     * Check an email address
+     * @param {string} email - Address
+     * @returns {boolean} True if the address looks valid
+     */
+    isValid(email) {
+        return typeof email === 'string' && EMAIL_PATTERN.test(email);
+    },
+
+    /**
+     * Clean up a recipient's display name (sent as the To name, e.g. "Jane Doe" <jane@example.com>)
+     * @param {*} value - toName as sent by the client
+     * @returns {string|undefined} Name on one line without control characters, or undefined when there is none
+     */
+    normalizeName(value) {
+        if (typeof value !== 'string') return undefined;
+        const name = value.replace(/[\u0000-\u001f\u007f\s]+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+        return name || undefined;
+    },
+
+    /**
+     * Turn an address list into an array
+     * @param {Array<string>|string} value - Array, or addresses separated by commas, semicolons or spaces
+     * @returns {Array<string>} Addresses
+     */
+    parseList(value) {
+        if (value === undefined || value === null || value === '') return [];
+        const list = Array.isArray(value) ? value : value.toString().split(/[\s,;]+/);
+        return list.map(email => (email || '').toString().trim()).filter(Boolean);
+    },
+
+    /**
+     * Validate the copy fields of a request or recipient
+     * @param {Object} fields - { cc?, bcc?, replyTo? } as sent by the client
+     * @returns {Object} { cc, bcc, replyTo } or { error }
+     */
+    normalize(fields) {
+        const cc = this.parseList(fields && fields.cc);
+        const bcc = this.parseList(fields && fields.bcc);
+        const replyTo = fields && typeof fields.replyTo === 'string' ? fields.replyTo.trim() : '';
+
+        if (fields && fields.replyTo !== undefined && fields.replyTo !== null && typeof fields.replyTo !== 'string') {
+            return { error: 'replyTo must be a single email address' };
+        }
+
+        const invalid = [...cc, ...bcc, ...(replyTo ? [replyTo] : [])].filter(email => !this.isValid(email));
+        if (invalid.length > 0) {
+            return { error: `Invalid email address: ${invalid.join(', ')}` };
+        }
+
+        return { cc: cc, bcc: bcc, replyTo: replyTo || undefined };
+    },
+
+    /**
+     * Combine shared and per-recipient copy fields for one email.
+     * CC and BCC lists are merged; the recipient's Reply-To replaces the shared one.
+     * Addresses already on the email (To, then CC) are dropped, as providers reject duplicates.
+     * @param {string} toEmail - Recipient
+     * @param {Object} shared - Normalized { cc, bcc, replyTo } for every recipient
+     * @param {Object} own - Normalized { cc, bcc, replyTo } for this recipient
+     * @returns {Object} { cc, bcc, replyTo }, each left out when empty
+     */
+    combine(toEmail, shared, own) {
+        const seen = new Set([toEmail.toLowerCase()]);
+        const unique = list => list.filter(email => {
+            const key = email.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+        const copies = {};
+        const cc = unique([...(shared.cc || []), ...(own.cc || [])]);
+        const bcc = unique([...(shared.bcc || []), ...(own.bcc || [])]);
+        const replyTo = own.replyTo || shared.replyTo;
+        if (cc.length > 0) copies.cc = cc;
+        if (bcc.length > 0) copies.bcc = bcc;
+        if (replyTo) copies.replyTo = replyTo;
+        return copies;
+    }
+};
+
+module.exports = Addresses;
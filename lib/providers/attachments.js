@@ -0,0 +1,96 @@
+// Attachments - Checks the attachments sent with /api/send-email, /api/send-bulk and /api/campaigns
+//
+// Attachments arrive as { filename, content } with base64 content. The content type is taken
+// from the file extension, so only the types listed here can be sent.
+// Shared by server.js and the Amplify Lambda; only use Node core modules.
+
+// Allowed extensions and their content types (keep in sync with Config.attachments in the frontend)
+const TYPES = {
+    pdf: 'application/pdf',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xls: 'application/vnd.ms-excel',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ppt: 'application/vnd.ms-powerpoint',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    csv: 'text/csv',
+    txt: 'text/plain',
+    ics: 'text/calendar',
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif'
+};
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+const Attachments = {
+    types: TYPES,
+
+    /**
+     * Validate a list of attachments and fill in their content types
+     * @param {Array<Object>} list - { filename, content } with base64 content (may be undefined)
+     * @returns {Object} { attachments: [{ filename, content, type }] } or { error }
+     */
+    normalize(list) {
+        if (list === undefined || list === null) {
+            return { attachments: [] };
+        }
+        if (!Array.isArray(list)) {
+            return { error: 'attachments must be an array' };
+        }
+
+        const attachments = [];
+        for (const item of list) {
+            // Keep the base name only; some browsers send a full path
+            const filename = item && typeof item.filename === 'string'
+                ? item.filename.split(/[\\/]/).pop().replace(/[\r\n"]/g, '').trim()
+                : '';
+            if (!filename) {
+                return { error: 'Every attachment needs a filename' };
+            }
+
+            const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+            if (!TYPES[extension]) {
+                return { error: `${filename}: file type not allowed (allowed: ${Object.keys(TYPES).join(', ')})` };
+            }
+
+            const content = typeof item.content === 'string' ? item.content.replace(/\s/g, '') : '';
+            if (!BASE64_PATTERN.test(content)) {
+                return { error: `${filename}: content must be base64 encoded and not empty` };
+            }
+
+            attachments.push({ filename: filename, content: content, type: TYPES[extension] });
+        }
+        return { attachments: attachments };
+    },
+
+    /**
+     * Decoded size of a list of attachments
+     * @param {Array<Object>} attachments - Normalized attachments
+     * @returns {number} Size in bytes
+     */
+    size(attachments) {
+        return attachments.reduce((total, attachment) => {
+            const padding = attachment.content.endsWith('==') ? 2 : (attachment.content.endsWith('=') ? 1 : 0);
+            return total + attachment.content.length * 3 / 4 - padding;
+        }, 0);
+    },
+
+    /**
+     * Check the total size of the attachments of one email
+     * @param {Array<Object>} attachments - Normalized attachments
+     * @param {number} maxBytes - Largest total size allowed
+     * @returns {string|null} Error message, or null if the attachments fit
+     */
+    checkSize(attachments, maxBytes) {
+        const size = this.size(attachments);
+        if (size > maxBytes) {
+            const mb = bytes => `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`;
+            return `Attachments are ${mb(size)}; the limit is ${mb(maxBytes)} per email`;
+        }
+        return null;
+    }
+};
+
+module.exports = Attachments;
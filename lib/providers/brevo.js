@@ -0,0 +1,147 @@
+// Brevo Adapter - Transactional email API (formerly Sendinblue)
+//
+// Messages are batched as messageVersions, which can carry their own subject, body and headers
+// (e.g. each recipient's List-Unsubscribe).
+// Attachments are shared by a whole batch, so only messages with the same attachments are batched.
+// In sandbox mode the X-Sib-Sandbox header makes Brevo accept messages without delivering them.
+
+const ProviderHelpers = require('./helpers');
+
+const Brevo = {
+    name: 'brevo',
+    defaultApiUrl: 'https://api.brevo.com/v3/smtp/email',
+    batchLimit: 1000,
+    supportsSandbox: true,
+
+    /**
+     * List the settings missing from a configuration
+     * @param {Object} config - Provider configuration
+     * @returns {Array<string>} Missing environment variables
+     */
+    checkConfig(config) {
+        return config.apiKey ? [] : ['EMAIL_API_KEY'];
+    },
+
+    /**
+     * Build the HTTP requests for a list of messages
+     * @param {Array<Object>} messages - { toEmail, toName?, subject, body, headers?, substitutions?, attachments?, cc?, bcc?, replyTo? }
+     * @param {Object} config - Provider configuration
+     * @returns {Array<Object>} { messages, url, method, headers, body }
+     */
+    buildRequests(messages, config) {
+        const sender = {
+            email: config.fromEmail,
+            name: config.fromName
+        };
+        const sandboxHeaders = config.sandbox ? { 'X-Sib-Sandbox': 'drop' } : undefined;
+
+        // A lone message is sent as a plain email rather than a batch of one
+        const single = messages.length === 1 ? messages : [];
+        const batched = messages.length === 1 ? [] : messages;
+
+        const requests = single.map(message => {
+            const { subject, body } = ProviderHelpers.render(message);
+            return this.buildRequest([message], config, {
+                sender: sender,
+                to: [ProviderHelpers.toRecipient(message)],
+                ...this.buildCopies(message),
+                subject: subject,
+                htmlContent: body,
+                headers: sandboxHeaders || message.headers ? { ...message.headers, ...sandboxHeaders } : undefined,
+                attachment: this.buildAttachments(message)
+            });
+        });
+
+        ProviderHelpers.groupBy(batched, message => ProviderHelpers.attachmentKey(message)).forEach(group => {
+            ProviderHelpers.chunk(group, this.batchLimit).forEach(batch => {
+                const shared = ProviderHelpers.render(batch[0]);
+                requests.push(this.buildRequest(batch, config, {
+                    sender: sender,
+                    subject: shared.subject,
+                    htmlContent: shared.body,
+                    headers: sandboxHeaders,
+                    attachment: this.buildAttachments(batch[0]),
+                    messageVersions: batch.map(message => {
+                        const { subject, body } = ProviderHelpers.render(message);
+                        const version = { to: [ProviderHelpers.toRecipient(message)], ...this.buildCopies(message) };
+                        if (subject !== shared.subject) version.subject = subject;
+                        if (body !== shared.body) version.htmlContent = body;
+                        if (message.headers) version.headers = message.headers;
+                        return version;
+                    })
+                }));
+            });
+        });
+
+        return requests;
+    },
+
+    /**
+     * Brevo cc, bcc and replyTo fields for a message (allowed on the email and on each messageVersion)
+     * @param {Object} message - Message
+     * @returns {Object} Fields that are set
+     */
+    buildCopies(message) {
+        const copies = {};
+        if (message.cc) copies.cc = message.cc.map(email => ({ email }));
+        if (message.bcc) copies.bcc = message.bcc.map(email => ({ email }));
+        if (message.replyTo) copies.replyTo = { email: message.replyTo };
+        return copies;
+    },
+
+    /**
+     * Brevo attachment list for a message
+     * @param {Object} message - Message
+     * @returns {Array<Object>|undefined} { name, content } per attachment, or undefined without attachments
+     */
+    buildAttachments(message) {
+        if (!message.attachments || message.attachments.length === 0) return undefined;
+        return message.attachments.map(attachment => ({ name: attachment.filename, content: attachment.content }));
+    },
+
+    /**
+     * Wrap a Brevo payload in an HTTP request
+     * @param {Array<Object>} messages - Messages covered by the request
+     * @param {Object} config - Provider configuration
+     * @param {Object} emailData - Brevo payload
+     * @returns {Object} Request
+     */
+    buildRequest(messages, config, emailData) {
+        return {
+            messages: messages,
+            url: config.apiUrl || this.defaultApiUrl,
+            method: 'POST',
+            headers: {
+                'api-key': config.apiKey,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(emailData)
+        };
+    },
+
+    /**
+     * Read the message IDs from a successful response
+     * @param {Object} response - { status, headers, body }
+     * @param {Object} request - Request built by buildRequests
+     * @returns {Array<Object>} { messageId } per message
+     */
+    parseSuccess(response, request) {
+        // Batches return messageIds in messageVersions order; single sends return messageId
+        const data = ProviderHelpers.parseJson(response);
+        return request.messages.map((message, index) => ({
+            messageId: data.messageIds?.[index] || data.messageId
+        }));
+    },
+
+    /**
+     * Map a failed response to a result error
+     * @param {Object} response - { status, statusText, headers, body }
+     * @returns {Object} { errorMessage, errorCode }
+     */
+    parseError(response) {
+        const data = ProviderHelpers.parseJson(response);
+        return ProviderHelpers.httpError(response, data.message || data.error);
+    }
+};
+
+module.exports = Brevo;
@@ -0,0 +1,180 @@
+// Provider Helpers - Small utilities shared by the provider adapters
+//
+// Must only use Node core modules: this folder is copied into the Amplify Lambda as well.
+
+const crypto = require('crypto');
+
+// Content hashes of attachments, so shared attachments are only hashed once
+const attachmentHashes = new WeakMap();
+
+const ProviderHelpers = {
+    /**
+     * Split a list into chunks of at most `size` items
+     * @param {Array} list - Items
+     * @param {number} size - Maximum chunk size
+     * @returns {Array<Array>} Chunks
+     */
+    chunk(list, size) {
+        const chunks = [];
+        for (let i = 0; i < list.length; i += size) {
+            chunks.push(list.slice(i, i + size));
+        }
+        return chunks;
+    },
+
+    /**
+     * Group items by a key, keeping the order in which keys first appear
+     * @param {Array} list - Items
+     * @param {Function} getKey - Returns the group key for an item
+     * @returns {Array<Array>} Groups
+     */
+    groupBy(list, getKey) {
+        const groups = new Map();
+        list.forEach(item => {
+            const key = getKey(item);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(item);
+        });
+        return [...groups.values()];
+    },
+
+    /**
+     * Replace every substitution key in a template with its value
+     * @param {string} template - Subject or body
+     * @param {Object} substitutions - { literal text: replacement }
+     * @returns {string} Filled template
+     */
+    fill(template, substitutions) {
+        if (!substitutions) return template;
+        return Object.keys(substitutions).reduce(
+            (text, key) => text.split(key).join(substitutions[key]), template);
+    },
+
+    /**
+     * Subject and body of a message with its substitutions filled in
+     * @param {Object} message - { subject, body, substitutions? }
+     * @returns {Object} { subject, body }
+     */
+    render(message) {
+        return {
+            subject: this.fill(message.subject, message.substitutions),
+            body: this.fill(message.body, message.substitutions)
+        };
+    },
+
+    /**
+     * Key that is equal for messages with the same attachments, for grouping messages into one request
+     * @param {Object} message - { attachments? }
+     * @returns {string} Key ('' without attachments)
+     */
+    attachmentKey(message) {
+        return (message.attachments || []).map(attachment => {
+            if (!attachmentHashes.has(attachment)) {
+                attachmentHashes.set(attachment, crypto.createHash('sha1').update(attachment.content).digest('hex'));
+            }
+            return `${attachment.filename}:${attachmentHashes.get(attachment)}`;
+        }).join('|');
+    },
+
+    /**
+     * Format a sender or recipient as "Name" <email>
+     * @param {string} email - Email address
+     * @param {string} name - Display name (optional)
+     * @returns {string} Formatted address
+     */
+    formatAddress(email, name) {
+        if (!name) return email;
+        return `"${name.replace(/["\\]/g, '\\$&')}" <${email}>`;
+    },
+
+    /**
+     * Recipient of a message for the JSON APIs that take { email, name }
+     * @param {Object} message - { toEmail, toName? }
+     * @returns {Object} { email, name? }
+     */
+    toRecipient(message) {
+        return message.toName ? { email: message.toEmail, name: message.toName } : { email: message.toEmail };
+    },
+
+    /**
+     * Parse a JSON response body, returning an empty object if it is not JSON
+     * @param {Object} response - { body }
+     * @returns {Object|Array} Parsed body
+     */
+    parseJson(response) {
+        try {
+            return JSON.parse(response.body || '{}') || {};
+        } catch (error) {
+            return {};
+        }
+    },
+
+    /**
+     * Error for a failed HTTP response
+     * @param {Object} response - { status, statusText }
+     * @param {string} message - Message reported by the provider, if any
+     * @returns {Object} { errorMessage, errorCode }
+     */
+    httpError(response, message) {
+        return {
+            errorMessage: message || `HTTP ${response.status}${response.statusText ? `: ${response.statusText}` : ''}`,
+            errorCode: response.status.toString()
+        };
+    },
+
+    /**
+     * Read the retry settings for temporary provider failures from environment variables
+     * @param {Object} env - process.env
+     * @returns {Object} { maxAttempts, baseDelayMs, maxDelayMs }
+     */
+    retrySettings(env) {
+        return {
+            maxAttempts: Math.max(1, parseInt(env.EMAIL_RETRY_MAX_ATTEMPTS, 10) || 4),
+            baseDelayMs: parseInt(env.EMAIL_RETRY_BASE_DELAY_MS, 10) || 1000,
+            maxDelayMs: parseInt(env.EMAIL_RETRY_MAX_DELAY_MS, 10) || 30000
+        };
+    },
+
+    /**
+     * How long to wait before sending a provider request again. Only 429 rate limits and 5xx errors are
+     * retried; Retry-After is respected, and a provider asking for a longer wait than allowed is not retried.
+     * @param {number} status - HTTP status of the response
+     * @param {string} retryAfterHeader - Retry-After header of the response (may be undefined)
+     * @param {number} attempt - Attempts made so far (1 after the first request)
+     * @param {Object} settings - From retrySettings()
+     * @returns {number|null} Delay in milliseconds, or null when the response is final
+     */
+    retryDelay(status, retryAfterHeader, attempt, settings) {
+        if ((status !== 429 && status < 500) || attempt >= settings.maxAttempts) return null;
+
+        const retryAfter = this.parseRetryAfter(retryAfterHeader);
+        if (retryAfter === null) return this.backoffDelay(attempt, settings);
+        return retryAfter > settings.maxDelayMs ? null : retryAfter;
+    },
+
+    /**
+     * Parse a Retry-After header (seconds or HTTP date)
+     * @param {string} value - Header value
+     * @returns {number|null} Milliseconds to wait, or null without a usable header
+     */
+    parseRetryAfter(value) {
+        if (!value) return null;
+        const seconds = Number(value);
+        if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    },
+
+    /**
+     * Exponential backoff with jitter: 50-100% of base * 2^(attempt - 1), capped at the max delay
+     * @param {number} attempt - Attempts made so far
+     * @param {Object} settings - From retrySettings()
+     * @returns {number} Delay in milliseconds
+     */
+    backoffDelay(attempt, settings) {
+        const delay = Math.min(settings.maxDelayMs, settings.baseDelayMs * Math.pow(2, attempt - 1));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+};
+
+module.exports = ProviderHelpers;
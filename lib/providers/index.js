@@ -0,0 +1,247 @@
+// Email Providers - Adapter registry and the send loop shared by server.js and the Amplify Lambda
+//
+// An adapter turns messages into HTTP requests and maps the provider's responses back:
+//   checkConfig(config)              -> names of missing settings
+//   buildRequests(messages, config)  -> [{ messages, url, method, headers, body }]
+//   parseSuccess(response, request)  -> [{ messageId } | { error }] per message
+//   parseError(response)             -> { errorMessage, errorCode }
+// Adapters with `supportsSandbox` accept config.sandbox: the provider validates but does not deliver.
+// Sending is done by a transport supplied by the caller, so the server and the Lambda keep
+// their own HTTP client and retry logic:
+//   transport(request)               -> { status, statusText, headers, body, attempts }
+//
+// lib/ is copied into the Lambda by `npm run amplify:sendEmail`; only use Node core modules.
+
+const SendGrid = require('./sendgrid');
+const Brevo = require('./brevo');
+const Mailgun = require('./mailgun');
+const Postmark = require('./postmark');
+const Ses = require('./ses');
+
+const Providers = {
+    adapters: {
+        sendgrid: SendGrid,
+        brevo: Brevo,
+        mailgun: Mailgun,
+        postmark: Postmark,
+        ses: Ses
+    },
+
+    /**
+     * Get an adapter by provider name
+     * @param {string} name - Provider name, e.g. 'sendgrid'
+     * @returns {Object} Adapter
+     */
+    getAdapter(name) {
+        const adapter = this.adapters[name];
+        if (!adapter) {
+            throw new Error(`Unknown EMAIL_PROVIDER "${name}". Use one of: ${Object.keys(this.adapters).join(', ')}`);
+        }
+        return adapter;
+    },
+
+    /**
+     * Read the provider configuration from environment variables
+     * @param {Object} env - Environment (process.env)
+     * @returns {Object} Configuration; `detected` is true if EMAIL_PROVIDER was not set
+     */
+    fromEnv(env) {
+        const apiKey = env.EMAIL_API_KEY || env.SENDGRID_API_KEY || env.BREVO_API_KEY;
+
+        // Before EMAIL_PROVIDER existed the provider was guessed from the API key
+        let provider = (env.EMAIL_PROVIDER || '').trim().toLowerCase();
+        const detected = !provider;
+        if (detected) {
+            provider = (apiKey && apiKey.startsWith('xkeysib-')) ? 'brevo' : 'sendgrid';
+        }
+
+        const config = {
+            provider: provider,
+            detected: detected,
+            apiKey: apiKey,
+            apiUrl: env.EMAIL_API_URL || (provider === 'sendgrid' ? env.SENDGRID_API_URL : undefined),
+            domain: env.MAILGUN_DOMAIN,
+            messageStream: env.POSTMARK_MESSAGE_STREAM,
+            region: env.SES_REGION || env.AWS_REGION
+        };
+
+        // SES credentials fall back to the standard AWS variables (set automatically in Lambda)
+        if (env.SES_ACCESS_KEY_ID) {
+            config.accessKeyId = env.SES_ACCESS_KEY_ID;
+            config.secretAccessKey = env.SES_SECRET_ACCESS_KEY;
+            config.sessionToken = env.SES_SESSION_TOKEN;
+        } else {
+            config.accessKeyId = env.AWS_ACCESS_KEY_ID;
+            config.secretAccessKey = env.AWS_SECRET_ACCESS_KEY;
+            config.sessionToken = env.AWS_SESSION_TOKEN;
+        }
+
+        return config;
+    },
+
+    /**
+     * Check a configuration
+     * @param {Object} config - Provider configuration
+     * @returns {string|null} Error message, or null if the configuration is usable
+     */
+    validate(config) {
+        let adapter;
+        try {
+            adapter = this.getAdapter(config.provider);
+        } catch (error) {
+            return error.message;
+        }
+
+        const missing = adapter.checkConfig(config);
+        if (missing.length > 0) {
+            return `${adapter.name} needs ${missing.join(', ')} to be set`;
+        }
+        return null;
+    },
+
+    /**
+     * Check whether a provider can validate messages without delivering them
+     * @param {string} name - Provider name
+     * @returns {boolean} True if the adapter supports config.sandbox
+     */
+    supportsSandbox(name) {
+        return Boolean(this.adapters[name] && this.adapters[name].supportsSandbox);
+    },
+
+    /**
+     * Send messages and return one result per message, in the same order
+     * @param {Object} config - Provider configuration (including fromEmail and fromName)
+     * @param {Array<Object>} messages - { toEmail, toName?, subject, body, headers?, substitutions?, attachments? }
+     *   headers: extra email headers for this recipient
+     *   substitutions: { literal text: replacement } applied to this recipient's subject and body
+     *   attachments: [{ filename, content (base64), type }] for this recipient, see attachments.js
+     *   cc, bcc: address arrays and replyTo: one address, see addresses.js
+     * @param {Function} transport - Sends one request, see the top of this file
+     * @returns {Promise<Array<Object>>} Results in the same shape as /api/send-email
+     */
+    async send(config, messages, transport) {
+        const adapter = this.getAdapter(config.provider);
+        const positions = new Map(messages.map((message, index) => [message, index]));
+        const results = new Array(messages.length);
+
+        const { requests, failed } = this.buildRequests(adapter, messages, config);
+        failed.forEach(({ message, error }) => {
+            results[positions.get(message)] = this.buildResult(adapter, message, { error: this.serverError(error) });
+        });
+
+        // Requests run one after another to stay inside provider rate limits
+        for (const request of requests) {
+            const outcomes = await this.sendRequest(adapter, request, transport);
+            request.messages.forEach((message, index) => {
+                results[positions.get(message)] = this.buildResult(adapter, message, outcomes[index]);
+            });
+        }
+        return results;
+    },
+
+    /**
+     * Build the requests for a list of messages. A message the adapter cannot build (e.g. a bad
+     * attachment) fails on its own instead of failing every message it would be batched with.
+     * @param {Object} adapter - Adapter
+     * @param {Array<Object>} messages - Messages, see send()
+     * @param {Object} config - Provider configuration
+     * @returns {Object} { requests, failed: [{ message, error }] }
+     */
+    buildRequests(adapter, messages, config) {
+        try {
+            return { requests: adapter.buildRequests(messages, config), failed: [] };
+        } catch (error) {
+            console.error(`Error building ${adapter.name} requests:`, error);
+        }
+
+        // Find the messages that fail by building each one alone, then batch the rest again
+        const failed = [];
+        const buildable = messages.filter(message => {
+            try {
+                adapter.buildRequests([message], config);
+                return true;
+            } catch (error) {
+                failed.push({ message, error });
+                return false;
+            }
+        });
+        if (buildable.length === 0) {
+            return { requests: [], failed };
+        }
+
+        try {
+            return { requests: adapter.buildRequests(buildable, config), failed };
+        } catch (error) {
+            // Only fails as a batch: send the messages one by one
+            return { requests: buildable.flatMap(message => adapter.buildRequests([message], config)), failed };
+        }
+    },
+
+    /**
+     * Send one request and return an outcome per message
+     * @param {Object} adapter - Adapter
+     * @param {Object} request - Request built by the adapter
+     * @param {Function} transport - Sends the request
+     * @returns {Promise<Array<Object>>} { messageId?, error?, attempts? } per message
+     */
+    async sendRequest(adapter, request, transport) {
+        try {
+            const response = await transport(request);
+
+            if (response.status >= 200 && response.status < 300) {
+                return adapter.parseSuccess(response, request)
+                    .map(outcome => ({ ...outcome, attempts: response.attempts }));
+            }
+
+            const error = adapter.parseError(response);
+            return request.messages.map(() => ({ error: error, attempts: response.attempts }));
+        } catch (error) {
+            console.error(`Error sending email via ${adapter.name}:`, error);
+            return request.messages.map(() => ({ error: this.serverError(error) }));
+        }
+    },
+
+    /**
+     * Result error for a failure on our side (building or sending the request)
+     * @param {Error} error - Error thrown
+     * @returns {Object} { errorMessage, errorCode: 'SERVER_ERROR' }
+     */
+    serverError(error) {
+        return {
+            errorMessage: error.message || 'Internal server error',
+            errorCode: 'SERVER_ERROR'
+        };
+    },
+
+    /**
+     * Turn an outcome into a result
+     * @param {Object} adapter - Adapter
+     * @param {Object} message - Message
+     * @param {Object} outcome - { messageId?, error?, attempts? }
+     * @returns {Object} Success or failure result
+     */
+    buildResult(adapter, message, outcome) {
+        if (outcome.error) {
+            return {
+                success: false,
+                email: message.toEmail,
+                subject: message.subject,
+                attemptedAt: new Date().toISOString(),
+                errorMessage: outcome.error.errorMessage,
+                errorCode: outcome.error.errorCode,
+                attempts: outcome.attempts
+            };
+        }
+
+        return {
+            success: true,
+            email: message.toEmail,
+            subject: message.subject,
+            sentAt: new Date().toISOString(),
+            messageId: outcome.messageId || `${adapter.name}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            attempts: outcome.attempts
+        };
+    }
+};
+
+module.exports = Providers;
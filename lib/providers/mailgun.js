@@ -0,0 +1,194 @@
+// Mailgun Adapter - Messages API
+//
+// Messages with the same body are sent as one batch with recipient-variables, so each
+// recipient gets their own copy. Substitutions and differing subjects become %recipient.*% variables.
+// Custom headers, CC and BCC are shared by a whole batch, so a message with any of them is sent on its own.
+// Reply-To is a header too; only messages with the same Reply-To are batched.
+// Attachments need a multipart/form-data request; only messages with the same attachments are batched.
+
+const crypto = require('crypto');
+const ProviderHelpers = require('./helpers');
+
+const Mailgun = {
+    name: 'mailgun',
+    batchLimit: 1000,
+    supportsSandbox: true,
+
+    /**
+     * List the settings missing from a configuration
+     * @param {Object} config - Provider configuration
+     * @returns {Array<string>} Missing environment variables
+     */
+    checkConfig(config) {
+        const missing = [];
+        if (!config.apiKey) missing.push('EMAIL_API_KEY');
+        if (!config.domain && !config.apiUrl) missing.push('MAILGUN_DOMAIN');
+        return missing;
+    },
+
+    /**
+     * Build the HTTP requests for a list of messages
+     * @param {Array<Object>} messages - { toEmail, toName?, subject, body, headers?, substitutions?, attachments?, cc?, bcc?, replyTo? }
+     * @param {Object} config - Provider configuration
+     * @returns {Array<Object>} { messages, url, method, headers, body }
+     */
+    buildRequests(messages, config) {
+        const requests = [];
+
+        const alone = message => message.headers || message.cc || message.bcc;
+
+        messages.filter(alone).forEach(message => {
+            const { subject, body } = ProviderHelpers.render(message);
+            const form = this.buildForm(config, subject, body, message.replyTo);
+            form.append('to', ProviderHelpers.formatAddress(message.toEmail, message.toName));
+            (message.cc || []).forEach(email => form.append('cc', email));
+            (message.bcc || []).forEach(email => form.append('bcc', email));
+            Object.keys(message.headers || {}).forEach(name => form.append(`h:${name}`, message.headers[name]));
+            requests.push(this.buildRequest([message], config, form));
+        });
+
+        const batched = messages.filter(message => !alone(message));
+        const groupKey = message => `${message.body}\u0000${ProviderHelpers.attachmentKey(message)}\u0000${message.replyTo || ''}`;
+        ProviderHelpers.groupBy(batched, groupKey).forEach(group => {
+            ProviderHelpers.chunk(group, this.batchLimit).forEach(batch => {
+                // Name each substitution key v0, v1, ... and point the templates at it
+                const keys = [];
+                batch.forEach(message => {
+                    Object.keys(message.substitutions || {}).forEach(key => {
+                        if (!keys.includes(key)) keys.push(key);
+                    });
+                });
+                const variables = {};
+                keys.forEach((key, index) => {
+                    variables[key] = `%recipient.v${index}%`;
+                });
+
+                const sharedSubject = batch.every(message => message.subject === batch[0].subject);
+                const form = this.buildForm(config,
+                    sharedSubject ? ProviderHelpers.fill(batch[0].subject, variables) : '%recipient.subject%',
+                    ProviderHelpers.fill(batch[0].body, variables),
+                    batch[0].replyTo);
+
+                const recipientVariables = {};
+                batch.forEach(message => {
+                    form.append('to', ProviderHelpers.formatAddress(message.toEmail, message.toName));
+                    const values = {};
+                    keys.forEach((key, index) => {
+                        values[`v${index}`] = (message.substitutions || {})[key] || '';
+                    });
+                    if (!sharedSubject) {
+                        values.subject = ProviderHelpers.fill(message.subject, message.substitutions);
+                    }
+                    recipientVariables[message.toEmail] = values;
+                });
+                // Without recipient-variables every recipient would see the whole To list
+                form.append('recipient-variables', JSON.stringify(recipientVariables));
+
+                requests.push(this.buildRequest(batch, config, form));
+            });
+        });
+
+        return requests;
+    },
+
+    /**
+     * Start a form with the fields every Mailgun message needs
+     * @param {Object} config - Provider configuration
+     * @param {string} subject - Subject
+     * @param {string} body - HTML body
+     * @param {string} replyTo - Reply-To address (optional)
+     * @returns {URLSearchParams} Form
+     */
+    buildForm(config, subject, body, replyTo) {
+        const form = new URLSearchParams();
+        form.append('from', ProviderHelpers.formatAddress(config.fromEmail, config.fromName));
+        form.append('subject', subject);
+        form.append('html', body);
+        if (replyTo) {
+            form.append('h:Reply-To', replyTo);
+        }
+        // Test mode accepts the message without delivering it
+        if (config.sandbox) {
+            form.append('o:testmode', 'yes');
+        }
+        return form;
+    },
+
+    /**
+     * Wrap a Mailgun form in an HTTP request
+     * @param {Array<Object>} messages - Messages covered by the request
+     * @param {Object} config - Provider configuration
+     * @param {URLSearchParams} form - Message fields
+     * @returns {Object} Request
+     */
+    buildRequest(messages, config, form) {
+        // All messages of a request have the same attachments
+        const attachments = messages[0].attachments || [];
+        const encoded = attachments.length > 0
+            ? this.buildMultipart(form, attachments)
+            : { body: form.toString(), contentType: 'application/x-www-form-urlencoded' };
+
+        return {
+            messages: messages,
+            url: config.apiUrl || `https://api.mailgun.net/v3/${config.domain}/messages`,
+            method: 'POST',
+            headers: {
+                'Authorization': `Basic ${Buffer.from(`api:${config.apiKey}`).toString('base64')}`,
+                'Content-Type': encoded.contentType
+            },
+            body: encoded.body
+        };
+    },
+
+    /**
+     * Encode form fields and attachments as multipart/form-data
+     * @param {URLSearchParams} form - Message fields
+     * @param {Array<Object>} attachments - { filename, content (base64), type }
+     * @returns {Object} { body (Buffer), contentType }
+     */
+    buildMultipart(form, attachments) {
+        const boundary = `----mailmerge${crypto.randomBytes(12).toString('hex')}`;
+        const parts = [];
+        form.forEach((value, name) => {
+            parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`));
+        });
+        attachments.forEach(attachment => {
+            parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="attachment"; filename="${attachment.filename}"\r\n` +
+                `Content-Type: ${attachment.type}\r\n\r\n`));
+            parts.push(Buffer.from(attachment.content, 'base64'));
+            parts.push(Buffer.from('\r\n'));
+        });
+        parts.push(Buffer.from(`--${boundary}--\r\n`));
+
+        return {
+            body: Buffer.concat(parts),
+            contentType: `multipart/form-data; boundary=${boundary}`
+        };
+    },
+
+    /**
+     * Read the message IDs from a successful response
+     * @param {Object} response - { status, headers, body }
+     * @param {Object} request - Request built by buildRequests
+     * @returns {Array<Object>} { messageId } per message
+     */
+    parseSuccess(response, request) {
+        // One id covers the whole batch
+        const data = ProviderHelpers.parseJson(response);
+        return request.messages.map(() => ({ messageId: data.id }));
+    },
+
+    /**
+     * Map a failed response to a result error
+     * @param {Object} response - { status, statusText, headers, body }
+     * @returns {Object} { errorMessage, errorCode }
+     */
+    parseError(response) {
+        // Some Mailgun errors (e.g. 401) are plain text rather than JSON
+        const data = ProviderHelpers.parseJson(response);
+        const text = !data.message && response.body && response.body.length < 200 ? response.body.trim() : null;
+        return ProviderHelpers.httpError(response, data.message || text);
+    }
+};
+
+module.exports = Mailgun;
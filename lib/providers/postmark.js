@@ -0,0 +1,99 @@
+// Postmark Adapter - Batch email API
+//
+// Every message in a batch is complete (own subject, body and headers) and Postmark
+// reports success or failure for each one separately.
+
+const ProviderHelpers = require('./helpers');
+
+const Postmark = {
+    name: 'postmark',
+    defaultApiUrl: 'https://api.postmarkapp.com/email/batch',
+    batchLimit: 500,
+
+    /**
+     * List the settings missing from a configuration
+     * @param {Object} config - Provider configuration
+     * @returns {Array<string>} Missing environment variables
+     */
+    checkConfig(config) {
+        return config.apiKey ? [] : ['EMAIL_API_KEY'];
+    },
+
+    /**
+     * Build the HTTP requests for a list of messages
+     * @param {Array<Object>} messages - { toEmail, toName?, subject, body, headers?, substitutions?, attachments?, cc?, bcc?, replyTo? }
+     * @param {Object} config - Provider configuration
+     * @returns {Array<Object>} { messages, url, method, headers, body }
+     */
+    buildRequests(messages, config) {
+        const from = ProviderHelpers.formatAddress(config.fromEmail, config.fromName);
+
+        return ProviderHelpers.chunk(messages, this.batchLimit).map(batch => ({
+            messages: batch,
+            url: config.apiUrl || this.defaultApiUrl,
+            method: 'POST',
+            headers: {
+                'X-Postmark-Server-Token': config.apiKey,
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(batch.map(message => {
+                const { subject, body } = ProviderHelpers.render(message);
+                const email = {
+                    From: from,
+                    To: ProviderHelpers.formatAddress(message.toEmail, message.toName),
+                    Subject: subject,
+                    HtmlBody: body
+                };
+                if (message.cc) email.Cc = message.cc.join(', ');
+                if (message.bcc) email.Bcc = message.bcc.join(', ');
+                if (message.replyTo) email.ReplyTo = message.replyTo;
+                if (message.headers) {
+                    email.Headers = Object.keys(message.headers).map(name => ({ Name: name, Value: message.headers[name] }));
+                }
+                if (message.attachments && message.attachments.length > 0) {
+                    email.Attachments = message.attachments.map(attachment => ({
+                        Name: attachment.filename,
+                        Content: attachment.content,
+                        ContentType: attachment.type
+                    }));
+                }
+                if (config.messageStream) email.MessageStream = config.messageStream;
+                return email;
+            }))
+        }));
+    },
+
+    /**
+     * Read the per-message outcome from a successful response
+     * @param {Object} response - { status, headers, body }
+     * @param {Object} request - Request built by buildRequests
+     * @returns {Array<Object>} { messageId } or { error } per message
+     */
+    parseSuccess(response, request) {
+        const data = ProviderHelpers.parseJson(response);
+        return request.messages.map((message, index) => {
+            const item = Array.isArray(data) ? data[index] : null;
+            if (!item) {
+                return { error: { errorMessage: 'No result returned by Postmark', errorCode: 'PROVIDER_ERROR' } };
+            }
+            // Postmark answers 422 when the same message is rejected on its own
+            if (item.ErrorCode !== 0) {
+                return { error: { errorMessage: `${item.Message} (Postmark error ${item.ErrorCode})`, errorCode: '422' } };
+            }
+            return { messageId: item.MessageID };
+        });
+    },
+
+    /**
+     * Map a failed response to a result error
+     * @param {Object} response - { status, statusText, headers, body }
+     * @returns {Object} { errorMessage, errorCode }
+     */
+    parseError(response) {
+        const data = ProviderHelpers.parseJson(response);
+        return ProviderHelpers.httpError(response, data.Message);
+    }
+};
+
+module.exports = Postmark;
@@ -0,0 +1,59 @@
+// Senders - The verified sender identities a request may send from
+//
+// SENDERS lists the allowed identities, separated by semicolons or new lines, each written as
+// `email` or `Name <email>`. The default sender (FROM_EMAIL/FROM_NAME) is always allowed and is
+// used when a request has no `from`. Every identity must be verified with the email provider.
+// Shared by server.js and the Amplify Lambda; only use Node core modules.
+
+const Addresses = require('./addresses');
+
+const Senders = {
+    /**
+     * Parse the SENDERS allowlist
+     * @param {string} value - SENDERS environment variable (may be undefined)
+     * @param {Object} defaultSender - { email, name } from FROM_EMAIL/FROM_NAME
+     * @returns {Object} { senders: [{ email, name }] } with the default first, or { error }
+     */
+    parse(value, defaultSender) {
+        const senders = [defaultSender];
+        const entries = (value || '').split(/[;\n]/).map(entry => entry.trim()).filter(Boolean);
+
+        for (const entry of entries) {
+            const match = entry.match(/^(.*)<([^<>]+)>$/);
+            const email = (match ? match[2] : entry).trim();
+            const name = match ? match[1].trim().replace(/^"(.*)"$/, '$1') : '';
+            if (!Addresses.isValid(email)) {
+                return { error: `SENDERS: invalid sender "${entry}"` };
+            }
+
+            // A repeated address keeps its first entry
+            if (!senders.some(sender => sender.email.toLowerCase() === email.toLowerCase())) {
+                senders.push({ email: email, name: name });
+            }
+        }
+        return { senders: senders };
+    },
+
+    /**
+     * Find the identity a request asked for
+     * @param {Array<Object>} senders - Allowlist from parse()
+     * @param {string} from - Sender address from the request; the default sender when empty
+     * @returns {Object} { fromEmail, fromName } or { error }
+     */
+    resolve(senders, from) {
+        if (from === undefined || from === null || from === '') {
+            return { fromEmail: senders[0].email, fromName: senders[0].name || undefined };
+        }
+        if (typeof from !== 'string') {
+            return { error: 'from must be a sender email address' };
+        }
+
+        const sender = senders.find(item => item.email.toLowerCase() === from.trim().toLowerCase());
+        if (!sender) {
+            return { error: `${from} is not an allowed sender` };
+        }
+        return { fromEmail: sender.email, fromName: sender.name || undefined };
+    }
+};
+
+module.exports = Senders;
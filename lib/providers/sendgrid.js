@@ -0,0 +1,109 @@
+// SendGrid Adapter - v3 Mail Send API
+//
+// Recipients with the same body, attachments and Reply-To share one request with a personalization each.
+// Substitutions are left in the shared body and filled in by SendGrid per personalization.
+
+const ProviderHelpers = require('./helpers');
+
+const SendGrid = {
+    name: 'sendgrid',
+    defaultApiUrl: 'https://api.sendgrid.com/v3/mail/send',
+    batchLimit: 1000,
+    supportsSandbox: true,
+
+    /**
+     * List the settings missing from a configuration
+     * @param {Object} config - Provider configuration
+     * @returns {Array<string>} Missing environment variables
+     */
+    checkConfig(config) {
+        return config.apiKey ? [] : ['EMAIL_API_KEY'];
+    },
+
+    /**
+     * Build the HTTP requests for a list of messages
+     * @param {Array<Object>} messages - { toEmail, toName?, subject, body, headers?, substitutions?, attachments?, cc?, bcc?, replyTo? }
+     * @param {Object} config - Provider configuration
+     * @returns {Array<Object>} { messages, url, method, headers, body }
+     */
+    buildRequests(messages, config) {
+        const requests = [];
+        const groupKey = message => `${message.body}\u0000${ProviderHelpers.attachmentKey(message)}\u0000${message.replyTo || ''}`;
+        ProviderHelpers.groupBy(messages, groupKey).forEach(group => {
+            ProviderHelpers.chunk(group, this.batchLimit).forEach(batch => {
+                const emailData = {
+                    personalizations: batch.map(message => {
+                        const personalization = {
+                            to: [ProviderHelpers.toRecipient(message)],
+                            subject: ProviderHelpers.fill(message.subject, message.substitutions)
+                        };
+                        if (message.cc) personalization.cc = message.cc.map(email => ({ email }));
+                        if (message.bcc) personalization.bcc = message.bcc.map(email => ({ email }));
+                        if (message.substitutions) personalization.substitutions = message.substitutions;
+                        if (message.headers) personalization.headers = message.headers;
+                        return personalization;
+                    }),
+                    from: {
+                        email: config.fromEmail,
+                        name: config.fromName
+                    },
+                    subject: batch[0].subject,
+                    content: [{
+                        type: 'text/html',
+                        value: batch[0].body
+                    }]
+                };
+                if (batch[0].replyTo) {
+                    emailData.reply_to = { email: batch[0].replyTo };
+                }
+                if (batch[0].attachments && batch[0].attachments.length > 0) {
+                    emailData.attachments = batch[0].attachments.map(attachment => ({
+                        content: attachment.content,
+                        filename: attachment.filename,
+                        type: attachment.type,
+                        disposition: 'attachment'
+                    }));
+                }
+                // Sandbox mode validates the request without delivering anything
+                if (config.sandbox) {
+                    emailData.mail_settings = { sandbox_mode: { enable: true } };
+                }
+
+                requests.push({
+                    messages: batch,
+                    url: config.apiUrl || this.defaultApiUrl,
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Bearer ${config.apiKey}`,
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify(emailData)
+                });
+            });
+        });
+        return requests;
+    },
+
+    /**
+     * Read the message IDs from a successful response
+     * @param {Object} response - { status, headers, body }
+     * @param {Object} request - Request built by buildRequests
+     * @returns {Array<Object>} { messageId } per message
+     */
+    parseSuccess(response, request) {
+        // One X-Message-Id covers the whole request
+        return request.messages.map(() => ({ messageId: response.headers['x-message-id'] }));
+    },
+
+    /**
+     * Map a failed response to a result error
+     * @param {Object} response - { status, statusText, headers, body }
+     * @returns {Object} { errorMessage, errorCode }
+     */
+    parseError(response) {
+        const data = ProviderHelpers.parseJson(response);
+        return ProviderHelpers.httpError(response, data.errors?.[0]?.message || data.message || data.error);
+    }
+};
+
+module.exports = SendGrid;
@@ -0,0 +1,161 @@
+// Amazon SES Adapter - SES v2 SendEmail API (and SES-compatible HTTP APIs)
+//
+// SES v2 sends one message per request. Requests are signed with AWS Signature Version 4,
+// so no AWS SDK is needed.
+
+const crypto = require('crypto');
+const ProviderHelpers = require('./helpers');
+
+const Ses = {
+    name: 'ses',
+    batchLimit: 1,
+
+    /**
+     * List the settings missing from a configuration
+     * @param {Object} config - Provider configuration
+     * @returns {Array<string>} Missing environment variables
+     */
+    checkConfig(config) {
+        const missing = [];
+        if (!config.region) missing.push('SES_REGION');
+        if (!config.accessKeyId) missing.push('SES_ACCESS_KEY_ID');
+        if (!config.secretAccessKey) missing.push('SES_SECRET_ACCESS_KEY');
+        return missing;
+    },
+
+    /**
+     * Build the HTTP requests for a list of messages
+     * @param {Array<Object>} messages - { toEmail, toName?, subject, body, headers?, substitutions?, attachments?, cc?, bcc?, replyTo? }
+     * @param {Object} config - Provider configuration
+     * @returns {Array<Object>} { messages, url, method, headers, body }
+     */
+    buildRequests(messages, config) {
+        const url = config.apiUrl || `https://email.${config.region}.amazonaws.com/v2/email/outbound-emails`;
+        const from = ProviderHelpers.formatAddress(config.fromEmail, config.fromName);
+
+        return messages.map(message => {
+            const { subject, body } = ProviderHelpers.render(message);
+            const simple = {
+                Subject: { Data: subject, Charset: 'UTF-8' },
+                Body: { Html: { Data: body, Charset: 'UTF-8' } }
+            };
+            if (message.headers) {
+                simple.Headers = Object.keys(message.headers).map(name => ({ Name: name, Value: message.headers[name] }));
+            }
+            if (message.attachments && message.attachments.length > 0) {
+                simple.Attachments = message.attachments.map(attachment => ({
+                    FileName: attachment.filename,
+                    RawContent: attachment.content,
+                    ContentType: attachment.type,
+                    ContentDisposition: 'ATTACHMENT'
+                }));
+            }
+
+            const destination = { ToAddresses: [ProviderHelpers.formatAddress(message.toEmail, message.toName)] };
+            if (message.cc) destination.CcAddresses = message.cc;
+            if (message.bcc) destination.BccAddresses = message.bcc;
+
+            const email = {
+                FromEmailAddress: from,
+                Destination: destination,
+                Content: { Simple: simple }
+            };
+            if (message.replyTo) email.ReplyToAddresses = [message.replyTo];
+            const payload = JSON.stringify(email);
+
+            return {
+                messages: [message],
+                url: url,
+                method: 'POST',
+                headers: this.sign(config, url, payload, { 'Content-Type': 'application/json' }),
+                body: payload
+            };
+        });
+    },
+
+    /**
+     * Add AWS Signature Version 4 headers to a POST request
+     * @param {Object} config - Provider configuration with region and credentials
+     * @param {string} url - Request URL
+     * @param {string} payload - Request body
+     * @param {Object} headers - Headers to sign
+     * @returns {Object} Headers including X-Amz-Date and Authorization
+     */
+    sign(config, url, payload, headers) {
+        const urlObj = new URL(url);
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.slice(0, 8);
+        const scope = `${dateStamp}/${config.region}/ses/aws4_request`;
+
+        const signed = { ...headers, 'X-Amz-Date': amzDate };
+        if (config.sessionToken) signed['X-Amz-Security-Token'] = config.sessionToken;
+
+        // Host is signed but not returned: the HTTP client sets it from the URL
+        const canonical = { host: urlObj.host };
+        Object.keys(signed).forEach(name => {
+            canonical[name.toLowerCase()] = signed[name].toString().trim();
+        });
+        const names = Object.keys(canonical).sort();
+
+        const canonicalRequest = [
+            'POST',
+            urlObj.pathname.split('/').map(encodeURIComponent).join('/'),
+            [...urlObj.searchParams].sort().map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`).join('&'),
+            names.map(name => `${name}:${canonical[name]}\n`).join(''),
+            names.join(';'),
+            this.hash(payload)
+        ].join('\n');
+
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, this.hash(canonicalRequest)].join('\n');
+
+        const signingKey = ['ses', 'aws4_request'].reduce(
+            (key, part) => this.hmac(key, part),
+            this.hmac(this.hmac(`AWS4${config.secretAccessKey}`, dateStamp), config.region));
+        const signature = this.hmac(signingKey, stringToSign).toString('hex');
+
+        signed['Authorization'] = `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`;
+        return signed;
+    },
+
+    /**
+     * SHA-256 hex digest
+     * @param {string} value - Value to hash
+     * @returns {string} Hex digest
+     */
+    hash(value) {
+        return crypto.createHash('sha256').update(value, 'utf8').digest('hex');
+    },
+
+    /**
+     * HMAC-SHA256
+     * @param {string|Buffer} key - Key
+     * @param {string} value - Value to sign
+     * @returns {Buffer} Digest
+     */
+    hmac(key, value) {
+        return crypto.createHmac('sha256', key).update(value, 'utf8').digest();
+    },
+
+    /**
+     * Read the message IDs from a successful response
+     * @param {Object} response - { status, headers, body }
+     * @param {Object} request - Request built by buildRequests
+     * @returns {Array<Object>} { messageId } per message
+     */
+    parseSuccess(response, request) {
+        const data = ProviderHelpers.parseJson(response);
+        return request.messages.map(() => ({ messageId: data.MessageId }));
+    },
+
+    /**
+     * Map a failed response to a result error
+     * @param {Object} response - { status, statusText, headers, body }
+     * @returns {Object} { errorMessage, errorCode }
+     */
+    parseError(response) {
+        const data = ProviderHelpers.parseJson(response);
+        return ProviderHelpers.httpError(response, data.message || data.Message);
+    }
+};
+
+module.exports = Ses;
@@ -0,0 +1,127 @@
+// Webhooks - Verifies provider event webhooks and turns their events into delivery events
+//
+// A delivery event is { provider, messageId, email, type, at, reason? } where type is one of
+// delivered, bounced, dropped, deferred, spam or opened, and messageId matches the messageId
+// returned in the send results. Events of other types (clicks, processed, ...) are ignored.
+//
+// SendGrid signs its Event Webhook with ECDSA: the signature covers the timestamp header plus the
+// raw request body and is checked with the verification key from the SendGrid settings.
+// Brevo does not sign transactional webhooks; the webhook is set up with a bearer token (or basic
+// auth with the token as password) and the Authorization header is compared with it.
+// Shared by server.js and the Amplify Lambda; only use Node core modules.
+
+const crypto = require('crypto');
+
+// Provider event names -> delivery event types
+const SENDGRID_TYPES = {
+    delivered: 'delivered',
+    bounce: 'bounced',
+    dropped: 'dropped',
+    deferred: 'deferred',
+    spamreport: 'spam',
+    open: 'opened'
+};
+
+const BREVO_TYPES = {
+    delivered: 'delivered',
+    hard_bounce: 'bounced',
+    soft_bounce: 'deferred', // Brevo keeps retrying a soft bounce
+    blocked: 'dropped',
+    invalid_email: 'dropped',
+    error: 'dropped',
+    deferred: 'deferred',
+    spam: 'spam',
+    opened: 'opened',
+    unique_opened: 'opened',
+    proxy_open: 'opened'
+};
+
+const Webhooks = {
+    /**
+     * Check the signature of a SendGrid Event Webhook request
+     * @param {string} publicKey - Verification key from SendGrid (base64 DER, or PEM)
+     * @param {string} signature - X-Twilio-Email-Event-Webhook-Signature header
+     * @param {string} timestamp - X-Twilio-Email-Event-Webhook-Timestamp header
+     * @param {string|Buffer} rawBody - Request body exactly as received
+     * @returns {boolean} True if the request was signed by SendGrid
+     */
+    verifySendGrid(publicKey, signature, timestamp, rawBody) {
+        if (!publicKey || !signature || !timestamp || rawBody === undefined) return false;
+
+        try {
+            const key = publicKey.includes('BEGIN PUBLIC KEY')
+                ? crypto.createPublicKey(publicKey)
+                : crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+            const payload = Buffer.concat([Buffer.from(timestamp), Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(rawBody)]);
+            return crypto.verify('sha256', payload, key, Buffer.from(signature, 'base64'));
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Check the Authorization header of a Brevo webhook request
+     * @param {string} token - Token configured for the webhook
+     * @param {string} authorization - Authorization header ('Bearer <token>', or basic auth with the token as password)
+     * @returns {boolean} True if the header carries the token
+     */
+    verifyBrevo(token, authorization) {
+        if (!token || typeof authorization !== 'string') return false;
+
+        let presented = '';
+        const [scheme, value = ''] = authorization.trim().split(/\s+/, 2);
+        if (/^bearer$/i.test(scheme)) {
+            presented = value;
+        } else if (/^basic$/i.test(scheme)) {
+            const decoded = Buffer.from(value, 'base64').toString('utf8');
+            presented = decoded.slice(decoded.indexOf(':') + 1);
+        }
+
+        // Compare digests so the comparison takes the same time whatever the lengths
+        const digest = text => crypto.createHash('sha256').update(text).digest();
+        return crypto.timingSafeEqual(digest(presented), digest(token));
+    },
+
+    /**
+     * Turn a SendGrid Event Webhook body into delivery events
+     * @param {Array<Object>} body - Parsed request body (array of events)
+     * @returns {Array<Object>} Delivery events
+     */
+    parseSendGrid(body) {
+        if (!Array.isArray(body)) return [];
+
+        return body
+            .filter(event => event && SENDGRID_TYPES[event.event] && event.sg_message_id && event.email)
+            .map(event => ({
+                provider: 'sendgrid',
+                // sg_message_id is the X-Message-Id we return as messageId, with filter details appended
+                messageId: event.sg_message_id.split('.filter')[0],
+                email: event.email,
+                type: SENDGRID_TYPES[event.event],
+                at: new Date((event.timestamp || 0) * 1000 || Date.now()).toISOString(),
+                reason: event.reason || event.response || undefined
+            }));
+    },
+
+    /**
+     * Turn a Brevo transactional webhook body into delivery events
+     * @param {Object|Array<Object>} body - Parsed request body (one event, or an array for batched webhooks)
+     * @returns {Array<Object>} Delivery events
+     */
+    parseBrevo(body) {
+        const events = Array.isArray(body) ? body : [body];
+
+        return events
+            .filter(event => event && BREVO_TYPES[event.event] && event['message-id'] && event.email)
+            .map(event => ({
+                provider: 'brevo',
+                messageId: event['message-id'],
+                email: event.email,
+                type: BREVO_TYPES[event.event],
+                at: new Date((event.ts_event || event.ts || 0) * 1000 || Date.now()).toISOString(),
+                reason: event.reason || undefined
+            }));
+    }
+};
+
+module.exports = Webhooks;
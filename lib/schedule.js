@@ -0,0 +1,81 @@
+// Schedule Module - Turns a wall-clock date and time in a time zone into an exact instant
+//
+// Scheduled campaigns are requested as { sendAt: 'YYYY-MM-DDTHH:mm', timeZone: 'Europe/Berlin' },
+// so "9:00 in New York" stays 9:00 in New York whatever time zone the browser or server is in.
+// Uses Intl only, which ships with Node's full ICU data.
+
+const LOCAL_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+const DAY = 24 * 60 * 60 * 1000;
+
+const Schedule = {
+    /**
+     * Check that a time zone is a known IANA name
+     * @param {string} timeZone - e.g. 'America/New_York'
+     * @returns {boolean} True if Intl knows the time zone
+     */
+    isValidTimeZone(timeZone) {
+        if (typeof timeZone !== 'string' || !timeZone) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Offset of a time zone from UTC at an instant
+     * @param {number} timestamp - Milliseconds since the epoch
+     * @param {string} timeZone - IANA time zone
+     * @returns {number} Offset in milliseconds (positive east of UTC)
+     */
+    offsetAt(timestamp, timeZone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }).formatToParts(new Date(timestamp)).forEach(part => {
+            parts[part.type] = Number(part.value);
+        });
+
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return wallClock - Math.floor(timestamp / 1000) * 1000;
+    },
+
+    /**
+     * Convert a wall-clock date and time in a time zone to an instant.
+     * A time skipped by a daylight saving change is moved forward by the size of the gap;
+     * a time that happens twice when the clocks go back is the first of the two.
+     * @param {string} sendAt - 'YYYY-MM-DDTHH:mm' (seconds optional)
+     * @param {string} timeZone - IANA time zone
+     * @returns {Object} { scheduledAt: ISO string } or { error }
+     */
+    toInstant(sendAt, timeZone) {
+        if (!this.isValidTimeZone(timeZone)) {
+            return { error: `Unknown time zone: ${timeZone}` };
+        }
+
+        const match = typeof sendAt === 'string' ? sendAt.match(LOCAL_PATTERN) : null;
+        if (!match) {
+            return { error: 'sendAt must be a date and time like 2026-01-31T09:00' };
+        }
+        const [year, month, day, hour, minute, second] = match.slice(1).map(value => Number(value || 0));
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+        const check = new Date(wallClock);
+        if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+            return { error: `sendAt is not a valid date and time: ${sendAt}` };
+        }
+
+        // Try the offsets from a day before and a day after, which differ around a DST change.
+        // Neither fits in a gap: the offset from before the change moves the time forward by the gap.
+        const before = wallClock - this.offsetAt(wallClock - DAY, timeZone);
+        const after = wallClock - this.offsetAt(wallClock + DAY, timeZone);
+        const fits = [before, after].filter(timestamp => timestamp + this.offsetAt(timestamp, timeZone) === wallClock);
+        const timestamp = fits.length > 0 ? Math.min(...fits) : before;
+        return { scheduledAt: new Date(timestamp).toISOString() };
+    }
+};
+
+module.exports = Schedule;
@@ -0,0 +1,189 @@
+// SMTP Transport - Sends through an SMTP server instead of a provider HTTP API
+//
+// Uses a pooled nodemailer transport with STARTTLS or implicit TLS and AUTH.
+// SMTP replies are mapped to the result fields: errorCode SMTP_<reply code> (e.g. SMTP_550)
+// and the server's reply text as errorMessage. Temporary failures (4xx replies and dropped
+// connections) are retried with the same backoff settings as the HTTP providers.
+// Server only: the Amplify Lambda has no dependencies, so it cannot use SMTP.
+
+const nodemailer = require('nodemailer');
+const ProviderHelpers = require('./providers/helpers');
+
+// nodemailer error codes for connection problems that are worth retrying
+const TEMPORARY_ERRORS = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS'];
+
+const SmtpTransport = {
+    transporter: null,
+
+    /**
+     * Read the SMTP configuration from environment variables
+     * @param {Object} env - Environment (process.env)
+     * @returns {Object} Configuration
+     */
+    fromEnv(env) {
+        const secure = env.SMTP_SECURE === 'true';
+        return {
+            provider: 'smtp',
+            host: env.SMTP_HOST,
+            port: parseInt(env.SMTP_PORT, 10) || (secure ? 465 : 587),
+            secure: secure,
+            requireTLS: env.SMTP_REQUIRE_TLS === 'true',
+            user: env.SMTP_USER,
+            pass: env.SMTP_PASS,
+            maxConnections: parseInt(env.SMTP_MAX_CONNECTIONS, 10) || 5,
+            allowInvalidCert: env.SMTP_ALLOW_INVALID_CERT === 'true'
+        };
+    },
+
+    /**
+     * Check a configuration
+     * @param {Object} config - SMTP configuration
+     * @returns {string|null} Error message, or null if the configuration is usable
+     */
+    validate(config) {
+        const missing = [];
+        if (!config.host) missing.push('SMTP_HOST');
+        if (config.user && !config.pass) missing.push('SMTP_PASS');
+        return missing.length > 0 ? `smtp needs ${missing.join(', ')} to be set` : null;
+    },
+
+    /**
+     * Get the pooled transport, creating it on first use
+     * @param {Object} config - SMTP configuration
+     * @returns {Object} nodemailer transport
+     */
+    getTransporter(config) {
+        if (!this.transporter) {
+            this.transporter = nodemailer.createTransport({
+                pool: true,
+                maxConnections: config.maxConnections,
+                host: config.host,
+                port: config.port,
+                secure: config.secure, // true: TLS from the start (port 465); false: STARTTLS when offered
+                requireTLS: config.requireTLS, // Refuse to send if STARTTLS is not available
+                auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+                tls: { rejectUnauthorized: !config.allowInvalidCert }
+            });
+        }
+        return this.transporter;
+    },
+
+    /**
+     * Check that the SMTP server is reachable and accepts the credentials
+     * @param {Object} config - SMTP configuration
+     * @returns {Promise<void>} Rejects with the connection or AUTH error
+     */
+    verify(config) {
+        return this.getTransporter(config).verify();
+    },
+
+    /**
+     * Send messages and return one result per message, in the same order
+     * @param {Object} config - SMTP configuration (including fromEmail and fromName)
+     * @param {Array<Object>} messages - { toEmail, subject, body, headers?, substitutions? }
+     * @param {Object} retry - { maxAttempts, delay(attempt) } for temporary failures
+     * @returns {Promise<Array<Object>>} Results in the same shape as /api/send-email
+     */
+    send(config, messages, retry) {
+        // The pool spreads the messages over its connections
+        return Promise.all(messages.map(message => this.sendMessage(config, message, retry)));
+    },
+
+    /**
+     * Send one message, retrying temporary failures
+     * @param {Object} config - SMTP configuration
+     * @param {Object} message - Message
+     * @param {Object} retry - { maxAttempts, delay(attempt) }
+     * @returns {Promise<Object>} Success or failure result
+     */
+    async sendMessage(config, message, retry) {
+        const mail = this.buildMail(config, message);
+
+        let attempts = 0;
+        while (true) {
+            attempts++;
+            try {
+                const info = await this.getTransporter(config).sendMail(mail);
+                return {
+                    success: true,
+                    email: message.toEmail,
+                    subject: message.subject,
+                    sentAt: new Date().toISOString(),
+                    messageId: info.messageId,
+                    attempts: attempts
+                };
+            } catch (error) {
+                if (!this.isTemporary(error) || attempts >= retry.maxAttempts) {
+                    return {
+                        success: false,
+                        email: message.toEmail,
+                        subject: message.subject,
+                        attemptedAt: new Date().toISOString(),
+                        ...this.mapError(error),
+                        attempts: attempts
+                    };
+                }
+                await new Promise(resolve => setTimeout(resolve, retry.delay(attempts)));
+            }
+        }
+    },
+
+    /**
+     * Build the nodemailer message for a provider message
+     * @param {Object} config - Configuration with fromEmail and fromName
+     * @param {Object} message - { toEmail, toName?, subject, body, headers?, substitutions?, attachments?, cc?, bcc?, replyTo? }
+     * @returns {Object} nodemailer message
+     */
+    buildMail(config, message) {
+        const { subject, body } = ProviderHelpers.render(message);
+        return {
+            from: { address: config.fromEmail, name: config.fromName },
+            to: message.toName ? { address: message.toEmail, name: message.toName } : message.toEmail,
+            cc: message.cc,
+            bcc: message.bcc,
+            replyTo: message.replyTo,
+            subject: subject,
+            html: body,
+            headers: message.headers,
+            attachments: (message.attachments || []).map(attachment => ({
+                filename: attachment.filename,
+                content: attachment.content,
+                encoding: 'base64',
+                contentType: attachment.type
+            }))
+        };
+    },
+
+    /**
+     * Whether a failed send may succeed if tried again
+     * @param {Error} error - nodemailer error
+     * @returns {boolean} True for 4xx replies and connection problems
+     */
+    isTemporary(error) {
+        if (error.responseCode) {
+            return error.responseCode >= 400 && error.responseCode < 500;
+        }
+        return TEMPORARY_ERRORS.includes(error.code);
+    },
+
+    /**
+     * Map a nodemailer error to the result error fields
+     * @param {Error} error - nodemailer error
+     * @returns {Object} { errorMessage, errorCode }
+     */
+    mapError(error) {
+        if (error.responseCode) {
+            return {
+                errorMessage: error.response || error.message,
+                errorCode: `SMTP_${error.responseCode}`
+            };
+        }
+        // No reply from the server: connection, TLS or AUTH problem (EAUTH, ECONNECTION, ...)
+        return {
+            errorMessage: error.message || 'SMTP error',
+            errorCode: error.code ? `SMTP_${error.code}` : 'SERVER_ERROR'
+        };
+    }
+};
+
+module.exports = SmtpTransport;
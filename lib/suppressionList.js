@@ -0,0 +1,86 @@
+// Suppression List Module - Persistent list of addresses that must not be emailed (e.g. unsubscribed)
+//
+// Stored as data/suppressions.json: { "<lowercased email>": { email, reason, source, suppressedAt } }
+
+const fs = require('fs');
+const path = require('path');
+
+const SuppressionList = {
+    file: null,
+    entries: {},
+
+    /**
+     * Load the suppression list from disk
+     * @param {Object} options - { dataDir }
+     */
+    init(options) {
+        fs.mkdirSync(options.dataDir, { recursive: true });
+        this.file = path.join(options.dataDir, 'suppressions.json');
+
+        try {
+            this.entries = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Could not load suppression list:', error.message);
+            }
+            this.entries = {};
+        }
+    },
+
+    /**
+     * Normalize an address for lookups
+     * @param {string} email - Email address
+     * @returns {string} Lowercased, trimmed address
+     */
+    key(email) {
+        return (email || '').toString().trim().toLowerCase();
+    },
+
+    /**
+     * Check whether an address is suppressed
+     * @param {string} email - Email address
+     * @returns {boolean} True if the address must not be emailed
+     */
+    isSuppressed(email) {
+        return Object.prototype.hasOwnProperty.call(this.entries, this.key(email));
+    },
+
+    /**
+     * Add an address to the list (adding it again keeps the original entry)
+     * @param {string} email - Email address
+     * @param {Object} details - { reason, source }
+     * @returns {Object} Suppression entry
+     */
+    add(email, details = {}) {
+        const key = this.key(email);
+        if (!this.entries[key]) {
+            this.entries[key] = {
+                email: key,
+                reason: details.reason || 'unsubscribed',
+                source: details.source || 'manual',
+                suppressedAt: new Date().toISOString()
+            };
+            this.save();
+        }
+        return this.entries[key];
+    },
+
+    /**
+     * List all suppressed addresses
+     * @returns {Array<Object>} Suppression entries
+     */
+    list() {
+        return Object.values(this.entries);
+    },
+
+    /**
+     * Write the list to disk (write-then-rename so a crash never leaves a half-written file)
+     */
+    save() {
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(this.entries, null, 2));
+        fs.renameSync(tempFile, this.file);
+    }
+};
+
+module.exports = SuppressionList;
@@ -0,0 +1,101 @@
+// Unsubscribe Module - Signed per-recipient unsubscribe tokens, URLs and List-Unsubscribe headers
+//
+// A token is base64url(email) + '.' + base64url(HMAC-SHA256(email, UNSUBSCRIBE_SECRET)),
+// so the /api/unsubscribe route can trust the address without storing anything per send.
+
+const crypto = require('crypto');
+
+// Placeholder in the subject or body that is replaced with the recipient's unsubscribe URL
+const PLACEHOLDER = '{{unsubscribe_url}}';
+
+const Unsubscribe = {
+    PLACEHOLDER: PLACEHOLDER,
+    secret: null,
+    baseUrl: null,
+    mailto: null,
+
+    /**
+     * Configure unsubscribe links. Links are disabled when no secret is set.
+     * @param {Object} options - { secret, baseUrl, mailto }
+     */
+    init(options) {
+        this.secret = options.secret || null;
+        this.baseUrl = (options.baseUrl || '').replace(/\/$/, '');
+        this.mailto = options.mailto || null;
+    },
+
+    /**
+     * Whether unsubscribe links and headers are configured
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return Boolean(this.secret && this.baseUrl);
+    },
+
+    /**
+     * Create a signed token for an address
+     * @param {string} email - Recipient address
+     * @returns {string} Token
+     */
+    createToken(email) {
+        const normalized = email.trim().toLowerCase();
+        return `${Buffer.from(normalized).toString('base64url')}.${this.sign(normalized)}`;
+    },
+
+    /**
+     * Verify a token and return the address it was created for
+     * @param {string} token - Token from an unsubscribe link
+     * @returns {string|null} Email address, or null if the token is invalid
+     */
+    verifyToken(token) {
+        if (!this.secret || typeof token !== 'string' || !token.includes('.')) {
+            return null;
+        }
+
+        const [encodedEmail, signature] = token.split('.');
+        const email = Buffer.from(encodedEmail, 'base64url').toString('utf8');
+        const expected = Buffer.from(this.sign(email));
+        const actual = Buffer.from(signature || '');
+
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+        return email;
+    },
+
+    /**
+     * HMAC signature of an address
+     * @param {string} email - Normalized address
+     * @returns {string} base64url signature
+     */
+    sign(email) {
+        return crypto.createHmac('sha256', this.secret).update(email).digest('base64url');
+    },
+
+    /**
+     * Build the unsubscribe URL for an address
+     * @param {string} email - Recipient address
+     * @returns {string} URL
+     */
+    buildUrl(email) {
+        return `${this.baseUrl}/api/unsubscribe?token=${encodeURIComponent(this.createToken(email))}`;
+    },
+
+    /**
+     * Build List-Unsubscribe headers (RFC 2369 / RFC 8058 one-click) for an address
+     * @param {string} email - Recipient address
+     * @returns {Object} Header map
+     */
+    buildHeaders(email) {
+        const targets = [`<${this.buildUrl(email)}>`];
+        if (this.mailto) {
+            targets.push(`<mailto:${this.mailto}?subject=unsubscribe>`);
+        }
+        return {
+            'List-Unsubscribe': targets.join(', '),
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        };
+    }
+};
+
+module.exports = Unsubscribe;
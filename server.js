@@ -4,39 +4,406 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const fs = require('fs');
 require('dotenv').config();
+const CampaignJobs = require('./lib/campaignJobs');
+const SuppressionList = require('./lib/suppressionList');
+const Unsubscribe = require('./lib/unsubscribe');
+const Providers = require('./lib/providers');
+const ProviderHelpers = require('./lib/providers/helpers');
+const Attachments = require('./lib/providers/attachments');
+const Addresses = require('./lib/providers/addresses');
+const Senders = require('./lib/providers/senders');
+const Webhooks = require('./lib/providers/webhooks');
+const DeliveryEvents = require('./lib/deliveryEvents');
+const SmtpTransport = require('./lib/smtpTransport');
+const DryRun = require('./lib/dryRun');
+const Schedule = require('./lib/schedule');
+const Auth = require('./lib/auth');
+const Limits = require('./lib/limits');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Logins and session tokens (AUTH_USERS, AUTH_SECRET): every /api route except the public ones needs a token
+const AUTH = Auth.fromEnv(process.env);
+if (AUTH.error) {
+    console.error(`ERROR: ${AUTH.error}`);
+    process.exit(1);
+}
+if (AUTH.disabled) {
+    console.warn('WARNING: AUTH_DISABLED=true - anyone who can reach the server can send email');
+}
+
+// Other sites allowed to call the API from a browser (CORS_ORIGINS); the app's own origin needs no entry
+const CORS_ORIGINS = Auth.parseOrigins(process.env.CORS_ORIGINS);
+
+// Behind a proxy or load balancer, TRUST_PROXY (e.g. 1 for one hop) makes req.ip the client's address
+// from X-Forwarded-For, so the per-IP rate limit counts clients and not the proxy
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' || (/^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy));
+}
+
 // Middleware
-app.use(cors()); // Enable CORS for all origins (adjust in production)
-app.use(express.json());
-app.use(express.static(path.join(__dirname))); // Serve static files
+app.use(cors({
+    origin: (origin, callback) => callback(null, Auth.isAllowedOrigin(CORS_ORIGINS, origin)),
+    exposedHeaders: ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-Quota-Remaining']
+}));
+// Send, campaign and history requests carry one rendered body per recipient, so they may be large;
+// they are parsed after the login check (below) so unauthenticated clients cannot make the server
+// read big bodies. Every other route gets a small limit.
+const LARGE_BODY_ROUTES = ['/api/send-email', '/api/send-bulk', '/api/campaigns', '/api/history'];
+const isLargeBodyRoute = requestPath => LARGE_BODY_ROUTES.some(route => requestPath === route || requestPath.startsWith(`${route}/`));
+// Webhook signatures are computed over the raw body, so keep it for those routes.
+const parseSmallJson = express.json({
+    limit: '1mb',
+    verify: (req, res, buffer) => {
+        if (req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buffer;
+    }
+});
+app.use((req, res, next) => (isLargeBodyRoute(req.path) ? next() : parseSmallJson(req, res, next)));
+app.use(express.urlencoded({ extended: false })); // One-click unsubscribe posts form data
+
+// Serve the frontend only, not the server code, .env or the data directory
+app.use('/assets', express.static(path.join(__dirname, 'assets')));
+app.use('/config', express.static(path.join(__dirname, 'config')));
+app.get(['/', '/index.html'], (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+// Routes that work without logging in: health, login, the unsubscribe page linked from emails,
+// and provider webhooks (which check their own signature or token)
+function isPublicRoute(apiPath) {
+    return ['/health', '/auth/login', '/unsubscribe'].includes(apiPath) || apiPath.startsWith('/webhooks/');
+}
+
+// Take a request from a rate limit bucket (see Limits); answers 429 and returns false when it is empty
+function checkRateLimit(res, key, perMinute) {
+    const rate = Limits.take(key, perMinute);
+    if (rate.limit) {
+        res.set('X-RateLimit-Limit', String(rate.limit));
+        res.set('X-RateLimit-Remaining', String(rate.remaining));
+    }
+    if (!rate.allowed) {
+        res.set('Retry-After', String(rate.retryAfter));
+        res.status(429).json({
+            success: false,
+            error: `Too many requests; try again in ${rate.retryAfter} second(s)`,
+            errorCode: 'RATE_LIMITED'
+        });
+        return false;
+    }
+    return true;
+}
+
+// Per-IP rate limit before the login check, so password guessing is limited too.
+// Health checks and provider webhooks (which can arrive in large bursts) are not limited.
+app.use('/api', (req, res, next) => {
+    if (req.path === '/health' || req.path.startsWith('/webhooks/')) {
+        return next();
+    }
+    if (checkRateLimit(res, `ip:${req.ip}`, Limits.settings.ipPerMinute)) {
+        next();
+    }
+});
+
+app.use('/api', (req, res, next) => {
+    if (AUTH.disabled || isPublicRoute(req.path)) {
+        return next();
+    }
+
+    const user = Auth.authenticate(AUTH, req.get('Authorization'));
+    if (!user) {
+        return res.status(401).json({ success: false, error: 'Login required' });
+    }
+    req.user = user;
+    if (checkRateLimit(res, `user:${user.username}`, Limits.settings.userPerMinute)) {
+        next();
+    }
+});
+
+app.use(LARGE_BODY_ROUTES, express.json({ limit: '50mb' }));
 
 // Email API Configuration
 // IMPORTANT: Set these as environment variables in production
-const API_KEY = process.env.EMAIL_API_KEY || process.env.SENDGRID_API_KEY || process.env.BREVO_API_KEY;
 const FROM_EMAIL = process.env.FROM_EMAIL || 'info@theexcellenceservices.site';
 const FROM_NAME = process.env.FROM_NAME || 'The Excellence Services';
 
+// Directory for persistent server state (campaign jobs, suppression list)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Addresses that unsubscribed are never sent to again
+SuppressionList.init({ dataDir: DATA_DIR });
+
+// Delivered, bounced, dropped, spam and open events reported by provider webhooks
+DeliveryEvents.init({
+    dataDir: DATA_DIR,
+    maxAgeDays: parseInt(process.env.DELIVERY_EVENTS_MAX_AGE_DAYS, 10) || 90
+});
+
+// Rate limits (RATE_LIMIT_PER_MINUTE, RATE_LIMIT_IP_PER_MINUTE) and sending quotas (QUOTA_DAILY, QUOTA_MONTHLY,
+// QUOTA_USER_DAILY, QUOTA_USER_MONTHLY); the emails counted against the quotas survive restarts
+const QUOTA_USAGE_FILE = path.join(DATA_DIR, 'quota-usage.json');
+Limits.init(Limits.fromEnv(process.env), {
+    usage: loadQuotaUsage(),
+    onChange: saveQuotaUsage
+});
+
+// Read the saved quota usage; null starts counting from zero
+function loadQuotaUsage() {
+    try {
+        return JSON.parse(fs.readFileSync(QUOTA_USAGE_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Could not load quota usage:', error.message);
+        }
+        return null;
+    }
+}
+
+// Write the quota usage to disk (write-then-rename so a crash never leaves a half-written file)
+function saveQuotaUsage(usage) {
+    const tempFile = `${QUOTA_USAGE_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(usage));
+    fs.renameSync(tempFile, QUOTA_USAGE_FILE);
+}
+
+// Unsubscribe links and List-Unsubscribe headers (enabled when UNSUBSCRIBE_SECRET and PUBLIC_BASE_URL are set)
+Unsubscribe.init({
+    secret: process.env.UNSUBSCRIBE_SECRET,
+    baseUrl: process.env.PUBLIC_BASE_URL,
+    mailto: process.env.UNSUBSCRIBE_MAILTO
+});
+
+// Email provider (EMAIL_PROVIDER: sendgrid, brevo, mailgun, postmark, ses or smtp)
+const USE_SMTP = (process.env.EMAIL_PROVIDER || '').trim().toLowerCase() === 'smtp';
+const EMAIL = {
+    ...(USE_SMTP ? SmtpTransport.fromEnv(process.env) : Providers.fromEnv(process.env)),
+    fromEmail: FROM_EMAIL,
+    fromName: FROM_NAME
+};
+
 // Validate required environment variables
-if (!API_KEY) {
-    console.error('ERROR: EMAIL_API_KEY, SENDGRID_API_KEY, or BREVO_API_KEY environment variable is required');
-    console.error('Please set one of these environment variables before starting the server');
+const providerError = USE_SMTP ? SmtpTransport.validate(EMAIL) : Providers.validate(EMAIL);
+if (providerError) {
+    console.error(`ERROR: ${providerError}`);
+    console.error('Please set these environment variables before starting the server');
     process.exit(1);
 }
 
-// Detect API provider based on API key format
-const isBrevoKey = API_KEY.startsWith('xkeysib-');
-const API_URL = isBrevoKey 
-    ? 'https://api.brevo.com/v3/smtp/email'
-    : (process.env.EMAIL_API_URL || process.env.SENDGRID_API_URL || 'https://api.sendgrid.com/v3/mail/send');
+// Sender identities a request may choose with `from` (SENDERS); FROM_EMAIL/FROM_NAME is the default
+const SENDERS = Senders.parse(process.env.SENDERS, { email: FROM_EMAIL, name: FROM_NAME });
+if (SENDERS.error) {
+    console.error(`ERROR: ${SENDERS.error}`);
+    process.exit(1);
+}
+if (EMAIL.detected) {
+    console.warn(`EMAIL_PROVIDER is not set; using ${EMAIL.provider} based on the API key. Set EMAIL_PROVIDER to choose explicitly.`);
+}
+// Dry run: DRY_RUN=true turns every send into a dry run; the browser can also ask for one per send.
+// DRY_RUN_MODE=eml (default) writes .eml files, DRY_RUN_MODE=sandbox uses the provider's sandbox/test mode
+const DRY_RUN = process.env.DRY_RUN === 'true';
+const DRY_RUN_MODE = process.env.DRY_RUN_MODE || 'eml';
+DryRun.init({ dataDir: DATA_DIR });
+if (DRY_RUN_MODE !== 'eml' && DRY_RUN_MODE !== 'sandbox') {
+    console.error(`ERROR: DRY_RUN_MODE must be "eml" or "sandbox", not "${DRY_RUN_MODE}"`);
+    process.exit(1);
+}
+if (DRY_RUN_MODE === 'sandbox' && !Providers.supportsSandbox(EMAIL.provider)) {
+    console.error(`ERROR: ${EMAIL.provider} has no sandbox mode; use DRY_RUN_MODE=eml`);
+    process.exit(1);
+}
+
+if (USE_SMTP) {
+    SmtpTransport.verify(EMAIL).catch(error => {
+        console.warn(`WARNING: Could not connect to SMTP server ${EMAIL.host}:${EMAIL.port}: ${error.message}`);
+    });
+}
+
+// Largest total size of the attachments of one email (decoded)
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 10 * 1024 * 1024;
+
+// Retry settings for temporary provider failures (EMAIL_RETRY_*), see ProviderHelpers.retryDelay
+const RETRY = ProviderHelpers.retrySettings(process.env);
+
+// POST to the provider, retrying 429 and 5xx responses
+// Returns { response, attempts }
+async function fetchWithRetry(url, options) {
+    let attempts = 0;
+    while (true) {
+        attempts++;
+        const response = await fetch(url, options);
+
+        const delay = ProviderHelpers.retryDelay(response.status, response.headers.get('retry-after'), attempts, RETRY);
+        if (delay === null) {
+            return { response, attempts };
+        }
+
+        await response.arrayBuffer().catch(() => null); // Drain the body so the connection can be reused
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+}
+
+// Transport for the provider adapters: send one request with retries
+async function sendProviderRequest(request) {
+    const { response, attempts } = await fetchWithRetry(request.url, {
+        method: request.method,
+        headers: request.headers,
+        body: request.body
+    });
+
+    return {
+        status: response.status,
+        statusText: response.statusText,
+        headers: Object.fromEntries(response.headers),
+        body: await response.text(),
+        attempts: attempts
+    };
+}
+
+// Send provider messages through SMTP or the provider's HTTP API; one result per message,
+// with the sender address as `from`
+// options: { dryRun, campaignId, sender: { fromEmail, fromName } } - a dry run renders or validates
+// the messages without delivering them; without a sender the default sender is used
+async function sendMessages(messages, options = {}) {
+    const config = { ...EMAIL, ...options.sender };
+    let results;
+
+    if (DRY_RUN || options.dryRun) {
+        results = DRY_RUN_MODE === 'sandbox'
+            ? await Providers.send({ ...config, sandbox: true }, messages, sendProviderRequest)
+            : await DryRun.send(config, messages, options.campaignId);
+        results = results.map(result => ({ ...result, dryRun: true }));
+    } else if (USE_SMTP) {
+        results = await SmtpTransport.send(config, messages, {
+            maxAttempts: RETRY.maxAttempts,
+            delay: attempt => ProviderHelpers.backoffDelay(attempt, RETRY)
+        });
+    } else {
+        results = await Providers.send(config, messages, sendProviderRequest);
+    }
+    return results.map(result => ({ ...result, from: config.fromEmail }));
+}
+
+// Emails a provider message hands over: the recipient plus every CC and BCC copy
+function countEmails(message) {
+    return 1 + (message.cc || []).length + (message.bcc || []).length;
+}
+
+// sendMessages within the sending quotas: the emails are reserved first and those not sent are given back.
+// options: see sendMessages, plus { user } whose quota is used (undefined when logins are off)
+// Throws an error with code QUOTA_EXCEEDED, remaining and retryAfter (seconds) when the emails do not fit;
+// nothing is sent then. Dry runs do not count.
+async function sendWithinQuota(messages, options = {}) {
+    const counts = messages.map(message => (DRY_RUN || options.dryRun ? 0 : countEmails(message)));
+    const total = counts.reduce((sum, count) => sum + count, 0);
+
+    const reservation = Limits.reserve(options.user, total);
+    if (reservation.error) {
+        throw Object.assign(new Error(reservation.error), {
+            code: 'QUOTA_EXCEEDED',
+            remaining: reservation.remaining,
+            retryAfter: reservation.retryAfter
+        });
+    }
+
+    let results;
+    try {
+        results = await sendMessages(messages, options);
+    } catch (error) {
+        Limits.release(options.user, total);
+        throw error;
+    }
+    Limits.release(options.user, results.reduce((sum, result, i) => (result.success ? sum : sum + counts[i]), 0));
+    return results;
+}
+
+// Answer a send that does not fit in the sending quotas (error from sendWithinQuota)
+function sendQuotaExceeded(res, error) {
+    res.set('Retry-After', String(error.retryAfter));
+    if (error.remaining !== null) {
+        res.set('X-Quota-Remaining', String(error.remaining));
+    }
+    res.status(429).json({
+        success: false,
+        error: error.message,
+        errorMessage: error.message,
+        errorCode: 'QUOTA_EXCEEDED',
+        quotaRemaining: error.remaining
+    });
+}
+
+// Tell the browser how many emails the user can still send (when a quota applies)
+function setQuotaHeader(req, res) {
+    const remaining = Limits.getQuota(req.user && req.user.username).remaining;
+    if (remaining !== null) {
+        res.set('X-Quota-Remaining', String(remaining));
+    }
+}
+
+// Build the provider message for a recipient, with their unsubscribe link and headers
+// extras: { toName?, attachments?, cc?, bcc?, replyTo? } - only the fields that are set are added
+function buildMessage(toEmail, subject, body, extras = {}) {
+    const message = { toEmail, subject, body };
+    if (extras.toName) {
+        message.toName = extras.toName;
+    }
+    if (extras.attachments && extras.attachments.length > 0) {
+        message.attachments = extras.attachments;
+    }
+    ['cc', 'bcc', 'replyTo'].forEach(field => {
+        if (extras[field]) message[field] = extras[field];
+    });
+    if (Unsubscribe.isEnabled()) {
+        message.substitutions = { [Unsubscribe.PLACEHOLDER]: Unsubscribe.buildUrl(toEmail) };
+        message.headers = Unsubscribe.buildHeaders(toEmail);
+    }
+    return message;
+}
+
+// Result for a recipient on the suppression list (the provider is not contacted)
+function suppressedResult(toEmail, subject) {
+    return {
+        success: false,
+        email: toEmail,
+        subject: subject,
+        attemptedAt: new Date().toISOString(),
+        errorMessage: 'Recipient has unsubscribed',
+        errorCode: 'SUPPRESSED'
+    };
+}
+
+// True when every value is a string (request fields that are filled in and searched as text)
+function isText(...values) {
+    return values.every(value => typeof value === 'string');
+}
+
+// Error message if a template uses {{unsubscribe_url}} while unsubscribe links are not configured
+function checkUnsubscribePlaceholder(...templates) {
+    if (!Unsubscribe.isEnabled() && templates.some(template => template && template.includes(Unsubscribe.PLACEHOLDER))) {
+        return `${Unsubscribe.PLACEHOLDER} needs UNSUBSCRIBE_SECRET and PUBLIC_BASE_URL to be set on the server`;
+    }
+    return null;
+}
+
+// Check attachments from a request body, including the total size per email
+// Returns { error } or { attachments }
+function checkAttachments(list) {
+    const normalized = Attachments.normalize(list);
+    if (normalized.error) {
+        return normalized;
+    }
+    const sizeError = Attachments.checkSize(normalized.attachments, ATTACHMENT_MAX_BYTES);
+    return sizeError ? { error: sizeError } : normalized;
+}
 
 // Email sending endpoint
+// Body: { toEmail, toName?, subject, body, from?, attachments?: [{ filename, content (base64) }], cc?, bcc?, replyTo?, dryRun? }
+// toName is the recipient's display name, sent as the To name
 app.post('/api/send-email', async (req, res) => {
     try {
-        const { toEmail, subject, body } = req.body;
+        const { toEmail, subject, body, dryRun } = req.body;
 
         // Validate input
         if (!toEmail || !subject || !body) {
@@ -45,88 +412,52 @@ app.post('/api/send-email', async (req, res) => {
                 error: 'Missing required fields: toEmail, subject, and body are required'
             });
         }
+        if (!isText(toEmail, subject, body)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid fields: toEmail, subject, and body must be strings'
+            });
+        }
 
-        let emailData;
-        let headers;
-
-        if (isBrevoKey) {
-            // Brevo API format
-            emailData = {
-                sender: {
-                    email: FROM_EMAIL,
-                    name: FROM_NAME
-                },
-                to: [{
-                    email: toEmail
-                }],
-                subject: subject,
-                htmlContent: body
-            };
-            headers = {
-                'api-key': API_KEY,
-                'Content-Type': 'application/json'
-            };
-            
-            // Brevo API format
-        } else {
-            // SendGrid API format
-            emailData = {
-                personalizations: [{
-                    to: [{ email: toEmail }]
-                }],
-                from: {
-                    email: FROM_EMAIL,
-                    name: FROM_NAME
-                },
-                subject: subject,
-                content: [{
-                    type: 'text/html',
-                    value: body
-                }]
-            };
-            headers = {
-                'Authorization': `Bearer ${API_KEY}`,
-                'Content-Type': 'application/json'
-            };
+        const unsubscribeError = checkUnsubscribePlaceholder(subject, body);
+        if (unsubscribeError) {
+            return res.status(400).json({ success: false, error: unsubscribeError });
+        }
+
+        const sender = Senders.resolve(SENDERS.senders, req.body.from);
+        const attachments = checkAttachments(req.body.attachments);
+        const copies = Addresses.normalize(req.body);
+        if (sender.error || attachments.error || copies.error) {
+            return res.status(400).json({ success: false, error: sender.error || attachments.error || copies.error });
         }
 
-        // Send email via API
-        const response = await fetch(API_URL, {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify(emailData)
+        if (SuppressionList.isSuppressed(toEmail)) {
+            return res.status(409).json(suppressedResult(toEmail, subject));
+        }
+
+        const message = buildMessage(toEmail, subject, body, {
+            toName: Addresses.normalizeName(req.body.toName),
+            attachments: attachments.attachments,
+            ...Addresses.combine(toEmail, copies, {})
         });
+        const [result] = await sendWithinQuota([message], {
+            dryRun: dryRun === true,
+            sender: sender,
+            user: req.user && req.user.username
+        });
+        setQuotaHeader(req, res);
 
-        if (response.ok) {
-            const responseData = await response.json().catch(() => ({}));
-            const messageId = response.headers.get('x-message-id') 
-                || responseData.messageId 
-                || `${isBrevoKey ? 'brevo' : 'sg'}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-            
-            res.json({
-                success: true,
-                email: toEmail,
-                subject: subject,
-                sentAt: new Date().toISOString(),
-                messageId: messageId
-            });
+        if (result.success) {
+            res.json(result);
         } else {
-            const errorData = await response.json().catch(() => ({}));
-            const errorMessage = errorData.message 
-                || errorData.errors?.[0]?.message 
-                || errorData.error 
-                || `HTTP ${response.status}: ${response.statusText}`;
-            
-            res.status(response.status).json({
-                success: false,
-                email: toEmail,
-                subject: subject,
-                attemptedAt: new Date().toISOString(),
-                errorMessage: errorMessage,
-                errorCode: response.status.toString()
-            });
+            // Pass the provider's HTTP status through; other rejections (e.g. SMTP replies) are a 502
+            const status = parseInt(result.errorCode, 10);
+            res.status(status >= 400 && status < 600 ? status : (result.errorCode === 'SERVER_ERROR' ? 500 : 502)).json(result);
         }
     } catch (error) {
+        if (error.code === 'QUOTA_EXCEEDED') {
+            return sendQuotaExceeded(res, error);
+        }
         console.error('Error sending email:', error);
         res.status(500).json({
             success: false,
@@ -139,9 +470,477 @@ app.post('/api/send-email', async (req, res) => {
     }
 });
 
+// Validate a bulk request body: recipient list, sender, shared and per-recipient attachments and copies,
+// and fill in the shared subject/body
+// Returns { error } or { recipients, sender, attachments, copies }
+function normalizeRecipients({ recipients, subject, body, from, attachments, cc, bcc, replyTo }) {
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+        return { error: 'Missing required field: recipients must be a non-empty array' };
+    }
+    if (!isText(subject || '', body || '')) {
+        return { error: 'Invalid fields: subject and body must be strings' };
+    }
+
+    const sender = Senders.resolve(SENDERS.senders, from);
+    const shared = Attachments.normalize(attachments);
+    const copies = Addresses.normalize({ cc, bcc, replyTo });
+    if (sender.error || shared.error || copies.error) {
+        return { error: sender.error || shared.error || copies.error };
+    }
+
+    const normalized = recipients.map(recipient => ({
+        toEmail: typeof recipient === 'string' ? recipient : recipient && recipient.toEmail,
+        toName: Addresses.normalizeName(recipient && recipient.toName),
+        subject: (recipient && recipient.subject) || subject,
+        body: (recipient && recipient.body) || body,
+        attachments: recipient && recipient.attachments,
+        cc: recipient && recipient.cc,
+        bcc: recipient && recipient.bcc,
+        replyTo: recipient && recipient.replyTo
+    }));
+
+    if (normalized.some(recipient => !recipient.toEmail || !recipient.subject || !recipient.body)) {
+        return { error: 'Missing required fields: every recipient needs toEmail, subject, and body' };
+    }
+    if (normalized.some(recipient => !isText(recipient.toEmail, recipient.subject, recipient.body))) {
+        return { error: 'Invalid fields: every recipient\'s toEmail, subject, and body must be strings' };
+    }
+
+    // Each email carries the shared attachments and copies plus the recipient's own
+    for (const recipient of normalized) {
+        const own = Attachments.normalize(recipient.attachments);
+        const ownCopies = Addresses.normalize(recipient);
+        const error = own.error || ownCopies.error ||
+            Attachments.checkSize([...shared.attachments, ...own.attachments], ATTACHMENT_MAX_BYTES);
+        if (error) {
+            return { error: `${recipient.toEmail}: ${error}` };
+        }
+        recipient.attachments = own.attachments.length > 0 ? own.attachments : undefined;
+        recipient.cc = ownCopies.cc.length > 0 ? ownCopies.cc : undefined;
+        recipient.bcc = ownCopies.bcc.length > 0 ? ownCopies.bcc : undefined;
+        recipient.replyTo = ownCopies.replyTo;
+    }
+
+    const unsubscribeError = normalized
+        .map(recipient => checkUnsubscribePlaceholder(recipient.subject, recipient.body))
+        .find(Boolean);
+    if (unsubscribeError) {
+        return { error: unsubscribeError };
+    }
+
+    return { recipients: normalized, sender: sender, attachments: shared.attachments, copies: copies };
+}
+
+// Send to a list of recipients and return one result per recipient, in the same order
+// options: see sendWithinQuota (including the sender and user), plus { attachments, copies: { cc, bcc, replyTo } } for every recipient
+async function sendBulk(recipients, subject, body, options = {}) {
+    const results = new Array(recipients.length);
+    const sendable = [];
+
+    // Suppressed recipients are answered without contacting the provider
+    recipients.forEach((recipient, index) => {
+        const recipientSubject = recipient.subject || subject;
+        if (SuppressionList.isSuppressed(recipient.toEmail)) {
+            results[index] = suppressedResult(recipient.toEmail, recipientSubject);
+        } else {
+            const message = buildMessage(recipient.toEmail, recipientSubject, recipient.body || body, {
+                toName: recipient.toName,
+                attachments: [...(options.attachments || []), ...(recipient.attachments || [])],
+                ...Addresses.combine(recipient.toEmail, options.copies || {}, recipient)
+            });
+            sendable.push({ index, message });
+        }
+    });
+
+    const sent = await sendWithinQuota(sendable.map(item => item.message), options);
+    sendable.forEach((item, i) => {
+        results[item.index] = sent[i];
+    });
+    return results;
+}
+
+// Bulk email sending endpoint
+// Body: { subject, body, from?, attachments?, cc?, bcc?, replyTo?, dryRun?,
+//         recipients: [{ toEmail, toName?, subject?, body?, attachments?, cc?, bcc?, replyTo? }] }
+// Recipient subject/body/replyTo override the shared ones (e.g. after mail merge);
+// recipient attachments, cc and bcc are sent in addition to the shared ones
+app.post('/api/send-bulk', async (req, res) => {
+    try {
+        const { subject, body, dryRun } = req.body;
+
+        // Validate input
+        const normalized = normalizeRecipients(req.body);
+        if (normalized.error) {
+            return res.status(400).json({
+                success: false,
+                error: normalized.error
+            });
+        }
+
+        const results = await sendBulk(normalized.recipients, subject, body, {
+            dryRun: dryRun === true,
+            sender: normalized.sender,
+            attachments: normalized.attachments,
+            copies: normalized.copies,
+            user: req.user && req.user.username
+        });
+
+        setQuotaHeader(req, res);
+        res.json({
+            success: true,
+            total: results.length,
+            successCount: results.filter(result => result.success).length,
+            failureCount: results.filter(result => !result.success).length,
+            results: results
+        });
+    } catch (error) {
+        if (error.code === 'QUOTA_EXCEEDED') {
+            return sendQuotaExceeded(res, error);
+        }
+        console.error('Error sending bulk emails:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Internal server error',
+            errorCode: 'SERVER_ERROR'
+        });
+    }
+});
+
+// Campaign jobs: the server sends in the background and keeps per-recipient state on disk,
+// so a campaign keeps going (and can be checked) after the browser tab is closed
+CampaignJobs.init({
+    dataDir: DATA_DIR,
+    sendRecipients: sendBulk,
+    batchSize: parseInt(process.env.CAMPAIGN_BATCH_SIZE, 10) || 100,
+    delayBetweenBatches: parseInt(process.env.CAMPAIGN_BATCH_DELAY_MS, 10) || 1000
+});
+
+// Check the schedule of a campaign request: sendAt is a wall-clock time in timeZone
+// Returns { schedule: { scheduledAt, sendAt, timeZone } }, {} when not scheduled, or { error }
+function checkSchedule({ sendAt, timeZone }) {
+    if (!sendAt) {
+        return {};
+    }
+
+    const instant = Schedule.toInstant(sendAt, timeZone);
+    if (instant.error) {
+        return instant;
+    }
+    if (new Date(instant.scheduledAt).getTime() <= Date.now()) {
+        return { error: `sendAt ${sendAt} (${timeZone}) is in the past` };
+    }
+    return { schedule: { scheduledAt: instant.scheduledAt, sendAt: sendAt, timeZone: timeZone } };
+}
+
+// Create a campaign job
+// Body: same as /api/send-bulk, plus sendAt? ('YYYY-MM-DDTHH:mm') and timeZone? (IANA name)
+// to send it at that date and time instead of right away
+app.post('/api/campaigns', (req, res) => {
+    const { subject, body, dryRun } = req.body;
+
+    const normalized = normalizeRecipients(req.body);
+    const schedule = checkSchedule(req.body);
+    if (normalized.error || schedule.error) {
+        return res.status(400).json({
+            success: false,
+            error: normalized.error || schedule.error
+        });
+    }
+
+    // A campaign that starts now must fit in what is left of the quota; scheduled ones are checked
+    // batch by batch when they run (and pause when the quota runs out)
+    const user = req.user && req.user.username;
+    if (!schedule.schedule && !DRY_RUN && dryRun !== true) {
+        const needed = normalized.recipients.reduce((sum, recipient) =>
+            sum + countEmails(Addresses.combine(recipient.toEmail, normalized.copies, recipient)), 0);
+        const quota = Limits.check(user, needed);
+        if (quota.error) {
+            return sendQuotaExceeded(res, Object.assign(new Error(quota.error), quota));
+        }
+    }
+
+    // Only keep a recipient's own subject/body when it differs from the shared one
+    const campaign = CampaignJobs.create({
+        subject: subject,
+        body: body,
+        dryRun: DRY_RUN || dryRun === true,
+        sender: normalized.sender,
+        attachments: normalized.attachments,
+        copies: normalized.copies,
+        schedule: schedule.schedule,
+        createdBy: user,
+        recipients: normalized.recipients.map(recipient => ({
+            toEmail: recipient.toEmail,
+            toName: recipient.toName,
+            subject: recipient.subject !== subject ? recipient.subject : undefined,
+            body: recipient.body !== body ? recipient.body : undefined,
+            attachments: recipient.attachments,
+            cc: recipient.cc,
+            bcc: recipient.bcc,
+            replyTo: recipient.replyTo
+        }))
+    });
+
+    res.status(202).json({ success: true, campaign: campaign });
+});
+
+// List campaign jobs
+app.get('/api/campaigns', (req, res) => {
+    res.json({ success: true, campaigns: CampaignJobs.list() });
+});
+
+// Campaign job status
+app.get('/api/campaigns/:id', (req, res) => {
+    const campaign = CampaignJobs.get(req.params.id);
+    if (!campaign) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+    res.json({ success: true, campaign: campaign });
+});
+
+// Reschedule a scheduled campaign job that has not started yet
+// Body: { sendAt, timeZone }
+app.patch('/api/campaigns/:id', (req, res) => {
+    const campaign = CampaignJobs.get(req.params.id);
+    if (!campaign) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+    if (campaign.status !== 'scheduled') {
+        return res.status(409).json({ success: false, error: `Campaign is ${campaign.status}; only scheduled campaigns can be changed` });
+    }
+
+    const schedule = checkSchedule(req.body);
+    if (!schedule.schedule) {
+        return res.status(400).json({ success: false, error: schedule.error || 'Missing required fields: sendAt and timeZone' });
+    }
+    res.json({ success: true, campaign: CampaignJobs.reschedule(req.params.id, schedule.schedule) });
+});
+
+// Pause, resume or cancel a campaign job (takes effect between batches), or start a scheduled one now
+['pause', 'resume', 'cancel', 'start'].forEach(action => {
+    app.post(`/api/campaigns/:id/${action}`, (req, res) => {
+        const campaign = CampaignJobs[action](req.params.id);
+        if (!campaign) {
+            return res.status(404).json({ success: false, error: 'Campaign not found' });
+        }
+        res.json({ success: true, campaign: campaign });
+    });
+});
+
+// Campaign job per-recipient results
+app.get('/api/campaigns/:id/results', (req, res) => {
+    const results = CampaignJobs.getResults(req.params.id);
+    if (!results) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+    res.json({ success: true, ...results });
+});
+
+// Campaign history: finished campaign jobs and recorded browser sends, newest first
+// Query: q (subject, body or sender), recipient (part of an address), since/until ('YYYY-MM-DD'), offset, limit
+app.get('/api/history', (req, res) => {
+    const dates = ['since', 'until'].filter(name => req.query[name]);
+    const badDate = dates.find(name => !/^\d{4}-\d{2}-\d{2}$/.test(req.query[name]));
+    if (badDate) {
+        return res.status(400).json({ success: false, error: `${badDate} must be a date like 2026-01-31` });
+    }
+
+    const found = CampaignJobs.search({
+        text: req.query.q,
+        recipient: req.query.recipient,
+        since: req.query.since,
+        until: req.query.until,
+        offset: req.query.offset,
+        limit: req.query.limit
+    });
+    res.json({ success: true, ...found });
+});
+
+// Record a send that the browser made batch by batch through /api/send-bulk
+// Body: { subject, body, dryRun?, from?, cc?, bcc?, replyTo?, attachments?: [{ filename }],
+//   results: { success, failure, notSent } } with the per-recipient results of the send
+app.post('/api/history', (req, res) => {
+    const { subject, body, dryRun, results } = req.body;
+    const lists = results && [results.success, results.failure, results.notSent || []];
+    if (typeof subject !== 'string' || !lists || !lists.every(Array.isArray)) {
+        return res.status(400).json({ success: false, error: 'Missing required fields: subject and results ({ success, failure, notSent }) are required' });
+    }
+    if (!lists.every(list => list.every(result => result && typeof result.email === 'string'))) {
+        return res.status(400).json({ success: false, error: 'Every result needs an email' });
+    }
+
+    const sender = Senders.resolve(SENDERS.senders, req.body.from);
+    const copies = Addresses.normalize(req.body);
+    if (sender.error || copies.error) {
+        return res.status(400).json({ success: false, error: sender.error || copies.error });
+    }
+
+    const campaign = CampaignJobs.record({
+        subject: subject,
+        body: typeof body === 'string' ? body : '',
+        dryRun: dryRun === true || results.success.some(result => result.dryRun),
+        sender: sender,
+        copies: copies,
+        attachments: (Array.isArray(req.body.attachments) ? req.body.attachments : [])
+            .filter(attachment => attachment && typeof attachment.filename === 'string')
+            .map(attachment => ({ filename: attachment.filename })),
+        createdBy: req.user && req.user.username,
+        results: { success: lists[0], failure: lists[1], notSent: lists[2] }
+    });
+    res.status(201).json({ success: true, campaign: campaign });
+});
+
+// One campaign of the history with its content and per-recipient results
+app.get('/api/history/:id', (req, res) => {
+    const campaign = CampaignJobs.getDetail(req.params.id);
+    if (!campaign) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+    res.json({ success: true, campaign: campaign, results: CampaignJobs.getResults(req.params.id) });
+});
+
+// Unsubscribe page linked from {{unsubscribe_url}} and the List-Unsubscribe header.
+// GET only shows a confirmation button, so link scanners cannot unsubscribe anyone.
+app.get('/api/unsubscribe', (req, res) => {
+    const email = Unsubscribe.verifyToken(req.query.token);
+    if (!email) {
+        return res.status(400).send(unsubscribePage('Invalid link', 'This unsubscribe link is invalid or has been changed.'));
+    }
+
+    res.send(unsubscribePage('Unsubscribe',
+        `Stop receiving emails from ${escapeHtml(FROM_NAME)} at <strong>${escapeHtml(email)}</strong>?`,
+        `<form method="POST" action="/api/unsubscribe?token=${encodeURIComponent(req.query.token)}">
+            <button type="submit">Unsubscribe</button>
+        </form>`));
+});
+
+// Record an unsubscribe (confirmation button, or RFC 8058 one-click POST from the mail client)
+app.post('/api/unsubscribe', (req, res) => {
+    const email = Unsubscribe.verifyToken(req.query.token || req.body.token);
+    if (!email) {
+        return res.status(400).send(unsubscribePage('Invalid link', 'This unsubscribe link is invalid or has been changed.'));
+    }
+
+    SuppressionList.add(email, {
+        reason: 'unsubscribed',
+        source: req.body['List-Unsubscribe'] === 'One-Click' ? 'one-click' : 'link'
+    });
+    res.send(unsubscribePage('Unsubscribed', `<strong>${escapeHtml(email)}</strong> will no longer receive these emails.`));
+});
+
+// Suppressed addresses
+app.get('/api/suppressions', (req, res) => {
+    res.json({ success: true, suppressions: SuppressionList.list() });
+});
+
+// SendGrid Event Webhook (signed; SENDGRID_WEBHOOK_PUBLIC_KEY is the verification key from SendGrid)
+app.post('/api/webhooks/sendgrid', (req, res) => {
+    const publicKey = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+    if (!publicKey) {
+        return res.status(503).json({ success: false, error: 'SENDGRID_WEBHOOK_PUBLIC_KEY is not set' });
+    }
+
+    const verified = Webhooks.verifySendGrid(publicKey,
+        req.get('X-Twilio-Email-Event-Webhook-Signature'),
+        req.get('X-Twilio-Email-Event-Webhook-Timestamp'),
+        req.rawBody);
+    if (!verified) {
+        return res.status(401).json({ success: false, error: 'Invalid webhook signature' });
+    }
+
+    res.json({ success: true, stored: DeliveryEvents.record(Webhooks.parseSendGrid(req.body)) });
+});
+
+// Brevo transactional webhook (set up with BREVO_WEBHOOK_TOKEN as bearer token or basic auth password)
+app.post('/api/webhooks/brevo', (req, res) => {
+    const token = process.env.BREVO_WEBHOOK_TOKEN;
+    if (!token) {
+        return res.status(503).json({ success: false, error: 'BREVO_WEBHOOK_TOKEN is not set' });
+    }
+    if (!Webhooks.verifyBrevo(token, req.get('Authorization'))) {
+        return res.status(401).json({ success: false, error: 'Invalid webhook credentials' });
+    }
+
+    res.json({ success: true, stored: DeliveryEvents.record(Webhooks.parseBrevo(req.body)) });
+});
+
+// Delivery status of sent messages, from the webhook events received so far
+// Body: { messages: [{ messageId, email }] } - returns one status (or null) per message, in order
+app.post('/api/delivery-status', (req, res) => {
+    const { messages } = req.body;
+    if (!Array.isArray(messages)) {
+        return res.status(400).json({ success: false, error: 'Missing required field: messages must be an array' });
+    }
+
+    res.json({
+        success: true,
+        statuses: messages.map(message => message ? DeliveryEvents.getStatus(message.messageId, message.email) : null)
+    });
+});
+
+// Escape text for the unsubscribe pages
+function escapeHtml(value) {
+    return value.toString()
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Minimal standalone page for unsubscribe responses
+function unsubscribePage(title, message, extra = '') {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; max-width: 480px; margin: 80px auto; padding: 0 20px; text-align: center; color: #333; }
+        button { background: #0d6efd; color: #fff; border: none; border-radius: 8px; padding: 10px 20px; font-size: 16px; cursor: pointer; }
+    </style>
+</head>
+<body>
+    <h2>${title}</h2>
+    <p>${message}</p>
+    ${extra}
+</body>
+</html>`;
+}
+
+// Log in with a username and password from AUTH_USERS
+// Body: { username, password } - returns { token, username, expiresAt }; send the token as `Authorization: Bearer <token>`
+app.post('/api/auth/login', (req, res) => {
+    if (AUTH.disabled) {
+        return res.json({ success: true, authDisabled: true });
+    }
+
+    const session = Auth.login(AUTH, req.body.username, req.body.password);
+    if (!session) {
+        return res.status(401).json({ success: false, error: 'Wrong username or password' });
+    }
+    res.json({ success: true, ...session });
+});
+
+// The logged-in user (401 when the token is missing or expired)
+app.get('/api/auth/me', (req, res) => {
+    res.json({ success: true, authDisabled: AUTH.disabled, user: req.user || null });
+});
+
+// Sending quotas of the logged-in user and what is left of them
+app.get('/api/quota', (req, res) => {
+    res.json({ success: true, quota: Limits.getQuota(req.user && req.user.username) });
+});
+
+// Sender identities the browser can choose from (the first is the default)
+app.get('/api/senders', (req, res) => {
+    res.json({ success: true, senders: SENDERS.senders });
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-    res.json({ status: 'ok', message: 'Email service is running' });
+    res.json({ status: 'ok', message: 'Email service is running', dryRun: DRY_RUN });
 });
 
 // Start server
@@ -149,6 +948,7 @@ app.listen(PORT, () => {
     if (process.env.NODE_ENV !== 'production') {
         console.log(`Server is running on http://localhost:${PORT}`);
         console.log(`Email service API available at http://localhost:${PORT}/api/send-email`);
+        console.log(`Bulk email API available at http://localhost:${PORT}/api/send-bulk`);
     }
 });
 
@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CampaignJobs = require('../lib/campaignJobs');
+
+let dataDir;
+const batches = []; // { emails, resolve } per sendRecipients call, answered by the test
+
+before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'campaign-jobs-'));
+    CampaignJobs.init({
+        dataDir: dataDir,
+        batchSize: 1,
+        delayBetweenBatches: 0,
+        sendRecipients: recipients => new Promise(resolve => {
+            batches.push({ emails: recipients.map(r => r.toEmail), resolve: resolve });
+        })
+    });
+});
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// Let the campaign run until it waits for a batch or stops (batches are 0 ms apart)
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 20));
+}
+
+function answer() {
+    const batch = batches.shift();
+    batch.resolve(batch.emails.map(email => ({ success: true, email: email })));
+}
+
+function create() {
+    return CampaignJobs.create({
+        subject: 'Hi',
+        body: '<p>Hi</p>',
+        recipients: ['a@example.com', 'b@example.com', 'c@example.com'].map(email => ({ toEmail: email }))
+    }).id;
+}
+
+test('resuming during the batch the campaign was paused in keeps the same run going', async () => {
+    const id = create();
+    await settle();
+    assert.equal(batches.length, 1);
+
+    assert.equal(CampaignJobs.pause(id).status, 'paused');
+    assert.equal(CampaignJobs.resume(id).status, 'running');
+    assert.deepEqual(CampaignJobs.queue, []);
+
+    for (let i = 0; i < 3; i++) {
+        answer();
+        await settle();
+    }
+    assert.equal(batches.length, 0);
+    const summary = CampaignJobs.get(id);
+    assert.equal(summary.status, 'completed');
+    assert.equal(summary.successCount, 3);
+});
+
+test('a campaign paused during a batch stops after it and is queued again on resume', async () => {
+    const id = create();
+    await settle();
+
+    CampaignJobs.pause(id);
+    answer();
+    await settle();
+    assert.equal(batches.length, 0);
+    assert.equal(CampaignJobs.get(id).status, 'paused');
+    assert.equal(CampaignJobs.get(id).processed, 1);
+
+    assert.equal(CampaignJobs.resume(id).status, 'running');
+    await settle();
+    answer();
+    await settle();
+    answer();
+    await settle();
+    assert.equal(CampaignJobs.get(id).status, 'completed');
+    assert.equal(CampaignJobs.get(id).successCount, 3);
+});
@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// emailValidator.js is a browser script: run it with the globals index.html provides
+const context = vm.createContext({ URL });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '../../assets/js/emailValidator.js'), 'utf8'), context);
+const EmailValidator = vm.runInContext('EmailValidator', context);
+
+const check = value => {
+    const { status, code, codes, email, suggestion } = EmailValidator.check(value);
+    return { status, code, codes: [...codes], email, suggestion };
+};
+
+test('a plain address is valid and sent with its domain lowercased', () => {
+    assert.deepEqual(check('  Jane.Doe+news@Example.COM '), {
+        status: 'valid', code: null, codes: [], email: 'Jane.Doe+news@example.com', suggestion: undefined
+    });
+});
+
+test('syntax and domain errors make an address invalid', () => {
+    [
+        ['', 'INVALID_SYNTAX'],
+        ['jane.example.com', 'INVALID_SYNTAX'],
+        ['jane@', 'INVALID_SYNTAX'],
+        ['jane..doe@example.com', 'INVALID_SYNTAX'],
+        ['jane doe@example.com', 'INVALID_SYNTAX'],
+        [`${'a'.repeat(65)}@example.com`, 'INVALID_SYNTAX'],
+        ['jane@example', 'INVALID_DOMAIN'],
+        ['jane@example.c0m', 'INVALID_DOMAIN'],
+        ['jane@exam_ple.com', 'INVALID_DOMAIN'],
+        ['jane@-example.com', 'INVALID_DOMAIN'],
+        ['jane@example..com', 'INVALID_DOMAIN']
+    ].forEach(([address, code]) => {
+        const result = EmailValidator.check(address);
+        assert.equal(result.status, 'invalid', address);
+        assert.equal(result.code, code, address);
+        assert.ok(result.detail, address);
+    });
+});
+
+test('likely domain typos are flagged with a suggested fix', () => {
+    assert.deepEqual(check('jane@gmial.com'), {
+        status: 'flagged', code: 'DOMAIN_TYPO', codes: ['DOMAIN_TYPO'], email: 'jane@gmial.com', suggestion: 'jane@gmail.com'
+    });
+    assert.equal(check('jane@yahooo.com').suggestion, 'jane@yahoo.com');
+    assert.equal(check('jane@hotmial.co.uk').suggestion, 'jane@hotmail.co.uk');
+    assert.equal(check('jane@gmail.con').suggestion, 'jane@gmail.com');
+    assert.equal(check('jane@example.con').suggestion, 'jane@example.com');
+    assert.equal(EmailValidator.describe(EmailValidator.check('jane@gmial.com')),
+        'Possible typo in the domain (did you mean jane@gmail.com?)');
+
+    // Exact matches, other endings and unrelated domains are not typos
+    ['jane@gmail.com', 'jane@gmx.at', 'jane@example.com', 'jane@acme.co.uk'].forEach(address => {
+        assert.equal(check(address).status, 'valid', address);
+    });
+});
+
+test('role accounts and disposable domains are flagged', () => {
+    assert.deepEqual(check('info@example.com').codes, ['ROLE_ACCOUNT']);
+    assert.deepEqual(check('Support+eu@example.com').codes, ['ROLE_ACCOUNT']);
+    assert.deepEqual(check('jane@mailinator.com').codes, ['DISPOSABLE_DOMAIN']);
+    assert.deepEqual(check('jane@eu.yopmail.com').codes, ['DISPOSABLE_DOMAIN']);
+    assert.deepEqual(check('admin@guerrillamail.com').codes, ['DISPOSABLE_DOMAIN', 'ROLE_ACCOUNT']);
+    assert.equal(check('admin@guerrillamail.com').status, 'flagged');
+    assert.equal(check('information@example.com').status, 'valid');
+});
+
+test('international domains are converted to punycode', () => {
+    assert.deepEqual(check('jane@münchen.de'), {
+        status: 'valid', code: null, codes: [], email: 'jane@xn--mnchen-3ya.de', suggestion: undefined
+    });
+    assert.equal(check('jane@MÜNCHEN.de').email, 'jane@xn--mnchen-3ya.de');
+    assert.equal(check('jane@xn--mnchen-3ya.de').status, 'valid');
+    assert.equal(check('jane@例え.テスト').email, 'jane@xn--r8jz45g.xn--zckzah');
+    assert.equal(check('jane@xn--zz.de').code, 'INVALID_IDN');
+    // Accents are only allowed in the domain
+    assert.equal(check('jané@example.com').code, 'INVALID_SYNTAX');
+});
+
+test('parseAddresses reads display names, mailto links and several addresses per cell', () => {
+    const parse = value => Array.from(EmailValidator.parseAddresses(value), ({ address, name }) => ({ address, name }));
+
+    assert.deepEqual(parse('jane@example.com'), [{ address: 'jane@example.com', name: '' }]);
+    assert.deepEqual(parse('Jane Doe <jane@example.com>'), [{ address: 'jane@example.com', name: 'Jane Doe' }]);
+    assert.deepEqual(parse('"Doe, Jane" <jane@example.com>'), [{ address: 'jane@example.com', name: 'Doe, Jane' }]);
+    assert.deepEqual(parse('Doe, Jane <jane@example.com>'), [{ address: 'jane@example.com', name: 'Doe, Jane' }]);
+    assert.deepEqual(parse('<jane@example.com>'), [{ address: 'jane@example.com', name: '' }]);
+    assert.deepEqual(parse('jane@example.com <jane@example.com>'), [{ address: 'jane@example.com', name: '' }]);
+
+    assert.deepEqual(parse('mailto:jane@example.com?subject=Hello&cc=bob@example.com'), [{ address: 'jane@example.com', name: '' }]);
+    assert.deepEqual(parse('MAILTO:jane%40example.com'), [{ address: 'jane@example.com', name: '' }]);
+
+    assert.deepEqual(parse('jane@example.com; Bob <bob@example.com>,\ncarol@example.com'), [
+        { address: 'jane@example.com', name: '' },
+        { address: 'bob@example.com', name: 'Bob' },
+        { address: 'carol@example.com', name: '' }
+    ]);
+    assert.deepEqual(parse(' ; , '), []);
+    assert.deepEqual(parse(null), []);
+    assert.deepEqual(parse(12345), [{ address: '12345', name: '' }]);
+});
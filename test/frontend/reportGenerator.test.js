@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const XLSX = require('xlsx');
+
+// reportGenerator.js is a browser script: run it with the globals index.html provides
+const context = vm.createContext({ XLSX, Blob, TextEncoder, TextDecoder, Config: { report: {} } });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '../../assets/js/reportGenerator.js'), 'utf8'), context);
+const ReportGenerator = vm.runInContext('ReportGenerator', context);
+
+const pane = /<sheetView\b[^>]*><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"\/><\/sheetView>/;
+
+test('the full report has frozen headers and autofilters on every data sheet', async () => {
+    const results = {
+        success: [{ email: 'jane@example.com', subject: 'Hi', sentAt: '2026-01-31T10:00:00Z', messageId: 'm1' }],
+        failure: [{ email: 'bob@example.com', subject: 'Hi', attemptedAt: '2026-01-31T10:00:01Z', errorMessage: 'Bounced' }],
+        notSent: []
+    };
+    const blob = ReportGenerator.generateFullReport(results, {
+        summary: { total: 2, success: 1, failure: 1, notSent: 0, successRate: 50 },
+        subject: 'Hi',
+        startedAt: '2026-01-31T10:00:00Z',
+        finishedAt: '2026-01-31T10:01:05Z'
+    });
+    const file = new Uint8Array(await blob.arrayBuffer());
+
+    // Read the sheet XML back from the written file
+    const zip = XLSX.CFB.read(file, { type: 'array' });
+    const sheetXml = number => new TextDecoder().decode(XLSX.CFB.find(zip, `/xl/worksheets/sheet${number}.xml`).content);
+    assert.doesNotMatch(sheetXml(1), /<pane\b/);
+    [2, 3, 4, 5].forEach(number => assert.match(sheetXml(number), pane, `sheet ${number}`));
+
+    const workbook = XLSX.read(file, { type: 'array' });
+    assert.deepEqual(workbook.SheetNames, ['Summary', 'Sent', 'Failed', 'Not Sent', 'Skipped']);
+    assert.equal(workbook.Sheets.Sent['!autofilter'].ref, 'A1:J2');
+    assert.equal(workbook.Sheets['Not Sent']['!autofilter'].ref, 'A1:F1');
+    assert.equal(workbook.Sheets.Failed.A2.v, 'bob@example.com');
+});
+
+test('freezeHeaderRow handles every way a sheet view can be written', () => {
+    const wrap = views => `<worksheet>${views}<sheetData/></worksheet>`;
+
+    assert.match(ReportGenerator.freezeHeaderRow(wrap('<sheetViews><sheetView workbookViewId="0"/></sheetViews>')), pane);
+    assert.match(ReportGenerator.freezeHeaderRow(wrap('<sheetViews><sheetView workbookViewId="0"></sheetView></sheetViews>')), pane);
+    assert.match(ReportGenerator.freezeHeaderRow(wrap('')), pane);
+
+    const withSelection = ReportGenerator.freezeHeaderRow(wrap('<sheetViews><sheetView workbookViewId="0"><selection activeCell="B2"/></sheetView></sheetViews>'));
+    assert.match(withSelection, /<sheetView workbookViewId="0"><pane [^>]*state="frozen"\/><selection activeCell="B2"\/><\/sheetView>/);
+
+    const frozen = wrap('<sheetViews><sheetView workbookViewId="0"><pane ySplit="2" state="frozen"/></sheetView></sheetViews>');
+    assert.equal(ReportGenerator.freezeHeaderRow(frozen), frozen);
+});
@@ -0,0 +1,62 @@
+// Mock Provider - Local HTTP server standing in for a provider API in the adapter tests
+//
+// Every request is recorded, and each one is answered with the next queued reply
+// (200 with an empty JSON object when none is queued).
+
+const http = require('http');
+
+/**
+ * Start a mock provider on a free local port
+ * @returns {Promise<Object>} { url, requests: [{ method, path, headers, body }], reply(status, body, headers?), close() }
+ */
+async function startMockProvider() {
+    const requests = [];
+    const replies = [];
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            requests.push({ method: req.method, path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+
+            const reply = replies.shift() || { status: 200, body: {}, headers: {} };
+            res.writeHead(reply.status, { 'Content-Type': 'application/json', ...reply.headers });
+            res.end(typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests: requests,
+        reply(status, body, headers = {}) {
+            replies.push({ status, body, headers });
+        },
+        close() {
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+/**
+ * Transport for Providers.send, like server.js sendProviderRequest without the retries
+ * @param {Object} request - Request built by an adapter
+ * @returns {Promise<Object>} { status, statusText, headers, body, attempts }
+ */
+async function transport(request) {
+    const response = await fetch(request.url, {
+        method: request.method,
+        headers: request.headers,
+        body: request.body
+    });
+
+    return {
+        status: response.status,
+        statusText: response.statusText,
+        headers: Object.fromEntries(response.headers),
+        body: await response.text(),
+        attempts: 1
+    };
+}
+
+module.exports = { startMockProvider, transport };
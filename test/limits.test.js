@@ -0,0 +1,103 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Limits = require('../lib/limits');
+
+let clock;
+
+// Start every test from fresh limits with a clock the test moves by hand
+function init(env, options = {}) {
+    Limits.init(Limits.fromEnv(env), { ...options, now: () => clock });
+}
+
+beforeEach(() => {
+    clock = Date.parse('2026-01-30T12:00:00Z');
+});
+
+test('a rate limit bucket empties and refills over the minute', () => {
+    init({ RATE_LIMIT_PER_MINUTE: '2' });
+    const perMinute = Limits.settings.userPerMinute;
+
+    assert.equal(Limits.take('user:alice', perMinute).allowed, true);
+    assert.equal(Limits.take('user:alice', perMinute).remaining, 0);
+    assert.deepEqual(Limits.take('user:alice', perMinute), { allowed: false, limit: 2, remaining: 0, retryAfter: 30 });
+    // Other keys have their own bucket
+    assert.equal(Limits.take('user:bob', perMinute).allowed, true);
+
+    clock += 29 * 1000;
+    assert.equal(Limits.take('user:alice', perMinute).allowed, false);
+    clock += 1000;
+    assert.equal(Limits.take('user:alice', perMinute).allowed, true);
+
+    // Idle for longer than a minute: the bucket is full again, not fuller
+    clock += 5 * 60 * 1000;
+    assert.equal(Limits.take('user:alice', perMinute).remaining, 1);
+});
+
+test('a limit of 0 is unlimited', () => {
+    init({ RATE_LIMIT_PER_MINUTE: '0', RATE_LIMIT_IP_PER_MINUTE: '0' });
+
+    for (let i = 0; i < 1000; i++) {
+        assert.equal(Limits.take('ip:203.0.113.7', Limits.settings.ipPerMinute).allowed, true);
+    }
+    assert.equal(Limits.getQuota('alice').remaining, null);
+});
+
+test('quotas reset at the start of the next UTC day and month', () => {
+    init({ QUOTA_DAILY: '3', QUOTA_MONTHLY: '5' });
+
+    assert.deepEqual(Limits.reserve('alice', 3), { remaining: 0 });
+    const refused = Limits.reserve('alice', 1);
+    assert.match(refused.error, /exceed the daily quota of 3/);
+    assert.equal(refused.retryAfter, 12 * 3600);
+
+    // Next day: the daily count starts over, the monthly one goes on
+    clock = Date.parse('2026-01-31T00:00:00Z');
+    let quota = Limits.getQuota('alice');
+    assert.equal(quota.daily.used, 0);
+    assert.equal(quota.monthly.used, 3);
+    assert.equal(quota.remaining, 2);
+    assert.match(Limits.reserve('alice', 3).error, /exceed the monthly quota of 5/);
+    assert.deepEqual(Limits.reserve('alice', 2), { remaining: 0 });
+
+    // Next month: both start over
+    clock = Date.parse('2026-02-01T00:00:01Z');
+    quota = Limits.getQuota('alice');
+    assert.equal(quota.daily.used, 0);
+    assert.equal(quota.monthly.used, 0);
+    assert.equal(quota.monthly.resetsAt, '2026-03-01T00:00:00.000Z');
+});
+
+test('saved usage from an earlier day is rolled over on start', () => {
+    init({ QUOTA_USER_DAILY: '10', QUOTA_USER_MONTHLY: '100' }, {
+        usage: { day: '2026-01-29', month: '2026-01', total: { day: 7, month: 40 }, users: { alice: { day: 7, month: 40 } } }
+    });
+
+    const quota = Limits.getQuota('alice');
+    assert.equal(quota.userDaily.used, 0);
+    assert.equal(quota.userMonthly.used, 40);
+    assert.equal(quota.daily, null);
+});
+
+test('emails that were not sent are given back to the quotas', () => {
+    const changes = [];
+    init({ QUOTA_DAILY: '10', QUOTA_USER_DAILY: '4' }, { onChange: usage => changes.push(usage.total.day) });
+
+    // Reserve a send of 4, then 3 of them fail
+    assert.deepEqual(Limits.reserve('alice', 4), { remaining: 0 });
+    assert.match(Limits.check('alice', 1).error, /exceed your daily quota of 4/);
+    Limits.release('alice', 3);
+
+    const quota = Limits.getQuota('alice');
+    assert.equal(quota.daily.used, 1);
+    assert.equal(quota.userDaily.used, 1);
+    assert.equal(quota.remaining, 3);
+    assert.deepEqual(changes, [4, 1]);
+
+    // Other users only share the service-wide quota
+    assert.equal(Limits.getQuota('bob').userDaily.used, 0);
+    assert.equal(Limits.getQuota('bob').remaining, 4);
+
+    // Giving back more than was counted does not go below zero
+    Limits.release('alice', 10);
+    assert.equal(Limits.getQuota('alice').daily.used, 0);
+});
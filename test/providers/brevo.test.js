@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Providers = require('../../lib/providers');
+const { startMockProvider, transport } = require('../helpers/mockProvider');
+
+let mock;
+let config;
+
+before(async () => {
+    mock = await startMockProvider();
+    config = {
+        ...Providers.fromEnv({ EMAIL_PROVIDER: 'brevo', EMAIL_API_KEY: 'xkeysib-test', EMAIL_API_URL: `${mock.url}/v3/smtp/email` }),
+        fromEmail: 'sender@example.com',
+        fromName: 'Sender'
+    };
+});
+
+after(() => mock.close());
+
+test('batches messages as messageVersions with their own subject, body and headers', async () => {
+    mock.requests.length = 0;
+    mock.reply(201, { messageIds: ['<b1@smtp-relay>', '<b2@smtp-relay>'] });
+
+    const results = await Providers.send(config, [
+        { toEmail: 'jane@example.com', toName: 'Jane', subject: 'Hi {{name}}', body: '<p>Hi {{name}}</p>', substitutions: { '{{name}}': 'Jane' },
+            headers: { 'List-Unsubscribe': '<https://example.com/u/jane>' } },
+        { toEmail: 'bob@example.com', subject: 'Hi {{name}}', body: '<p>Hi {{name}}</p>', substitutions: { '{{name}}': 'Bob' },
+            headers: { 'List-Unsubscribe': '<https://example.com/u/bob>' }, cc: ['boss@example.com'] }
+    ], transport);
+
+    assert.equal(mock.requests.length, 1);
+    const [request] = mock.requests;
+    assert.equal(request.path, '/v3/smtp/email');
+    assert.equal(request.headers['api-key'], 'xkeysib-test');
+
+    const payload = JSON.parse(request.body);
+    assert.deepEqual(payload.sender, { email: 'sender@example.com', name: 'Sender' });
+    assert.equal(payload.subject, 'Hi Jane');
+    assert.equal(payload.htmlContent, '<p>Hi Jane</p>');
+    assert.deepEqual(payload.messageVersions, [
+        { to: [{ email: 'jane@example.com', name: 'Jane' }], headers: { 'List-Unsubscribe': '<https://example.com/u/jane>' } },
+        {
+            to: [{ email: 'bob@example.com' }],
+            cc: [{ email: 'boss@example.com' }],
+            subject: 'Hi Bob',
+            htmlContent: '<p>Hi Bob</p>',
+            headers: { 'List-Unsubscribe': '<https://example.com/u/bob>' }
+        }
+    ]);
+
+    assert.deepEqual(results.map(result => [result.email, result.success, result.messageId]), [
+        ['jane@example.com', true, '<b1@smtp-relay>'],
+        ['bob@example.com', true, '<b2@smtp-relay>']
+    ]);
+});
+
+test('sends a lone message as a plain email with the sandbox header on dry runs', async () => {
+    mock.requests.length = 0;
+    mock.reply(201, { messageId: '<single@smtp-relay>' });
+
+    const [result] = await Providers.send({ ...config, sandbox: true }, [
+        { toEmail: 'jane@example.com', subject: 'Hi', body: '<p>Hi</p>', attachments: [{ filename: 'a.txt', content: 'aGk=', type: 'text/plain' }] }
+    ], transport);
+
+    const payload = JSON.parse(mock.requests[0].body);
+    assert.deepEqual(payload.to, [{ email: 'jane@example.com' }]);
+    assert.deepEqual(payload.headers, { 'X-Sib-Sandbox': 'drop' });
+    assert.deepEqual(payload.attachment, [{ name: 'a.txt', content: 'aGk=' }]);
+    assert.equal(payload.messageVersions, undefined);
+    assert.equal(result.messageId, '<single@smtp-relay>');
+});
+
+test('reports the Brevo error message', async () => {
+    mock.reply(401, { code: 'unauthorized', message: 'Key not found' });
+
+    const [result] = await Providers.send(config, [{ toEmail: 'jane@example.com', subject: 'Hi', body: '<p>Hi</p>' }], transport);
+
+    assert.equal(result.success, false);
+    assert.equal(result.errorCode, '401');
+    assert.equal(result.errorMessage, 'Key not found');
+});
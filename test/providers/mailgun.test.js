@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Providers = require('../../lib/providers');
+const { startMockProvider, transport } = require('../helpers/mockProvider');
+
+let mock;
+let config;
+
+before(async () => {
+    mock = await startMockProvider();
+    config = {
+        ...Providers.fromEnv({ EMAIL_PROVIDER: 'mailgun', EMAIL_API_KEY: 'key-test', EMAIL_API_URL: `${mock.url}/v3/mg.example.com/messages` }),
+        fromEmail: 'sender@example.com',
+        fromName: 'Sender'
+    };
+});
+
+after(() => mock.close());
+
+test('batches messages with recipient-variables for substitutions and subjects', async () => {
+    mock.requests.length = 0;
+    mock.reply(200, { id: '<batch@mg.example.com>', message: 'Queued. Thank you.' });
+
+    const results = await Providers.send(config, [
+        { toEmail: 'jane@example.com', toName: 'Jane', subject: 'Hi {{name}}', body: '<p>Hi {{name}}</p>', substitutions: { '{{name}}': 'Jane' } },
+        { toEmail: 'bob@example.com', subject: 'Hello {{name}}', body: '<p>Hi {{name}}</p>', substitutions: { '{{name}}': 'Bob' } }
+    ], transport);
+
+    assert.equal(mock.requests.length, 1);
+    const [request] = mock.requests;
+    assert.equal(request.path, '/v3/mg.example.com/messages');
+    assert.equal(request.headers.authorization, `Basic ${Buffer.from('api:key-test').toString('base64')}`);
+    assert.equal(request.headers['content-type'], 'application/x-www-form-urlencoded');
+
+    const form = new URLSearchParams(request.body);
+    assert.equal(form.get('from'), '"Sender" <sender@example.com>');
+    assert.deepEqual(form.getAll('to'), ['"Jane" <jane@example.com>', 'bob@example.com']);
+    assert.equal(form.get('subject'), '%recipient.subject%');
+    assert.equal(form.get('html'), '<p>Hi %recipient.v0%</p>');
+    assert.deepEqual(JSON.parse(form.get('recipient-variables')), {
+        'jane@example.com': { v0: 'Jane', subject: 'Hi Jane' },
+        'bob@example.com': { v0: 'Bob', subject: 'Hello Bob' }
+    });
+
+    assert.deepEqual(results.map(result => [result.email, result.success, result.messageId]), [
+        ['jane@example.com', true, '<batch@mg.example.com>'],
+        ['bob@example.com', true, '<batch@mg.example.com>']
+    ]);
+});
+
+test('sends a message with headers on its own, in test mode on dry runs', async () => {
+    mock.requests.length = 0;
+
+    await Providers.send({ ...config, sandbox: true }, [
+        { toEmail: 'jane@example.com', subject: 'Hi', body: '<p>Hi</p>', headers: { 'List-Unsubscribe': '<https://example.com/u/jane>' } },
+        { toEmail: 'bob@example.com', subject: 'Hi', body: '<p>Hi</p>' }
+    ], transport);
+
+    assert.equal(mock.requests.length, 2);
+    const form = new URLSearchParams(mock.requests[0].body);
+    assert.deepEqual(form.getAll('to'), ['jane@example.com']);
+    assert.equal(form.get('h:List-Unsubscribe'), '<https://example.com/u/jane>');
+    assert.equal(form.get('o:testmode'), 'yes');
+});
+
+test('reports plain text Mailgun errors', async () => {
+    mock.reply(401, 'Forbidden', { 'Content-Type': 'text/plain' });
+
+    const [result] = await Providers.send(config, [{ toEmail: 'jane@example.com', subject: 'Hi', body: '<p>Hi</p>' }], transport);
+
+    assert.equal(result.success, false);
+    assert.equal(result.errorCode, '401');
+    assert.equal(result.errorMessage, 'Forbidden');
+});
@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Providers = require('../../lib/providers');
+const { startMockProvider, transport } = require('../helpers/mockProvider');
+
+let mock;
+let config;
+
+before(async () => {
+    mock = await startMockProvider();
+    config = {
+        ...Providers.fromEnv({
+            EMAIL_PROVIDER: 'postmark',
+            EMAIL_API_KEY: 'pm-token',
+            EMAIL_API_URL: `${mock.url}/email/batch`,
+            POSTMARK_MESSAGE_STREAM: 'broadcast'
+        }),
+        fromEmail: 'sender@example.com',
+        fromName: 'Sender'
+    };
+});
+
+after(() => mock.close());
+
+test('sends complete messages in one batch and reads each result', async () => {
+    mock.requests.length = 0;
+    mock.reply(200, [
+        { ErrorCode: 0, Message: 'OK', MessageID: 'pm-1', To: 'jane@example.com' },
+        { ErrorCode: 406, Message: 'Address is inactive.', To: 'bob@example.com' }
+    ]);
+
+    const results = await Providers.send(config, [
+        { toEmail: 'jane@example.com', toName: 'Jane', subject: 'Hi {{name}}', body: '<p>Hi {{name}}</p>', substitutions: { '{{name}}': 'Jane' },
+            headers: { 'List-Unsubscribe': '<https://example.com/u/jane>' }, replyTo: 'help@example.com' },
+        { toEmail: 'bob@example.com', subject: 'Hi {{name}}', body: '<p>Hi {{name}}</p>', substitutions: { '{{name}}': 'Bob' }, bcc: ['log@example.com'] }
+    ], transport);
+
+    assert.equal(mock.requests.length, 1);
+    const [request] = mock.requests;
+    assert.equal(request.path, '/email/batch');
+    assert.equal(request.headers['x-postmark-server-token'], 'pm-token');
+    assert.equal(request.headers.accept, 'application/json');
+    assert.deepEqual(JSON.parse(request.body), [
+        {
+            From: '"Sender" <sender@example.com>',
+            To: '"Jane" <jane@example.com>',
+            Subject: 'Hi Jane',
+            HtmlBody: '<p>Hi Jane</p>',
+            ReplyTo: 'help@example.com',
+            Headers: [{ Name: 'List-Unsubscribe', Value: '<https://example.com/u/jane>' }],
+            MessageStream: 'broadcast'
+        },
+        {
+            From: '"Sender" <sender@example.com>',
+            To: 'bob@example.com',
+            Subject: 'Hi Bob',
+            HtmlBody: '<p>Hi Bob</p>',
+            Bcc: 'log@example.com',
+            MessageStream: 'broadcast'
+        }
+    ]);
+
+    assert.equal(results[0].success, true);
+    assert.equal(results[0].messageId, 'pm-1');
+    assert.equal(results[1].success, false);
+    assert.equal(results[1].errorCode, '422');
+    assert.equal(results[1].errorMessage, 'Address is inactive. (Postmark error 406)');
+});
+
+test('reports the Postmark error message when the whole request fails', async () => {
+    mock.reply(401, { ErrorCode: 10, Message: 'Bad or missing Server API token.' });
+
+    const [result] = await Providers.send(config, [{ toEmail: 'jane@example.com', subject: 'Hi', body: '<p>Hi</p>' }], transport);
+
+    assert.equal(result.success, false);
+    assert.equal(result.errorCode, '401');
+    assert.equal(result.errorMessage, 'Bad or missing Server API token.');
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ProviderHelpers = require('../../lib/providers/helpers');
+
+const settings = ProviderHelpers.retrySettings({});
+
+test('retry settings come from the environment with defaults', () => {
+    assert.deepEqual(settings, { maxAttempts: 4, baseDelayMs: 1000, maxDelayMs: 30000 });
+    assert.deepEqual(ProviderHelpers.retrySettings({ EMAIL_RETRY_MAX_ATTEMPTS: '-1', EMAIL_RETRY_BASE_DELAY_MS: '200', EMAIL_RETRY_MAX_DELAY_MS: '5000' }),
+        { maxAttempts: 1, baseDelayMs: 200, maxDelayMs: 5000 });
+});
+
+test('only rate limits and server errors are retried', () => {
+    [200, 202, 400, 401, 404, 422].forEach(status => assert.equal(ProviderHelpers.retryDelay(status, undefined, 1, settings), null, `${status}`));
+    [429, 500, 502, 503].forEach(status => assert.equal(typeof ProviderHelpers.retryDelay(status, undefined, 1, settings), 'number', `${status}`));
+});
+
+test('gives up once the attempts are used', () => {
+    assert.notEqual(ProviderHelpers.retryDelay(503, undefined, 3, settings), null);
+    assert.equal(ProviderHelpers.retryDelay(503, undefined, 4, settings), null);
+    assert.equal(ProviderHelpers.retryDelay(503, undefined, 1, { ...settings, maxAttempts: 1 }), null);
+});
+
+test('backs off exponentially with jitter, up to the max delay', () => {
+    for (let i = 0; i < 50; i++) {
+        const first = ProviderHelpers.retryDelay(500, undefined, 1, settings);
+        assert.ok(first >= 500 && first <= 1000, `${first}`);
+        const third = ProviderHelpers.retryDelay(429, undefined, 3, settings);
+        assert.ok(third >= 2000 && third <= 4000, `${third}`);
+        const capped = ProviderHelpers.backoffDelay(10, settings);
+        assert.ok(capped >= 15000 && capped <= 30000, `${capped}`);
+    }
+});
+
+test('waits as long as Retry-After asks, unless it is longer than the max delay', () => {
+    assert.equal(ProviderHelpers.retryDelay(429, '2', 1, settings), 2000);
+    assert.equal(ProviderHelpers.retryDelay(429, '0', 1, settings), 0);
+    assert.equal(ProviderHelpers.retryDelay(429, '120', 1, settings), null);
+
+    const date = new Date(Date.now() + 10000).toUTCString();
+    const delay = ProviderHelpers.retryDelay(503, date, 1, settings);
+    assert.ok(delay > 8000 && delay <= 10000, `${delay}`);
+    assert.equal(ProviderHelpers.retryDelay(503, new Date(Date.now() - 60000).toUTCString(), 1, settings), 0);
+
+    // An unreadable header falls back to the backoff
+    const fallback = ProviderHelpers.retryDelay(503, 'soon', 1, settings);
+    assert.ok(fallback >= 500 && fallback <= 1000, `${fallback}`);
+});
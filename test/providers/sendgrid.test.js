@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Providers = require('../../lib/providers');
+const { startMockProvider, transport } = require('../helpers/mockProvider');
+
+let mock;
+let config;
+
+before(async () => {
+    mock = await startMockProvider();
+    // EMAIL_API_URL points the adapter at the mock instead of api.sendgrid.com
+    config = {
+        ...Providers.fromEnv({ EMAIL_PROVIDER: 'sendgrid', EMAIL_API_KEY: 'SG.test', EMAIL_API_URL: `${mock.url}/v3/mail/send` }),
+        fromEmail: 'sender@example.com',
+        fromName: 'Sender'
+    };
+});
+
+after(() => mock.close());
+
+test('batches messages with the same body as personalizations', async () => {
+    mock.requests.length = 0;
+    mock.reply(202, '', { 'X-Message-Id': 'sg-batch-1' });
+    mock.reply(202, '', { 'X-Message-Id': 'sg-batch-2' });
+
+    const results = await Providers.send(config, [
+        { toEmail: 'jane@example.com', toName: 'Jane', subject: 'Hi {{name}}', body: '<p>Hi {{name}}</p>', substitutions: { '{{name}}': 'Jane' } },
+        { toEmail: 'bob@example.com', subject: 'Hi {{name}}', body: '<p>Hi {{name}}</p>', substitutions: { '{{name}}': 'Bob' },
+            headers: { 'List-Unsubscribe': '<https://example.com/u/bob>' } },
+        { toEmail: 'ann@example.com', subject: 'Other', body: '<p>Other</p>' }
+    ], transport);
+
+    assert.equal(mock.requests.length, 2);
+    const [first, second] = mock.requests;
+    assert.equal(first.method, 'POST');
+    assert.equal(first.path, '/v3/mail/send');
+    assert.equal(first.headers.authorization, 'Bearer SG.test');
+    assert.equal(first.headers['content-type'], 'application/json');
+
+    const payload = JSON.parse(first.body);
+    assert.deepEqual(payload.from, { email: 'sender@example.com', name: 'Sender' });
+    assert.deepEqual(payload.content, [{ type: 'text/html', value: '<p>Hi {{name}}</p>' }]);
+    assert.deepEqual(payload.personalizations, [
+        { to: [{ email: 'jane@example.com', name: 'Jane' }], subject: 'Hi Jane', substitutions: { '{{name}}': 'Jane' } },
+        {
+            to: [{ email: 'bob@example.com' }],
+            subject: 'Hi Bob',
+            substitutions: { '{{name}}': 'Bob' },
+            headers: { 'List-Unsubscribe': '<https://example.com/u/bob>' }
+        }
+    ]);
+    assert.equal(JSON.parse(second.body).personalizations.length, 1);
+
+    assert.deepEqual(results.map(result => [result.email, result.success, result.messageId]), [
+        ['jane@example.com', true, 'sg-batch-1'],
+        ['bob@example.com', true, 'sg-batch-1'],
+        ['ann@example.com', true, 'sg-batch-2']
+    ]);
+});
+
+test('asks for sandbox mode on dry runs', async () => {
+    mock.requests.length = 0;
+    mock.reply(200, '');
+
+    await Providers.send({ ...config, sandbox: true }, [{ toEmail: 'jane@example.com', subject: 'Hi', body: '<p>Hi</p>' }], transport);
+
+    assert.deepEqual(JSON.parse(mock.requests[0].body).mail_settings, { sandbox_mode: { enable: true } });
+});
+
+test('reports the first SendGrid error for every message of the request', async () => {
+    mock.reply(400, { errors: [{ message: 'The from address does not match a verified Sender Identity' }] });
+
+    const results = await Providers.send(config, [
+        { toEmail: 'jane@example.com', subject: 'Hi', body: '<p>Hi</p>' },
+        { toEmail: 'bob@example.com', subject: 'Hi', body: '<p>Hi</p>' }
+    ], transport);
+
+    results.forEach(result => {
+        assert.equal(result.success, false);
+        assert.equal(result.errorCode, '400');
+        assert.equal(result.errorMessage, 'The from address does not match a verified Sender Identity');
+    });
+});
@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Providers = require('../../lib/providers');
+const { startMockProvider, transport } = require('../helpers/mockProvider');
+
+let mock;
+let config;
+
+before(async () => {
+    mock = await startMockProvider();
+    config = {
+        ...Providers.fromEnv({
+            EMAIL_PROVIDER: 'ses',
+            EMAIL_API_URL: `${mock.url}/v2/email/outbound-emails`,
+            SES_REGION: 'eu-west-1',
+            SES_ACCESS_KEY_ID: 'AKIDTEST',
+            SES_SECRET_ACCESS_KEY: 'secret'
+        }),
+        fromEmail: 'sender@example.com',
+        fromName: 'Sender'
+    };
+});
+
+after(() => mock.close());
+
+test('sends one signed request per message', async () => {
+    mock.requests.length = 0;
+    mock.reply(200, { MessageId: 'ses-1' });
+    mock.reply(200, { MessageId: 'ses-2' });
+
+    const results = await Providers.send(config, [
+        { toEmail: 'jane@example.com', toName: 'Jane', subject: 'Hi {{name}}', body: '<p>Hi {{name}}</p>', substitutions: { '{{name}}': 'Jane' },
+            headers: { 'List-Unsubscribe': '<https://example.com/u/jane>' }, cc: ['boss@example.com'] },
+        { toEmail: 'bob@example.com', subject: 'Hi {{name}}', body: '<p>Hi {{name}}</p>', substitutions: { '{{name}}': 'Bob' } }
+    ], transport);
+
+    assert.equal(mock.requests.length, 2);
+    const [request] = mock.requests;
+    assert.equal(request.path, '/v2/email/outbound-emails');
+    assert.match(request.headers['x-amz-date'], /^\d{8}T\d{6}Z$/);
+    assert.match(request.headers.authorization,
+        /^AWS4-HMAC-SHA256 Credential=AKIDTEST\/\d{8}\/eu-west-1\/ses\/aws4_request, SignedHeaders=content-type;host;x-amz-date, Signature=[0-9a-f]{64}$/);
+    assert.deepEqual(JSON.parse(request.body), {
+        FromEmailAddress: '"Sender" <sender@example.com>',
+        Destination: { ToAddresses: ['"Jane" <jane@example.com>'], CcAddresses: ['boss@example.com'] },
+        Content: {
+            Simple: {
+                Subject: { Data: 'Hi Jane', Charset: 'UTF-8' },
+                Body: { Html: { Data: '<p>Hi Jane</p>', Charset: 'UTF-8' } },
+                Headers: [{ Name: 'List-Unsubscribe', Value: '<https://example.com/u/jane>' }]
+            }
+        }
+    });
+    assert.equal(JSON.parse(mock.requests[1].body).Content.Simple.Subject.Data, 'Hi Bob');
+
+    assert.deepEqual(results.map(result => [result.email, result.success, result.messageId]), [
+        ['jane@example.com', true, 'ses-1'],
+        ['bob@example.com', true, 'ses-2']
+    ]);
+});
+
+test('reports the SES error message', async () => {
+    mock.reply(400, { message: 'Email address is not verified.' });
+
+    const [result] = await Providers.send(config, [{ toEmail: 'jane@example.com', subject: 'Hi', body: '<p>Hi</p>' }], transport);
+
+    assert.equal(result.success, false);
+    assert.equal(result.errorCode, '400');
+    assert.equal(result.errorMessage, 'Email address is not verified.');
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Schedule = require('../lib/schedule');
+
+const at = (sendAt, timeZone) => Schedule.toInstant(sendAt, timeZone).scheduledAt;
+
+test('a wall-clock time is converted with the time zone offset of that date', () => {
+    assert.equal(at('2026-01-31T09:00', 'America/New_York'), '2026-01-31T14:00:00.000Z');
+    assert.equal(at('2026-07-31T09:00', 'America/New_York'), '2026-07-31T13:00:00.000Z');
+    assert.equal(at('2026-01-31T09:00:30', 'Asia/Kolkata'), '2026-01-31T03:30:30.000Z');
+    assert.equal(at('2026-01-31T09:00', 'UTC'), '2026-01-31T09:00:00.000Z');
+});
+
+test('a time skipped when the clocks go forward is moved forward by the gap', () => {
+    // 02:00 -> 03:00: 02:30 does not exist and becomes 03:30
+    assert.equal(at('2026-03-08T02:30', 'America/New_York'), '2026-03-08T07:30:00.000Z');
+    assert.equal(at('2026-03-29T02:30', 'Europe/Berlin'), '2026-03-29T01:30:00.000Z');
+    // Lord Howe Island only moves its clocks by 30 minutes
+    assert.equal(at('2026-10-04T02:15', 'Australia/Lord_Howe'), '2026-10-03T15:45:00.000Z');
+
+    // The minutes either side of the gap are unchanged
+    assert.equal(at('2026-03-29T01:59', 'Europe/Berlin'), '2026-03-29T00:59:00.000Z');
+    assert.equal(at('2026-03-29T03:00', 'Europe/Berlin'), '2026-03-29T01:00:00.000Z');
+});
+
+test('a time that happens twice when the clocks go back is the first of the two', () => {
+    // 02:00 -> 01:00 in New York, 03:00 -> 02:00 in Berlin
+    assert.equal(at('2026-11-01T01:30', 'America/New_York'), '2026-11-01T05:30:00.000Z');
+    assert.equal(at('2026-10-25T02:30', 'Europe/Berlin'), '2026-10-25T00:30:00.000Z');
+    assert.equal(at('2026-04-05T01:45', 'Australia/Lord_Howe'), '2026-04-04T14:45:00.000Z');
+
+    assert.equal(at('2026-10-25T01:59', 'Europe/Berlin'), '2026-10-24T23:59:00.000Z');
+    assert.equal(at('2026-10-25T03:00', 'Europe/Berlin'), '2026-10-25T02:00:00.000Z');
+});
+
+test('unknown time zones and impossible dates are refused', () => {
+    assert.deepEqual(Schedule.toInstant('2026-01-31T09:00', 'Mars/Olympus'), { error: 'Unknown time zone: Mars/Olympus' });
+    assert.deepEqual(Schedule.toInstant('2026-01-31T09:00', ''), { error: 'Unknown time zone: ' });
+    assert.equal(Schedule.isValidTimeZone(undefined), false);
+    assert.equal(Schedule.isValidTimeZone('Europe/Berlin'), true);
+
+    assert.match(Schedule.toInstant('2026-02-30T09:00', 'UTC').error, /not a valid date and time/);
+    assert.match(Schedule.toInstant('2026-01-31T24:00', 'UTC').error, /not a valid date and time/);
+    assert.match(Schedule.toInstant('2026-01-31 09:00', 'UTC').error, /must be a date and time like/);
+    assert.match(Schedule.toInstant(1769850000000, 'UTC').error, /must be a date and time like/);
+});